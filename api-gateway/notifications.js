@@ -0,0 +1,112 @@
+// Live event stream for signed-in clients (Server-Sent Events).
+//
+// Kafka delivers each event to one gateway instance only, so events are
+// relayed through a Redis channel and every instance writes them to the
+// streams its own clients hold open.
+
+const CHANNEL = 'notifications';
+// Comment lines keep proxies from closing an idle stream
+const HEARTBEAT_MS = 25 * 1000;
+// How long clients wait before reconnecting after the stream ends
+const RETRY_MS = 5 * 1000;
+const MAX_STREAMS_PER_USER = 10;
+
+// Events forwarded to the user they concern
+const LIVE_EVENT_TYPES = new Set([
+  'FILE_UPLOADED',
+  'FILE_DELETED',
+  'PREVIEW_GENERATED',
+  'SHARE_RECEIVED',
+  'QUOTA_WARNING'
+]);
+
+const createNotificationHub = (redisClient, { isRevoked }) => {
+  // userId -> open responses
+  const streams = new Map();
+
+  const deliver = (event) => {
+    const clients = streams.get(String(event.userId));
+    if (!clients) return;
+
+    const message = `data: ${JSON.stringify(event)}\n\n`;
+    clients.forEach(res => res.write(message));
+  };
+
+  const subscriber = redisClient.duplicate();
+  subscriber.on('error', (err) => console.error('Redis Subscriber Error', err));
+
+  (async () => {
+    try {
+      await subscriber.connect();
+      await subscriber.subscribe(CHANNEL, (message) => {
+        try {
+          deliver(JSON.parse(message));
+        } catch (error) {
+          console.error('Skipping malformed notification:', error.message);
+        }
+      });
+    } catch (error) {
+      console.error('Redis subscriber connection error:', error);
+    }
+  })();
+
+  // Send an event to every open stream of event.userId, on all gateway instances
+  const publish = async (event) => {
+    if (!event.userId || !LIVE_EVENT_TYPES.has(event.type)) return;
+
+    try {
+      await redisClient.publish(CHANNEL, JSON.stringify(event));
+    } catch (error) {
+      // Without Redis, at least this instance's clients hear about it
+      console.error('Notification publish error:', error);
+      deliver(event);
+    }
+  };
+
+  // GET /api/events, after verifyToken. The stream ends when the access token
+  // expires or isRevoked(token, user) says it no longer holds; the client
+  // reconnects with a fresh one.
+  const stream = (req, res) => {
+    const userId = String(req.user.userId);
+    const token = req.headers.authorization.split(' ')[1];
+    const clients = streams.get(userId) || new Set();
+
+    if (clients.size >= MAX_STREAMS_PER_USER) {
+      return res.status(429).json({ error: 'Too many open event streams' });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      // Tells nginx-style proxies not to buffer the stream
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    clients.add(res);
+    streams.set(userId, clients);
+
+    const heartbeat = setInterval(async () => {
+      try {
+        if (await isRevoked(token, req.user)) return res.end();
+      } catch (error) {
+        // Keep the stream open while Redis is unavailable
+      }
+      res.write(': keep-alive\n\n');
+    }, HEARTBEAT_MS);
+    const expiry = setTimeout(() => res.end(), req.user.exp * 1000 - Date.now());
+
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      clearTimeout(expiry);
+      clients.delete(res);
+      if (clients.size === 0) streams.delete(userId);
+    });
+  };
+
+  return { publish, stream };
+};
+
+module.exports = { createNotificationHub };
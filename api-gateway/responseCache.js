@@ -0,0 +1,210 @@
+// Redis cache for JSON GET responses from the file service.
+//
+// Each entry is keyed by user and URL and tagged with the user, the files it
+// describes and the folder it lists. Mutations through the gateway and
+// file-events messages invalidate tags, dropping every entry that carries one.
+// A mutation's tags are invalidated before it is proxied and stay blocked
+// until it has finished, so a response read meanwhile is never stored and the
+// client's next read after the mutation always reaches the file service.
+
+const { routePath } = require('./routePath');
+
+const CACHE_TTL_SECONDS = parseInt(process.env.CACHE_TTL_SECONDS, 10) || 300;
+// Larger responses are passed through without being cached
+const MAX_CACHED_BYTES = 1024 * 1024;
+
+const OBJECT_ID = /^[a-f\d]{24}$/i;
+
+// Paths under /api/files whose JSON may be cached. Anything that changes
+// without a mutation by the requesting user or a file event (share lists,
+// quota usage, preview status, upload sessions) is always passed through.
+const CACHEABLE_PATHS = [
+  /^\/$/,
+  /^\/tags$/,
+  /^\/trash$/,
+  /^\/[a-f\d]{24}$/i,
+  /^\/[a-f\d]{24}\/versions$/i
+];
+
+// POSTs under /api/files that only read
+const READ_ONLY_POSTS = [
+  /^\/archive(-ticket)?$/,
+  /^\/[^/]+\/download-ticket$/
+];
+
+const entryKey = (userId, url) => `cache:${userId}:${url}`;
+const tagKey = (tag) => `cache-tag:${tag}`;
+// When a tag was last invalidated ("pending" while a mutation is in progress),
+// so that a response fetched before then is not stored
+const purgedKey = (tag) => `cache-purged:${tag}`;
+const PENDING = 'pending';
+
+const idsIn = (path) => path.split('/').filter(segment => OBJECT_ID.test(segment));
+
+const isJson = (headers) => /^application\/json/.test(headers['content-type'] || '');
+
+// Files described by a response body ({ file }, { files } or a version list)
+const fileIdsInBody = (body) => {
+  const ids = [];
+  if (body && body.file && body.file.id) ids.push(body.file.id);
+  if (body && Array.isArray(body.files)) {
+    body.files.forEach(file => file && file.id && ids.push(file.id));
+  }
+  return ids;
+};
+
+const createResponseCache = (redisClient) => {
+  // Drop every entry tagged with any of the tags, and keep responses read
+  // until now from being stored under them
+  const invalidate = async (tags, marker = String(Date.now())) => {
+    const unique = [...new Set(tags.filter(Boolean))];
+    if (unique.length === 0) return;
+
+    try {
+      const keys = (await Promise.all(unique.map(tag => redisClient.sMembers(tagKey(tag))))).flat();
+      const multi = redisClient.multi();
+      unique.forEach(tag => multi.setEx(purgedKey(tag), CACHE_TTL_SECONDS, marker));
+      multi.del([...keys, ...unique.map(tagKey)]);
+      await multi.exec();
+    } catch (error) {
+      console.error('Cache invalidation error:', error);
+    }
+  };
+
+  const store = async (req, body, tags) => {
+    const purgedAt = await redisClient.mGet(tags.map(purgedKey));
+    const stale = purgedAt.some(time =>
+      time === PENDING || (time !== null && Number(time) >= req.cacheStartedAt));
+    if (stale) return;
+
+    const key = entryKey(req.user.userId, req.originalUrl);
+    const multi = redisClient.multi();
+    multi.setEx(key, CACHE_TTL_SECONDS, body);
+    tags.forEach(tag => {
+      multi.sAdd(tagKey(tag), key);
+      multi.expire(tagKey(tag), CACHE_TTL_SECONDS);
+    });
+    await multi.exec();
+  };
+
+  const isReadOnly = (req) => ['GET', 'HEAD', 'OPTIONS'].includes(req.method) ||
+    (req.method === 'POST' && req.baseUrl === '/api/files' && READ_ONLY_POSTS.some(path => path.test(routePath(req))));
+
+  // Tags a mutation request names: the user, files or folders in the path,
+  // and folders given as folderId or parentId in the query or body
+  const requestTags = (req) => {
+    const kind = req.baseUrl === '/api/folders' ? 'folder' : 'file';
+    return [
+      `user:${req.user.userId}`,
+      ...idsIn(routePath(req)).map(id => `${kind}:${id}`),
+      ...[req.query.folderId, req.body?.folderId, req.body?.parentId]
+        .filter(id => typeof id === 'string' && OBJECT_ID.test(id))
+        .map(id => `folder:${id}`)
+    ];
+  };
+
+  // Answer cacheable GETs from Redis, or mark them to be stored on the way
+  // back; "Cache-Control: no-cache" from the client skips the lookup.
+  // Mutations invalidate their tags first and release them once finished.
+  const middleware = async (req, res, next) => {
+    if (!isReadOnly(req)) {
+      const tags = requestTags(req);
+      await invalidate(tags, PENDING);
+      res.once('close', () => invalidate(tags));
+      return next();
+    }
+
+    const cacheable = req.method === 'GET' && req.baseUrl === '/api/files' && !req.headers.range &&
+      CACHEABLE_PATHS.some(path => path.test(routePath(req)));
+    if (!cacheable) return next();
+
+    try {
+      // The file service checks a personal access token's scopes, so such
+      // requests are never answered from the cache (their responses are stored)
+      if (!req.user.scopes && !/no-cache/.test(req.headers['cache-control'] || '')) {
+        const cached = await redisClient.get(entryKey(req.user.userId, req.originalUrl));
+        if (cached) {
+          res.set({
+            'Content-Type': 'application/json; charset=utf-8',
+            'Cache-Control': 'private, no-cache',
+            'X-Cache': 'HIT'
+          });
+          return res.send(cached);
+        }
+      }
+      req.cacheable = true;
+      req.cacheStartedAt = Date.now();
+    } catch (error) {
+      // Without Redis every request goes to the file service
+    }
+    next();
+  };
+
+  // onProxyRes hook: set Cache-Control on JSON, invalidate the file and folder
+  // a mutation reports, and store cacheable responses
+  const handleProxyResponse = (proxyRes, req) => {
+    const json = isJson(proxyRes.headers);
+    const upstreamCacheControl = proxyRes.headers['cache-control'];
+
+    // Downloads and other binary responses keep the file service's headers
+    if (json && !upstreamCacheControl) {
+      proxyRes.headers['cache-control'] = req.method === 'GET' ? 'private, no-cache' : 'no-store';
+    }
+
+    if (!isReadOnly(req)) {
+      // Completed uploads name the stored file and its folder. Sharing names
+      // the grantee, whose every entry goes: a revoked folder also hides its
+      // subfolders and files, which are tagged with ids of their own. A
+      // deleted folder names everyone it was shared with, comma-separated.
+      invalidate([
+        proxyRes.headers['x-file-id'] && `file:${proxyRes.headers['x-file-id']}`,
+        proxyRes.headers['x-folder-id'] && `folder:${proxyRes.headers['x-folder-id']}`,
+        ...(proxyRes.headers['x-grantee-id'] || '').split(',').filter(Boolean).map(id => `user:${id}`)
+      ]);
+      return;
+    }
+
+    if (!req.cacheable) return;
+    proxyRes.headers['x-cache'] = 'MISS';
+
+    const storable = proxyRes.statusCode === 200 && json && !proxyRes.headers['content-encoding'] &&
+      !/no-store|private/.test(upstreamCacheControl || '');
+    if (!storable) return;
+
+    // Read alongside the proxy's own pipe to the client
+    const chunks = [];
+    let size = 0;
+    proxyRes.on('data', (chunk) => {
+      size += chunk.length;
+      if (size <= MAX_CACHED_BYTES) chunks.push(chunk);
+    });
+    proxyRes.on('end', async () => {
+      if (size > MAX_CACHED_BYTES) return;
+
+      try {
+        const body = Buffer.concat(chunks).toString('utf8');
+        const folderId = req.query.folderId;
+        const tags = [
+          `user:${req.user.userId}`,
+          ...idsIn(routePath(req)).map(id => `file:${id}`),
+          ...fileIdsInBody(JSON.parse(body)).map(id => `file:${id}`),
+          typeof folderId === 'string' && OBJECT_ID.test(folderId) && `folder:${folderId}`
+        ].filter(Boolean);
+        await store(req, body, [...new Set(tags)]);
+      } catch (error) {
+        console.error('Cache store error:', error);
+      }
+    });
+  };
+
+  // Invalidate what a file-events message makes stale
+  const handleFileEvent = (event) => invalidate([
+    event.userId && `user:${event.userId}`,
+    event.fileId && `file:${event.fileId}`,
+    event.folderId && `folder:${event.folderId}`
+  ]);
+
+  return { middleware, handleProxyResponse, handleFileEvent };
+};
+
+module.exports = { createResponseCache };
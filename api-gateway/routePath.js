@@ -0,0 +1,6 @@
+// Path of a request below the prefix its route is mounted at, e.g. "/upload"
+// for /api/files/upload. http-proxy-middleware resets req.url to the full
+// original URL before proxying, so in onProxyRes req.path is no longer that.
+const routePath = (req) => req.originalUrl.split('?')[0].slice(req.baseUrl.length) || '/';
+
+module.exports = { routePath };
@@ -1,5 +1,6 @@
+const crypto = require('crypto');
 const express = require('express');
-const { createProxyMiddleware } = require('http-proxy-middleware');
+const { createProxyMiddleware, fixRequestBody } = require('http-proxy-middleware');
 const redis = require('redis');
 const { Kafka } = require('kafkajs');
 const jwt = require('jsonwebtoken');
@@ -7,6 +8,9 @@ const rateLimit = require('express-rate-limit');
 const slowDown = require('express-slow-down');
 const cors = require('cors');
 require('dotenv').config();
+const { createResponseCache } = require('./responseCache');
+const { createNotificationHub } = require('./notifications');
+const { routePath } = require('./routePath');
 
 const app = express();
 
@@ -26,6 +30,8 @@ redisClient.on('connect', () => console.log('Redis Client Connected'));
   }
 })();
 
+const responseCache = createResponseCache(redisClient);
+
 // Kafka setup
 const kafka = new Kafka({
   clientId: 'api-gateway',
@@ -47,6 +53,22 @@ const consumer = kafka.consumer({ groupId: 'api-gateway-group' });
     await consumer.run({
       eachMessage: async ({ topic, partition, message }) => {
         console.log(`Received message from ${topic}:`, message.value.toString());
+
+        let event;
+        try {
+          event = JSON.parse(message.value.toString());
+        } catch (error) {
+          console.error(`Skipping malformed ${topic} message:`, error.message);
+          return;
+        }
+
+        // File changes made elsewhere (e.g. by the preview worker) invalidate cached responses
+        if (topic === 'file-events') {
+          await responseCache.handleFileEvent(event);
+        }
+
+        // Forward the user's own events to their open event streams
+        await notifications.publish(event);
       },
     });
   } catch (error) {
@@ -54,8 +76,23 @@ const consumer = kafka.consumer({ groupId: 'api-gateway-group' });
   }
 })();
 
+// A plain OPTIONS request for resumable uploads is tus discovery, which the
+// file service answers; only CORS preflights (with
+// Access-Control-Request-Method) are answered here
+const isTusDiscovery = (req) => req.method === 'OPTIONS' &&
+  !req.headers['access-control-request-method'] &&
+  /^\/api\/files\/uploads\/?$/.test(req.path);
+
 // Middleware
-app.use(cors());
+app.use(cors((req, callback) => callback(null, {
+  exposedHeaders: [
+    'Location', 'Tus-Resumable', 'Tus-Version', 'Tus-Extension', 'Tus-Max-Size',
+    'Upload-Offset', 'Upload-Length', 'Upload-Expires',
+    'X-Checksum-SHA256', 'Digest',
+    'Content-Disposition', 'Content-Range', 'Accept-Ranges', 'ETag', 'Last-Modified'
+  ],
+  preflightContinue: isTusDiscovery(req)
+})));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -95,6 +132,14 @@ class RedisStore {
   }
 }
 
+// Chunks of a resumable upload are already bounded by their session, so a
+// multi-GB upload must not exhaust the per-IP request budget. Nor must the
+// thumbnails of a file listing, one request each, which are signed URLs that
+// the browser caches.
+const isUploadChunk = (req) => req.method === 'PATCH' && req.path.startsWith('/api/files/uploads/');
+const isThumbnail = (req) => req.method === 'GET' && req.path.startsWith('/api/public/thumbnails/');
+const skipRateLimit = (req) => isUploadChunk(req) || isThumbnail(req);
+
 // Rate limiting middleware
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -102,18 +147,94 @@ const limiter = rateLimit({
   standardHeaders: true,
   legacyHeaders: false,
   store: new RedisStore(redisClient),
+  skip: skipRateLimit,
 });
 
 const speedLimiter = slowDown({
   windowMs: 15 * 60 * 1000,
   delayAfter: 50,
-  delayMs: 500
+  delayMs: 500,
+  skip: skipRateLimit
 });
 
 app.use(limiter);
 app.use(speedLimiter);
 
-// JWT verification middleware
+const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production';
+
+const isRevoked = async (token) => (await redisClient.get(`token:${token}`)) === 'blacklisted';
+
+// Set while an admin has the account suspended, so tokens it was already
+// issued stop working at once rather than when they expire
+const isSuspended = async (userId) => (await redisClient.get(`suspended:${userId}`)) !== null;
+
+const notifications = createNotificationHub(redisClient, {
+  isRevoked: async (token, user) => await isRevoked(token) || await isSuspended(user.userId)
+});
+
+const PERSONAL_ACCESS_TOKEN_PREFIX = 'dfs_pat_';
+const PERSONAL_ACCESS_TOKEN_CACHE_SECONDS = 60;
+
+// Personal access tokens only work for the file service, which decides
+// which scope each request needs (see file-service/middleware/auth.js)
+const acceptsPersonalAccessToken = (req) => req.baseUrl === '/api/files' || req.baseUrl === '/api/folders';
+
+// The user behind a personal access token, with the token's id and scopes, or
+// null. Checked with the auth service and cached briefly by the token's hash;
+// a revoked token is listed under pat-revoked:<id> for as long as it may be cached.
+const resolvePersonalAccessToken = async (token, req) => {
+  const cacheKey = `pat:${crypto.createHash('sha256').update(token).digest('hex')}`;
+  const cached = await redisClient.get(cacheKey);
+  let user = cached && JSON.parse(cached);
+
+  if (!user) {
+    const response = await fetch(`${AUTH_SERVICE_URL}/api/auth/verify`, {
+      headers: { Authorization: `Bearer ${token}`, ...(req.ip && { 'X-Forwarded-For': req.ip }) },
+      signal: AbortSignal.timeout(5000)
+    });
+    if (response.status === 401) return null;
+    if (!response.ok) {
+      throw new Error(`Auth service responded with HTTP ${response.status}`);
+    }
+
+    const body = await response.json();
+    if (!body.scopes) return null;
+    user = {
+      userId: body.user.id,
+      username: body.user.username,
+      role: body.user.role,
+      tokenId: body.tokenId,
+      scopes: body.scopes
+    };
+    await redisClient.setEx(cacheKey, PERSONAL_ACCESS_TOKEN_CACHE_SECONDS, JSON.stringify(user));
+  }
+
+  if ((await redisClient.get(`pat-revoked:${user.tokenId}`)) !== null) return null;
+  return user;
+};
+
+// Personal access tokens are only accepted for file and folder requests; the
+// file service checks their scopes
+const verifyPersonalAccessToken = async (token, req, res, next) => {
+  if (!acceptsPersonalAccessToken(req)) {
+    return res.status(403).json({ error: 'Personal access tokens cannot be used for this request' });
+  }
+
+  try {
+    const user = await resolvePersonalAccessToken(token, req);
+    if (!user || await isSuspended(user.userId)) {
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error('Personal access token check error:', error);
+    res.status(503).json({ error: 'Could not verify the access token' });
+  }
+};
+
+// JWT verification middleware; also accepts personal access tokens
 const verifyToken = async (req, res, next) => {
   try {
     const token = req.headers.authorization?.split(' ')[1];
@@ -122,14 +243,21 @@ const verifyToken = async (req, res, next) => {
       return res.status(401).json({ error: 'No token provided' });
     }
 
+    if (token.startsWith(PERSONAL_ACCESS_TOKEN_PREFIX)) {
+      return verifyPersonalAccessToken(token, req, res, next);
+    }
+
     // Check Redis cache for token
-    const cachedToken = await redisClient.get(`token:${token}`);
-    if (cachedToken === 'blacklisted') {
+    if (await isRevoked(token)) {
       return res.status(401).json({ error: 'Token has been revoked' });
     }
 
     // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production');
+    const decoded = jwt.verify(token, JWT_SECRET);
+
+    if (await isSuspended(decoded.userId)) {
+      return res.status(401).json({ error: 'Account suspended' });
+    }
     
     // Cache user info in Redis
     const userKey = `user:${decoded.userId}`;
@@ -147,34 +275,35 @@ const verifyToken = async (req, res, next) => {
   }
 };
 
-// Cache middleware
-const cacheMiddleware = async (req, res, next) => {
-  if (req.method !== 'GET') {
-    return next();
-  }
-
-  const cacheKey = `cache:${req.originalUrl}:${req.user?.userId || 'anonymous'}`;
-  
+// Auth routes are public, but a revoked token must not pass where one is sent
+const rejectRevokedToken = async (req, res, next) => {
   try {
-    const cached = await redisClient.get(cacheKey);
-    if (cached) {
-      return res.json(JSON.parse(cached));
+    const token = req.headers.authorization?.split(' ')[1];
+    if (token && await isRevoked(token)) {
+      return res.status(401).json({ error: 'Token has been revoked' });
     }
-    
-    // Store original json function
-    const originalJson = res.json.bind(res);
-    res.json = function(data) {
-      // Cache for 5 minutes
-      redisClient.setEx(cacheKey, 300, JSON.stringify(data));
-      return originalJson(data);
-    };
-    
     next();
   } catch (error) {
     next();
   }
 };
 
+// On logout, blacklist the access token until it would have expired anyway
+const revokeAccessToken = async (req, res, next) => {
+  try {
+    const token = req.headers.authorization?.split(' ')[1];
+    const decoded = token && jwt.verify(token, JWT_SECRET);
+    const ttl = decoded ? decoded.exp - Math.floor(Date.now() / 1000) : 0;
+
+    if (ttl > 0) {
+      await redisClient.setEx(`token:${token}`, ttl, 'blacklisted');
+    }
+  } catch (error) {
+    // Expired or invalid tokens need no revoking
+  }
+  next();
+};
+
 // Event publishing helper
 const publishEvent = async (topic, event) => {
   try {
@@ -193,9 +322,113 @@ const publishEvent = async (topic, event) => {
   }
 };
 
+// Who made a request, recorded with its events in the audit log
+const requestContext = (req) => ({
+  ip: req.ip,
+  userAgent: req.headers['user-agent'] || null
+});
+
+// JSON body of a proxied response, read alongside the proxy's own pipe to the
+// client; resolves to null if it is not JSON
+const readJsonBody = (proxyRes) => new Promise((resolve) => {
+  const chunks = [];
+  proxyRes.on('data', (chunk) => chunks.push(chunk));
+  proxyRes.on('end', () => {
+    try {
+      resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+    } catch (error) {
+      resolve(null);
+    }
+  });
+  proxyRes.on('error', () => resolve(null));
+});
+
+// Name of the file the file service reports in X-File-Name
+const reportedFileName = (proxyRes) => {
+  try {
+    return proxyRes.headers['x-file-name'] ? decodeURIComponent(proxyRes.headers['x-file-name']) : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Two-factor authentication changes, by the auth service route that makes them
+const TWO_FACTOR_EVENTS = {
+  '/enable': 'USER_2FA_ENABLED',
+  '/disable': 'USER_2FA_DISABLED',
+  '/recovery-codes': 'USER_RECOVERY_CODES_REGENERATED'
+};
+
+// Admin changes to accounts, by the auth service route that makes them
+const ADMIN_ACTIONS = {
+  suspend: 'USER_SUSPENDED',
+  reactivate: 'USER_REACTIVATED',
+  quota: 'USER_QUOTA_CHANGED',
+  role: 'USER_ROLE_CHANGED'
+};
+
+// Record a successful admin change to an account, and enforce suspensions here
+const handleAdminAction = async (proxyRes, req) => {
+  const match = routePath(req).match(/^\/users\/([^/]+)\/(suspend|reactivate|quota|role)$/);
+  if (!match || !['POST', 'PUT'].includes(req.method) || proxyRes.statusCode !== 200) return;
+
+  const [, userId, action] = match;
+  const body = await readJsonBody(proxyRes);
+  try {
+    if (action === 'suspend') {
+      await redisClient.set(`suspended:${userId}`, '1');
+    } else if (action === 'reactivate') {
+      await redisClient.del(`suspended:${userId}`);
+    }
+  } catch (error) {
+    console.error('Suspension update error:', error);
+  }
+
+  await publishEvent('user-events', {
+    type: ADMIN_ACTIONS[action],
+    userId,
+    username: body?.user?.username,
+    ...(action === 'quota' && { quota: body?.user?.storageQuota, quotaIsDefault: body?.user?.quotaIsDefault }),
+    ...(action === 'role' && { role: body?.user?.role }),
+    performedBy: { id: req.user.userId, username: req.user.username },
+    ...requestContext(req)
+  });
+};
+
+// Record a personal access token being created or revoked; a revoked one is
+// refused here at once, even while its check is still cached
+const handleAccessTokenChange = async (proxyRes, req) => {
+  const created = req.method === 'POST' && routePath(req) === '/' && proxyRes.statusCode === 201;
+  const revoked = req.method === 'DELETE' && proxyRes.statusCode === 200;
+  if (!created && !revoked) return;
+
+  const body = await readJsonBody(proxyRes);
+  const accessToken = body?.accessToken;
+  if (!accessToken) return;
+
+  if (revoked) {
+    try {
+      await redisClient.setEx(`pat-revoked:${accessToken.id}`, PERSONAL_ACCESS_TOKEN_CACHE_SECONDS, '1');
+    } catch (error) {
+      console.error('Access token revocation error:', error);
+    }
+  }
+
+  await publishEvent('user-events', {
+    type: created ? 'USER_ACCESS_TOKEN_CREATED' : 'USER_ACCESS_TOKEN_REVOKED',
+    userId: req.user.userId,
+    username: req.user.username,
+    tokenId: accessToken.id,
+    tokenName: accessToken.name,
+    ...(created && { scopes: accessToken.scopes, expiresAt: accessToken.expiresAt }),
+    ...requestContext(req)
+  });
+};
+
 // Service URLs
 const AUTH_SERVICE_URL = process.env.AUTH_SERVICE_URL || 'http://auth-service:3001';
 const FILE_SERVICE_URL = process.env.FILE_SERVICE_URL || 'http://file-service:3002';
+const AUDIT_SERVICE_URL = process.env.AUDIT_SERVICE_URL || 'http://audit-service:3003';
 
 // Health check
 app.get('/health', async (req, res) => {
@@ -215,30 +448,95 @@ const authProxy = createProxyMiddleware({
   pathRewrite: {
     '^/api/auth': '/api/auth'
   },
+  // X-Forwarded-For gives the auth service the client's address, which sign-in
+  // throttling counts failures by
+  xfwd: true,
   selfHandleResponse: false,
+  // express.json() has already consumed JSON bodies, so re-send them upstream
+  onProxyReq: fixRequestBody,
   onProxyRes: async (proxyRes, req, res) => {
-    // Publish events for successful login/register
-    if (req.method === 'POST' && req.path.includes('/login') && proxyRes.statusCode === 200) {
-      // Publish event based on request (user details will be in response, but we publish async)
-      setImmediate(async () => {
+    // Publish an event for every login attempt, successful or not, naming the
+    // user from the response body when it succeeded. With 2FA on, the password
+    // step only earns a challenge; the second step reports how the login ended.
+    // Single sign-ons are reported when the browser exchanges its code.
+    const authPath = routePath(req);
+    const isSso = authPath === '/oidc/exchange';
+    const isLogin = req.baseUrl === '/api/auth' && (authPath === '/login' || authPath === '/login/2fa' || isSso);
+    if (req.method === 'POST' && isLogin && proxyRes.statusCode < 500) {
+      const succeeded = proxyRes.statusCode === 200;
+      const body = await readJsonBody(proxyRes);
+      if (!body?.twoFactorRequired) {
         await publishEvent('user-events', {
           type: 'USER_LOGIN_ATTEMPT',
-          email: req.body?.email,
+          userId: succeeded ? body?.user?.id : undefined,
+          username: succeeded ? body?.user?.username : undefined,
+          email: succeeded && isSso ? body?.user?.email : req.body?.email,
+          result: succeeded ? 'success' : 'failure',
+          ...(authPath === '/login/2fa' && { secondFactor: body?.secondFactor || null }),
+          // Refused without checking credentials after repeated failures
+          ...(proxyRes.statusCode === 429 && { throttled: true, lockedOut: Boolean(body?.lockedOut) }),
+          ...(isSso && { method: 'oidc', provider: body?.sso?.provider || null }),
+          ...requestContext(req),
           timestamp: new Date().toISOString()
         });
-      });
-    }
-    
-    if (req.method === 'POST' && req.path.includes('/register') && proxyRes.statusCode === 201) {
-      setImmediate(async () => {
+      }
+
+      // The first single sign-on with an identity creates the account
+      if (succeeded && isSso && body?.sso?.created) {
         await publishEvent('user-events', {
           type: 'USER_REGISTERED',
-          username: req.body?.username,
-          email: req.body?.email,
-          timestamp: new Date().toISOString()
+          userId: body.user.id,
+          username: body.user.username,
+          email: body.user.email,
+          method: 'oidc',
+          provider: body.sso.provider,
+          ...requestContext(req)
         });
+      }
+    }
+    
+    if (req.method === 'POST' && req.baseUrl === '/api/auth' && authPath === '/register' && proxyRes.statusCode === 201) {
+      const body = await readJsonBody(proxyRes);
+      await publishEvent('user-events', {
+        type: 'USER_REGISTERED',
+        userId: body?.user?.id,
+        username: req.body?.username,
+        email: req.body?.email,
+        ...requestContext(req),
+        timestamp: new Date().toISOString()
       });
     }
+
+    // Emailed links that were followed: the response names the account
+    const accountEvent = { '/verify-email': 'USER_EMAIL_VERIFIED', '/reset-password': 'USER_PASSWORD_RESET' }[authPath];
+    if (req.method === 'POST' && req.baseUrl === '/api/auth' && accountEvent && proxyRes.statusCode === 200) {
+      const body = await readJsonBody(proxyRes);
+      await publishEvent('user-events', {
+        type: accountEvent,
+        userId: body?.user?.id,
+        username: body?.user?.username,
+        ...requestContext(req)
+      });
+    }
+
+    // Changes to the signed-in user's two-factor authentication
+    const twoFactorEvent = TWO_FACTOR_EVENTS[authPath];
+    if (req.method === 'POST' && req.baseUrl === '/api/auth/2fa' && twoFactorEvent && proxyRes.statusCode === 200) {
+      await publishEvent('user-events', {
+        type: twoFactorEvent,
+        userId: req.user.userId,
+        username: req.user.username,
+        ...requestContext(req)
+      });
+    }
+
+    if (req.baseUrl === '/api/auth/admin') {
+      await handleAdminAction(proxyRes, req);
+    }
+
+    if (req.baseUrl === '/api/auth/tokens') {
+      await handleAccessTokenChange(proxyRes, req);
+    }
   }
 });
 
@@ -249,25 +547,65 @@ const fileProxy = createProxyMiddleware({
   pathRewrite: {
     '^/api/files': '/api/files'
   },
+  // X-Forwarded-For gives the file service the client's address for its events
+  xfwd: true,
+  // express.json() has already consumed JSON bodies, so re-send them upstream
+  onProxyReq: fixRequestBody,
   onProxyRes: async (proxyRes, req, res) => {
-    // Publish file events
-    if (req.method === 'POST' && req.path.includes('/upload') && proxyRes.statusCode === 201) {
+    responseCache.handleProxyResponse(proxyRes, req);
+
+    // Publish file events; the file service names the stored file in X-File-Id.
+    // Multipart uploads, new versions and empty resumable uploads complete in one request.
+    const path = routePath(req);
+    const uploadedFileId = proxyRes.headers['x-file-id'];
+    const uploadedFolderId = proxyRes.headers['x-folder-id'] || null;
+    // Who did it and to which file, for the audit log
+    const eventContext = {
+      userId: req.user?.userId,
+      username: req.user?.username,
+      filename: reportedFileName(proxyRes),
+      ...requestContext(req)
+    };
+    const isCompletedUpload = path === '/upload' || /^\/[^/]+\/versions$/.test(path) ||
+      (/^\/uploads\/?$/.test(path) && uploadedFileId !== undefined);
+    if (req.method === 'POST' && isCompletedUpload && proxyRes.statusCode === 201) {
+      setImmediate(async () => {
+        await publishEvent('file-events', {
+          type: 'FILE_UPLOADED',
+          ...eventContext,
+          fileId: uploadedFileId,
+          folderId: uploadedFolderId,
+          timestamp: new Date().toISOString()
+        });
+      });
+    }
+
+    // A resumable upload is complete once the last chunk brings the offset to the length
+    const uploadOffset = proxyRes.headers['upload-offset'];
+    if (req.method === 'PATCH' && path.startsWith('/uploads/') && proxyRes.statusCode === 204 &&
+        uploadOffset !== undefined && uploadOffset === proxyRes.headers['upload-length']) {
       setImmediate(async () => {
         await publishEvent('file-events', {
           type: 'FILE_UPLOADED',
-          userId: req.user?.userId,
-          filename: req.file?.originalname || req.body?.filename,
+          ...eventContext,
+          fileId: uploadedFileId,
+          folderId: uploadedFolderId,
+          uploadId: path.split('/')[2],
           timestamp: new Date().toISOString()
         });
       });
     }
     
-    if (req.method === 'DELETE' && proxyRes.statusCode === 200) {
+    // Only DELETE /api/files/:id removes a file (not e.g. revoking one of its share links
+    // or emptying the trash); the file then sits in the trash until it is purged
+    const deletedFile = path.match(/^\/(?!trash$)([^/]+)$/);
+    if (req.method === 'DELETE' && deletedFile && proxyRes.statusCode === 200) {
       setImmediate(async () => {
         await publishEvent('file-events', {
           type: 'FILE_DELETED',
-          userId: req.user?.userId,
-          fileId: req.params.id,
+          ...eventContext,
+          fileId: deletedFile[1],
+          folderId: proxyRes.headers['x-folder-id'] || null,
           timestamp: new Date().toISOString()
         });
       });
@@ -275,9 +613,65 @@ const fileProxy = createProxyMiddleware({
   }
 });
 
+// Folder proxy (served by the file service)
+const folderProxy = createProxyMiddleware({
+  target: FILE_SERVICE_URL,
+  changeOrigin: true,
+  pathRewrite: {
+    '^/api/folders': '/api/folders'
+  },
+  xfwd: true,
+  onProxyReq: fixRequestBody,
+  onProxyRes: (proxyRes, req) => responseCache.handleProxyResponse(proxyRes, req)
+});
+
+// Audit log queries
+const auditProxy = createProxyMiddleware({
+  target: AUDIT_SERVICE_URL,
+  changeOrigin: true,
+  pathRewrite: {
+    '^/api/audit': '/api/audit'
+  }
+});
+
+// Administration: storage usage and any user's files. A deleted file is
+// named in X-File-Id, so cached listings that show it are dropped.
+const adminProxy = createProxyMiddleware({
+  target: FILE_SERVICE_URL,
+  changeOrigin: true,
+  pathRewrite: {
+    '^/api/admin': '/api/admin'
+  },
+  xfwd: true,
+  onProxyReq: fixRequestBody,
+  onProxyRes: (proxyRes, req) => responseCache.handleProxyResponse(proxyRes, req)
+});
+
+// Public proxy for share links; the signed link token is the credential, so no JWT
+const publicProxy = createProxyMiddleware({
+  target: FILE_SERVICE_URL,
+  changeOrigin: true,
+  pathRewrite: {
+    '^/api/public': '/api/public'
+  },
+  onProxyReq: fixRequestBody
+});
+
 // Routes
-app.use('/api/auth', authProxy);
-app.use('/api/files', verifyToken, cacheMiddleware, fileProxy);
+app.post('/api/auth/logout', revokeAccessToken, authProxy);
+app.use('/api/auth/admin', verifyToken, authProxy);
+app.use('/api/auth/2fa', verifyToken, authProxy);
+app.use('/api/auth/tokens', verifyToken, authProxy);
+// Looks up other users, so it needs a signed-in user (no personal access tokens)
+app.use('/api/auth/users', verifyToken, authProxy);
+app.use('/api/auth', rejectRevokedToken, authProxy);
+app.options('/api/files/uploads', fileProxy);
+app.use('/api/files', verifyToken, responseCache.middleware, fileProxy);
+app.use('/api/folders', verifyToken, responseCache.middleware, folderProxy);
+app.use('/api/audit', verifyToken, auditProxy);
+app.use('/api/admin', verifyToken, adminProxy);
+app.use('/api/public', publicProxy);
+app.get('/api/events', verifyToken, notifications.stream);
 
 // Graceful shutdown
 process.on('SIGTERM', async () => {
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+// One recorded action. Records are only ever inserted: the service has no
+// code path that changes or removes them, and the hooks below refuse to.
+const auditEventSchema = new mongoose.Schema({
+  // Event type as published to Kafka, e.g. USER_LOGIN_ATTEMPT or FILE_DELETED
+  action: {
+    type: String,
+    required: true
+  },
+  result: {
+    type: String,
+    enum: ['success', 'failure'],
+    default: 'success'
+  },
+  // Who performed the action; empty for actions taken by the system
+  actor: {
+    userId: { type: String, default: null },
+    username: { type: String, default: null },
+    email: { type: String, default: null }
+  },
+  // What the action was taken on
+  target: {
+    kind: { type: String, default: null },
+    id: { type: String, default: null },
+    name: { type: String, default: null }
+  },
+  // Users whose activity history includes the event: the actor and anyone
+  // it happened to (e.g. the recipient of a share)
+  userIds: {
+    type: [String],
+    default: []
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  // Remaining event fields, e.g. the role granted by a share
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  occurredAt: {
+    type: Date,
+    required: true
+  },
+  recordedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Kafka position of the message, so a redelivered message is recorded once
+  source: {
+    topic: { type: String, required: true },
+    partition: { type: Number, required: true },
+    offset: { type: String, required: true }
+  }
+}, { versionKey: false });
+
+auditEventSchema.index({ 'source.topic': 1, 'source.partition': 1, 'source.offset': 1 }, { unique: true });
+auditEventSchema.index({ userIds: 1, occurredAt: -1, _id: -1 });
+auditEventSchema.index({ occurredAt: -1, _id: -1 });
+auditEventSchema.index({ action: 1, occurredAt: -1, _id: -1 });
+auditEventSchema.index({ 'actor.userId': 1, occurredAt: -1, _id: -1 });
+auditEventSchema.index({ 'target.id': 1, occurredAt: -1, _id: -1 });
+
+const refuseChange = () => {
+  throw new Error('Audit events are append-only');
+};
+
+auditEventSchema.pre('save', function() {
+  if (!this.isNew) refuseChange();
+});
+[
+  'updateOne', 'updateMany', 'replaceOne',
+  'findOneAndUpdate', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'
+].forEach(operation => auditEventSchema.pre(operation, refuseChange));
+
+module.exports = mongoose.model('AuditEvent', auditEventSchema);
@@ -0,0 +1,61 @@
+const express = require('express');
+const AuditEvent = require('../models/AuditEvent');
+const { requireAdmin } = require('../middleware/auth');
+const { parseAuditQuery, nextCursor } = require('../services/auditQuery');
+
+const router = express.Router();
+
+const toAuditResponse = (event) => ({
+  id: event._id,
+  action: event.action,
+  result: event.result,
+  actor: event.actor,
+  target: event.target,
+  ip: event.ip,
+  userAgent: event.userAgent,
+  details: event.details,
+  occurredAt: event.occurredAt
+});
+
+// One page of events matching `scope` and the query's filters
+const listEvents = async (req, res, scope, admin) => {
+  const listing = parseAuditQuery(req.query, { admin });
+  if (listing.error) {
+    return res.status(400).json({ error: listing.error });
+  }
+
+  // One extra document tells whether another page follows
+  const found = await AuditEvent.find({ ...listing.filter, ...scope })
+    .sort({ occurredAt: -1, _id: -1 })
+    .limit(listing.limit + 1);
+  const hasMore = found.length > listing.limit;
+  const events = found.slice(0, listing.limit);
+
+  res.json({
+    events: events.map(toAuditResponse),
+    nextCursor: nextCursor(events, hasMore),
+    hasMore
+  });
+};
+
+// The current user's own activity: what they did and what happened to them
+router.get('/', async (req, res) => {
+  try {
+    await listEvents(req, res, { userIds: String(req.user.userId) }, false);
+  } catch (error) {
+    console.error('List audit events error:', error);
+    res.status(500).json({ error: 'Failed to retrieve activity' });
+  }
+});
+
+// Every user's activity, for admins; also filters by userId, targetId and ip
+router.get('/all', requireAdmin, async (req, res) => {
+  try {
+    await listEvents(req, res, {}, true);
+  } catch (error) {
+    console.error('List all audit events error:', error);
+    res.status(500).json({ error: 'Failed to retrieve audit log' });
+  }
+});
+
+module.exports = router;
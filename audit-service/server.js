@@ -0,0 +1,43 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const cors = require('cors');
+require('dotenv').config();
+
+const auditRoutes = require('./routes/audit');
+const { authenticateToken } = require('./middleware/auth');
+const { startConsumer, stopConsumer } = require('./services/consumer');
+
+const app = express();
+
+// Middleware
+app.use(cors());
+app.use(express.json());
+
+// Routes
+app.use('/api/audit', authenticateToken, auditRoutes);
+
+// Health check
+app.get('/health', (req, res) => {
+  res.json({ status: 'OK', service: 'audit-service' });
+});
+
+// Connect to MongoDB, then record events from Kafka
+mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/distributed-storage')
+  .then(() => {
+    console.log('Audit Service: Connected to MongoDB');
+    return startConsumer();
+  })
+  .catch(err => console.error('Audit Service: startup error:', err));
+
+// Graceful shutdown
+process.on('SIGTERM', async () => {
+  console.log('SIGTERM signal received: closing audit service');
+  await stopConsumer();
+  await mongoose.disconnect();
+  process.exit(0);
+});
+
+const PORT = process.env.PORT || 3003;
+app.listen(PORT, () => {
+  console.log(`Audit Service running on port ${PORT}`);
+});
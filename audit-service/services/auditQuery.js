@@ -0,0 +1,97 @@
+// Filters and cursor pagination for the audit log, newest first
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+const ACTION = /^[A-Z][A-Z_]*$/;
+const RESULTS = ['success', 'failure'];
+
+// Position after the last event of a page: its time and id
+const encodeCursor = (event) =>
+  Buffer.from(JSON.stringify({ t: event.occurredAt.toISOString(), id: String(event._id) })).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    const time = new Date(t);
+    if (!/^[a-f\d]{24}$/i.test(id) || Number.isNaN(time.getTime())) return null;
+    return { time, id };
+  } catch (error) {
+    return null;
+  }
+};
+
+const parseDate = (value) => {
+  if (value === undefined || value === '') return undefined;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Turn request query parameters into { filter, limit } to be combined with
+// the caller's scope, or { error } for invalid input. `admin` also allows
+// filtering by user, target and IP address.
+const parseAuditQuery = (query, { admin = false } = {}) => {
+  const filter = {};
+
+  // ?action=FILE_UPLOADED,FILE_DELETED
+  if (query.action) {
+    const actions = String(query.action).split(',').map(action => action.trim()).filter(Boolean);
+    if (actions.some(action => !ACTION.test(action))) {
+      return { error: 'Invalid action' };
+    }
+    if (actions.length > 0) filter.action = { $in: actions };
+  }
+
+  if (query.result) {
+    if (!RESULTS.includes(query.result)) {
+      return { error: `result must be one of ${RESULTS.join(', ')}` };
+    }
+    filter.result = query.result;
+  }
+
+  const from = parseDate(query.from);
+  const to = parseDate(query.to);
+  if (from === null || to === null) {
+    return { error: 'from and to must be valid dates' };
+  }
+  if (from || to) {
+    filter.occurredAt = {
+      ...(from && { $gte: from }),
+      ...(to && { $lt: to })
+    };
+  }
+
+  if (admin) {
+    // Events in the user's history, whether they acted or were acted on
+    if (query.userId) filter.userIds = String(query.userId);
+    if (query.targetId) filter['target.id'] = String(query.targetId);
+    if (query.ip) filter.ip = String(query.ip);
+  }
+
+  const limit = query.limit !== undefined ? parseInt(query.limit, 10) : DEFAULT_LIMIT;
+  if (!Number.isInteger(limit) || limit < 1) {
+    return { error: 'limit must be a positive integer' };
+  }
+
+  // Continue strictly after the cursor position; the id breaks ties
+  if (query.cursor) {
+    const cursor = decodeCursor(query.cursor);
+    if (!cursor) {
+      return { error: 'Invalid cursor' };
+    }
+    filter.$or = [
+      { occurredAt: { $lt: cursor.time } },
+      { occurredAt: cursor.time, _id: { $lt: cursor.id } }
+    ];
+  }
+
+  return { filter, limit: Math.min(limit, MAX_LIMIT) };
+};
+
+// Cursor for the page after `events`, or null when there is none
+const nextCursor = (events, hasMore) => {
+  if (!hasMore || events.length === 0) return null;
+  return encodeCursor(events[events.length - 1]);
+};
+
+module.exports = { parseAuditQuery, nextCursor };
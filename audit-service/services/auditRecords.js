@@ -0,0 +1,106 @@
+// Turns user-events and file-events messages into audit records
+
+// Bookkeeping between services rather than something a user did
+const IGNORED_TYPES = new Set(['PREVIEW_GENERATED']);
+
+// Fields that become part of the record itself; anything else is kept as details
+const RECORD_FIELDS = [
+  'type', 'userId', 'username', 'email', 'result', 'ip', 'userAgent', 'timestamp',
+  'fileId', 'filename', 'sharedBy', 'resourceType', 'resourceId', 'name', 'performedBy',
+  'tokenId', 'tokenName'
+];
+
+const id = (value) => (value === undefined || value === null ? null : String(value));
+
+// Administrative changes to a user's account: the admin is the actor and the
+// account both appear in the history
+const describeAdminAction = (event) => ({
+  actor: { userId: id(event.performedBy?.id), username: event.performedBy?.username },
+  target: { kind: 'user', id: id(event.userId), name: event.username },
+  userIds: [id(event.performedBy?.id), id(event.userId)]
+});
+
+// A user creating or revoking one of their personal access tokens
+const describeAccessTokenChange = (event) => ({
+  actor: { userId: id(event.userId), username: event.username },
+  target: { kind: 'access-token', id: id(event.tokenId), name: event.tokenName }
+});
+
+// Actor, target and the users whose history shows the event, per event type
+const DESCRIBERS = {
+  USER_LOGIN_ATTEMPT: (event) => ({
+    actor: { userId: id(event.userId), username: event.username, email: event.email },
+    target: { kind: 'user', id: id(event.userId), name: event.username || event.email }
+  }),
+  USER_REGISTERED: (event) => ({
+    actor: { userId: id(event.userId), username: event.username, email: event.email },
+    target: { kind: 'user', id: id(event.userId), name: event.username }
+  }),
+  FILE_UPLOADED: (event) => ({
+    actor: { userId: id(event.userId), username: event.username },
+    target: { kind: 'file', id: id(event.fileId), name: event.filename }
+  }),
+  // An admin may delete someone else's file; the owner is still userId
+  FILE_DELETED: (event) => ({
+    actor: event.performedBy
+      ? { userId: id(event.performedBy.id), username: event.performedBy.username }
+      : { userId: id(event.userId), username: event.username },
+    target: { kind: 'file', id: id(event.fileId), name: event.filename }
+  }),
+  // userId is the recipient; the owner who shared is the actor
+  SHARE_RECEIVED: (event) => ({
+    actor: { userId: id(event.sharedBy?.id), username: event.sharedBy?.username },
+    target: { kind: event.resourceType, id: id(event.resourceId), name: event.name },
+    userIds: [id(event.sharedBy?.id), id(event.userId)]
+  }),
+  // Raised by the file service, not by anything the user did
+  QUOTA_WARNING: (event) => ({
+    actor: {},
+    target: { kind: 'user', id: id(event.userId) }
+  }),
+  USER_SUSPENDED: describeAdminAction,
+  USER_REACTIVATED: describeAdminAction,
+  USER_QUOTA_CHANGED: describeAdminAction,
+  USER_ROLE_CHANGED: describeAdminAction,
+  USER_ACCESS_TOKEN_CREATED: describeAccessTokenChange,
+  USER_ACCESS_TOKEN_REVOKED: describeAccessTokenChange
+};
+
+const describeDefault = (event) => ({
+  actor: { userId: id(event.userId), username: event.username }
+});
+
+// Audit record for a Kafka message, or null for events that are not recorded
+const toAuditRecord = (event, source) => {
+  if (!event || typeof event.type !== 'string' || IGNORED_TYPES.has(event.type)) {
+    return null;
+  }
+
+  const described = (DESCRIBERS[event.type] || describeDefault)(event);
+  const actor = described.actor;
+  const userIds = described.userIds || [actor.userId, id(event.userId)];
+
+  const details = {};
+  Object.keys(event)
+    .filter(key => !RECORD_FIELDS.includes(key))
+    .forEach(key => {
+      details[key] = event[key];
+    });
+
+  const occurredAt = new Date(event.timestamp);
+
+  return {
+    action: event.type,
+    result: event.result === 'failure' ? 'failure' : 'success',
+    actor,
+    target: described.target || {},
+    userIds: [...new Set(userIds.filter(Boolean))],
+    ip: event.ip || null,
+    userAgent: event.userAgent || null,
+    details,
+    occurredAt: Number.isNaN(occurredAt.getTime()) ? new Date() : occurredAt,
+    source
+  };
+};
+
+module.exports = { toAuditRecord };
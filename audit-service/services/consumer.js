@@ -0,0 +1,48 @@
+const { Kafka } = require('kafkajs');
+const AuditEvent = require('../models/AuditEvent');
+const { toAuditRecord } = require('./auditRecords');
+
+const TOPICS = ['user-events', 'file-events'];
+
+const kafka = new Kafka({
+  clientId: 'audit-service',
+  brokers: process.env.KAFKA_BROKERS ? process.env.KAFKA_BROKERS.split(',') : ['kafka:29092']
+});
+
+const consumer = kafka.consumer({ groupId: 'audit-service-group' });
+
+const DUPLICATE_KEY = 11000;
+
+// Record one message. Errors other than a malformed or already recorded
+// message are thrown, so Kafka redelivers the message instead of losing it.
+const handleMessage = async ({ topic, partition, message }) => {
+  let event;
+  try {
+    event = JSON.parse(message.value.toString());
+  } catch (error) {
+    console.error(`Skipping malformed ${topic} message:`, error.message);
+    return;
+  }
+
+  const record = toAuditRecord(event, { topic, partition, offset: message.offset });
+  if (!record) return;
+
+  try {
+    await AuditEvent.create(record);
+  } catch (error) {
+    if (error.code !== DUPLICATE_KEY) throw error;
+  }
+};
+
+const startConsumer = async () => {
+  await consumer.connect();
+  for (const topic of TOPICS) {
+    await consumer.subscribe({ topic, fromBeginning: true });
+  }
+  await consumer.run({ eachMessage: handleMessage });
+  console.log(`Audit Service: Consuming ${TOPICS.join(', ')}`);
+};
+
+const stopConsumer = () => consumer.disconnect();
+
+module.exports = { startConsumer, stopConsumer };
@@ -0,0 +1,75 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const {
+  isPersonalAccessToken,
+  authenticatePersonalAccessToken
+} = require('../services/personalAccessTokens');
+
+// Client address forwarded by the gateway or the file service, if any
+const forwardedIp = (req) => req.headers['x-forwarded-for']?.split(',')[0].trim() || null;
+
+// Accepts access tokens from a login and personal access tokens. For the
+// latter, req.user also carries the token's id and scopes.
+const authenticateToken = async (req, res, next) => {
+  const token = req.headers.authorization?.split(' ')[1];
+
+  if (!token) {
+    return res.status(401).json({ error: 'No token provided' });
+  }
+
+  if (isPersonalAccessToken(token)) {
+    try {
+      const found = await authenticatePersonalAccessToken(token, forwardedIp(req));
+      if (!found) {
+        return res.status(401).json({ error: 'Invalid or expired token' });
+      }
+
+      req.user = {
+        userId: found.user._id,
+        username: found.user.username,
+        role: found.user.role,
+        tokenId: found.record._id,
+        scopes: found.record.scopes
+      };
+      return next();
+    } catch (error) {
+      console.error('Personal access token error:', error);
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  try {
+    req.user = jwt.verify(token, process.env.JWT_SECRET || 'default-secret');
+    next();
+  } catch (error) {
+    res.status(401).json({ error: 'Invalid or expired token' });
+  }
+};
+
+// After authenticateToken: account settings need a signed-in user, not a
+// personal access token
+const requireSession = (req, res, next) => {
+  if (req.user.scopes) {
+    return res.status(403).json({ error: 'Personal access tokens cannot be used for this request' });
+  }
+  next();
+};
+
+// After authenticateToken: the caller must currently be an active admin.
+// Checked against the database, so a revoked role stops working at once.
+const requireAdmin = async (req, res, next) => {
+  try {
+    const admin = !req.user.scopes && await User.findById(req.user.userId);
+    if (!admin || admin.role !== 'admin' || admin.status !== 'active') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    req.admin = admin;
+    next();
+  } catch (error) {
+    console.error('Admin check error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = { authenticateToken, requireSession, requireAdmin };
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// Single-use token sent by email to prove control of the address, either to
+// verify it or to reset the password, or handed out after the password step
+// of a login that still needs a second factor, or after a single sign-on to
+// start the session in the browser. Only its SHA-256 hash is stored.
+const accountTokenSchema = new mongoose.Schema({
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'User'
+  },
+  purpose: {
+    type: String,
+    enum: ['verify-email', 'reset-password', 'login-challenge', 'sso-login', 'sso-link'],
+    required: true
+  },
+  // Facts for whoever uses the token, e.g. which provider an SSO login came from
+  context: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Wrong codes entered against a login challenge
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Set once the token has been used, or replaced by a newer one
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+accountTokenSchema.index({ userId: 1, purpose: 1 });
+// Expired tokens are removed by MongoDB
+accountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AccountToken', accountTokenSchema);
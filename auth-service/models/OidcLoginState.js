@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// A single sign-on in progress: what the callback from the identity provider
+// must match (state and nonce), the PKCE verifier for its code, and the user
+// when it links the identity to their account rather than signing in
+const oidcLoginStateSchema = new mongoose.Schema({
+  state: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  codeVerifier: {
+    type: String,
+    required: true
+  },
+  linkUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Abandoned sign-ins are removed by MongoDB
+oidcLoginStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('OidcLoginState', oidcLoginStateSchema);
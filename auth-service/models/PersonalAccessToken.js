@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// Long-lived credential for scripts and automation, limited to its scopes.
+// Only the SHA-256 hash of the token is stored.
+const personalAccessTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Start of the token, so users can tell their tokens apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  scopes: [{
+    type: String,
+    enum: ['files:read', 'files:write', 'files:delete', 'files:share']
+  }],
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('PersonalAccessToken', personalAccessTokenSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// A refresh token is only stored as a SHA-256 hash. Each use replaces it with
+// a new token in the same family, so presenting a replaced token means it was
+// copied, and the whole family is revoked (see services/tokens.js).
+const refreshTokenSchema = new mongoose.Schema({
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'User'
+  },
+  // Shared by all tokens descending from one login
+  familyId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  // Set when the token was rotated rather than revoked by a logout
+  replacedAt: {
+    type: Date,
+    default: null
+  },
+  // Set when the token was redeemed once more within the rotation grace period
+  graceUsedAt: {
+    type: Date,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+refreshTokenSchema.index({ userId: 1 });
+// Expired tokens are removed by MongoDB
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -17,17 +17,99 @@ const userSchema = new mongoose.Schema({
     trim: true,
     lowercase: true
   },
+  // Users who only sign in through an identity provider have no password
   password: {
     type: String,
-    required: true,
+    required: function() {
+      return this.identities.length === 0;
+    },
     minlength: 6
   },
+  // Accounts at OpenID Connect identity providers that sign in as this user
+  identities: [{
+    _id: false,
+    provider: {
+      type: String,
+      required: true
+    },
+    // The provider's "sub" claim
+    subject: {
+      type: String,
+      required: true
+    },
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // false until the user follows the link emailed at registration. Accounts
+  // created before email verification existed have no value and count as verified.
+  emailVerified: {
+    type: Boolean
+  },
+  // Admins manage users and see every user's activity in the audit log
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
+  // Suspended users cannot sign in or refresh their sessions
+  status: {
+    type: String,
+    enum: ['active', 'suspended'],
+    default: 'active'
+  },
+  suspendedAt: {
+    type: Date,
+    default: null
+  },
+  // TOTP two-factor authentication (see services/twoFactor.js)
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      default: null
+    },
+    // Created by setup; becomes the secret once a code from it is confirmed
+    pendingSecret: {
+      type: String,
+      default: null
+    },
+    // SHA-256 hashes of the recovery codes not used yet
+    recoveryCodes: {
+      type: [String],
+      default: []
+    },
+    // Time step of the last accepted code, so each code works only once
+    lastUsedStep: {
+      type: Number,
+      default: null
+    },
+    enabledAt: {
+      type: Date,
+      default: null
+    }
+  },
+  // Storage quota in bytes; null means DEFAULT_STORAGE_QUOTA applies
+  storageQuota: {
+    type: Number,
+    default: null,
+    min: 0
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
 });
 
+userSchema.index(
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'identities.provider': { $exists: true } } }
+);
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -37,8 +119,21 @@ userSchema.pre('save', async function(next) {
 
 // Compare password method
 userSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!this.password) return false;
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+userSchema.methods.hasVerifiedEmail = function() {
+  return this.emailVerified !== false;
+};
+
+// Quota that applies to the user, in bytes
+userSchema.methods.getStorageQuota = function() {
+  if (this.storageQuota !== null && this.storageQuota !== undefined) {
+    return this.storageQuota;
+  }
+  return parseInt(process.env.DEFAULT_STORAGE_QUOTA, 10) || 5 * 1024 * 1024 * 1024; // 5GB
+};
+
 module.exports = mongoose.model('User', userSchema);
 
@@ -0,0 +1,157 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { revokeUserTokens } = require('../services/tokens');
+
+const router = express.Router();
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const toAdminUserResponse = (user) => ({
+  id: user._id,
+  username: user.username,
+  email: user.email,
+  role: user.role,
+  status: user.status,
+  emailVerified: user.hasVerifiedEmail(),
+  twoFactorEnabled: user.twoFactor.enabled,
+  storageQuota: user.getStorageQuota(),
+  quotaIsDefault: user.storageQuota === null || user.storageQuota === undefined,
+  createdAt: user.createdAt,
+  suspendedAt: user.suspendedAt
+});
+
+router.use(authenticateToken, requireAdmin);
+
+// Load the user named in the path as req.target
+const findTarget = async (req, res, next) => {
+  try {
+    const user = mongoose.isValidObjectId(req.params.id) && await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    req.target = user;
+    next();
+  } catch (error) {
+    console.error('Find user error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Admins cannot suspend or demote themselves, so there is always one left
+const refuseSelf = (req, res, next) => {
+  if (req.target._id.equals(req.admin._id)) {
+    return res.status(400).json({ error: 'You cannot change your own account here' });
+  }
+  next();
+};
+
+// List users, newest first; ?q= matches username or email, ?role= and
+// ?status= filter, ?page= and ?limit= page through the results
+router.get('/users', async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.q) {
+      const pattern = { $regex: escapeRegex(String(req.query.q).trim()), $options: 'i' };
+      filter.$or = [{ username: pattern }, { email: pattern }];
+    }
+    if (req.query.role) filter.role = String(req.query.role);
+    if (req.query.status) filter.status = String(req.query.status);
+
+    const page = Math.max(parseInt(req.query.page, 10) || 0, 0);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+    const [users, total] = await Promise.all([
+      User.find(filter).sort({ createdAt: -1, _id: -1 }).skip(page * limit).limit(limit),
+      User.countDocuments(filter)
+    ]);
+
+    res.json({ users: users.map(toAdminUserResponse), total, page, limit });
+  } catch (error) {
+    console.error('Admin list users error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.get('/users/:id', findTarget, (req, res) => {
+  res.json({ user: toAdminUserResponse(req.target) });
+});
+
+// Suspend an account and end its sessions; the gateway also rejects the
+// access tokens it has already been issued
+router.post('/users/:id/suspend', findTarget, refuseSelf, async (req, res) => {
+  try {
+    const user = req.target;
+    if (user.status !== 'suspended') {
+      user.status = 'suspended';
+      user.suspendedAt = new Date();
+      await user.save();
+      await revokeUserTokens(user._id);
+    }
+
+    res.json({ message: `${user.username} has been suspended`, user: toAdminUserResponse(user) });
+  } catch (error) {
+    console.error('Suspend user error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.post('/users/:id/reactivate', findTarget, async (req, res) => {
+  try {
+    const user = req.target;
+    user.status = 'active';
+    user.suspendedAt = null;
+    await user.save();
+
+    res.json({ message: `${user.username} has been reactivated`, user: toAdminUserResponse(user) });
+  } catch (error) {
+    console.error('Reactivate user error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Set a storage quota in bytes, or reset it to the default with null
+router.put('/users/:id/quota', findTarget, async (req, res) => {
+  try {
+    const { quota } = req.body;
+    if (quota !== null && !(Number.isSafeInteger(quota) && quota >= 0)) {
+      return res.status(400).json({ error: 'quota must be a non-negative number of bytes, or null for the default' });
+    }
+
+    const user = req.target;
+    user.storageQuota = quota;
+    await user.save();
+
+    res.json({ message: `Storage quota updated for ${user.username}`, user: toAdminUserResponse(user) });
+  } catch (error) {
+    console.error('Set quota error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Change a user's role; it applies from their next token refresh
+router.put('/users/:id/role', findTarget, refuseSelf, async (req, res) => {
+  try {
+    const { role } = req.body;
+    const roles = User.schema.path('role').enumValues;
+    if (!roles.includes(role)) {
+      return res.status(400).json({ error: `role must be one of ${roles.join(', ')}` });
+    }
+
+    const user = req.target;
+    user.role = role;
+    await user.save();
+
+    res.json({ message: `${user.username} is now ${role === 'admin' ? 'an admin' : 'a regular user'}`, user: toAdminUserResponse(user) });
+  } catch (error) {
+    console.error('Set role error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,81 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  issueTokens,
+  sessionResponse,
+  consumeRefreshToken,
+  revokeRefreshToken,
+  revokeUserTokens
+} = require('../services/tokens');
+const {
+  createAccountToken,
+  consumeAccountToken,
+  findAccountToken,
+  recordFailedAttempt
+} = require('../services/accountTokens');
+const {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendLoginLockoutEmail
+} = require('../services/mailer');
+const { useSecondFactor } = require('../services/twoFactor');
+const {
+  LOCKOUT_SECONDS,
+  reserveLoginAttempt,
+  recordLoginFailure,
+  releaseLoginAttempt,
+  clearLoginFailures
+} = require('../services/loginThrottle');
 
 const router = express.Router();
 
+const MIN_PASSWORD_LENGTH = 6;
+
+// Email a fresh verification link; failures are logged so the user can ask again
+const emailVerificationLink = async (user) => {
+  try {
+    await sendVerificationEmail(user, await createAccountToken(user._id, 'verify-email'));
+  } catch (error) {
+    console.error('Verification email error:', error);
+  }
+};
+
+// 429 for a sign-in that has to wait after repeated failures, or 503 when
+// attempts cannot be counted
+const tooManyAttempts = (res, { retryAfter, lockedOut, unavailable }) => {
+  if (unavailable) {
+    return res.status(503).json({ error: 'Sign-in is temporarily unavailable. Try again shortly.' });
+  }
+
+  const wait = retryAfter >= 120
+    ? `${Math.ceil(retryAfter / 60)} minutes`
+    : `${retryAfter} second${retryAfter === 1 ? '' : 's'}`;
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    error: lockedOut
+      ? `Too many failed sign-in attempts. Sign-in is locked; try again in ${wait}.`
+      : `Too many failed sign-in attempts. Try again in ${wait}.`,
+    retryAfter,
+    lockedOut
+  });
+};
+
+// Count a failed sign-in, and tell the account holder when it locks them out
+const loginFailed = async (attempt, user) => {
+  const { accountLockedOut, ipLockedOut } = await recordLoginFailure(attempt);
+  if (ipLockedOut) {
+    console.warn(`Sign-in from ${attempt.ip} locked out after repeated failures`);
+  }
+  if (accountLockedOut && user) {
+    try {
+      await sendLoginLockoutEmail(user, { ip: attempt.ip, minutes: LOCKOUT_SECONDS / 60 });
+    } catch (error) {
+      console.error('Lockout email error:', error);
+    }
+  }
+};
+
 // Register new user
 router.post('/register', async (req, res) => {
   try {
@@ -16,9 +88,9 @@ router.post('/register', async (req, res) => {
       });
     }
 
-    if (password.length < 6) {
+    if (password.length < MIN_PASSWORD_LENGTH) {
       return res.status(400).json({ 
-        error: 'Password must be at least 6 characters long' 
+        error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long` 
       });
     }
 
@@ -33,24 +105,19 @@ router.post('/register', async (req, res) => {
       });
     }
 
-    // Create new user
-    const user = new User({ username, email, password });
+    // Create new user; they can sign in once they have confirmed their email
+    const user = new User({ username, email, password, emailVerified: false });
     await user.save();
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id, username: user.username },
-      process.env.JWT_SECRET || 'default-secret',
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
+    await emailVerificationLink(user);
 
     res.status(201).json({
-      message: 'User registered successfully',
-      token,
+      message: 'User registered successfully. Check your email to confirm your address before signing in.',
       user: {
         id: user._id,
         username: user.username,
-        email: user.email
+        email: user.email,
+        role: user.role
       }
     });
   } catch (error) {
@@ -71,56 +138,245 @@ router.post('/login', async (req, res) => {
       });
     }
 
-    // Find user
+    // Refuse without checking the password while failures are being throttled
+    const attempt = { email, ip: req.ip };
+    const throttled = await reserveLoginAttempt(attempt);
+    if (throttled) {
+      return tooManyAttempts(res, throttled);
+    }
+
+    // Find user and check password
     const user = await User.findOne({ email });
-    if (!user) {
+    if (!user || !await user.comparePassword(password)) {
+      await loginFailed(attempt, user);
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    // Check password
-    const isPasswordValid = await user.comparePassword(password);
-    if (!isPasswordValid) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+    // The password was right, so whatever happens next it is not a failure
+    if (user.status === 'suspended') {
+      await releaseLoginAttempt(attempt);
+      return res.status(403).json({ error: 'Account suspended' });
+    }
+
+    if (!user.hasVerifiedEmail()) {
+      await releaseLoginAttempt(attempt);
+      return res.status(403).json({ error: 'Email address not verified', emailVerified: false });
+    }
+
+    // With 2FA on, the password only earns a challenge for POST /login/2fa
+    if (user.twoFactor.enabled) {
+      await releaseLoginAttempt(attempt);
+      return res.json({
+        message: 'Enter the code from your authenticator app',
+        twoFactorRequired: true,
+        challengeToken: await createAccountToken(user._id, 'login-challenge')
+      });
+    }
+
+    // Short-lived access token plus a refresh token for a new session
+    await clearLoginFailures(attempt);
+    res.json(await sessionResponse(req, user));
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Second login step: exchange the challenge from /login and a code from the
+// authenticator app (or a recovery code) for a session. A challenge lasts five
+// minutes and stops working after five wrong codes.
+router.post('/login/2fa', async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    const challenge = await findAccountToken(challengeToken, 'login-challenge');
+    const user = challenge && await User.findById(challenge.userId);
+    if (!user || user.status === 'suspended' || !user.twoFactor.enabled) {
+      return res.status(401).json({ error: 'Sign-in attempt expired; sign in again' });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id, username: user.username },
-      process.env.JWT_SECRET || 'default-secret',
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
+    // Wrong codes count against the account like wrong passwords
+    const attempt = { email: user.email, ip: req.ip };
+    const throttled = await reserveLoginAttempt(attempt);
+    if (throttled) {
+      return tooManyAttempts(res, throttled);
+    }
+
+    const method = await useSecondFactor(user, code);
+    if (!method) {
+      await recordFailedAttempt(challenge);
+      await loginFailed(attempt, user);
+      return res.status(401).json({ error: 'Invalid authentication code' });
+    }
+    if (!await consumeAccountToken(challengeToken, 'login-challenge')) {
+      await releaseLoginAttempt(attempt);
+      return res.status(401).json({ error: 'Sign-in attempt expired; sign in again' });
+    }
 
+    await clearLoginFailures(attempt);
     res.json({
-      message: 'Login successful',
-      token,
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email
-      }
+      ...await sessionResponse(req, user),
+      secondFactor: method,
+      ...(method === 'recovery' && { recoveryCodesRemaining: user.twoFactor.recoveryCodes.length })
     });
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Confirm an email address with the token from the link sent at registration
+router.post('/verify-email', async (req, res) => {
+  try {
+    const userId = await consumeAccountToken(req.body.token, 'verify-email');
+    const user = userId && await User.findById(userId);
+    if (!user) {
+      return res.status(400).json({ error: 'Invalid or expired verification link' });
+    }
+
+    user.emailVerified = true;
+    await user.save();
+
+    res.json({
+      message: 'Email address verified. You can now sign in.',
+      user: { id: user._id, username: user.username }
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Send a new verification link. The response is the same whether or not the
+// address belongs to an unverified account, so it cannot be used to find accounts.
+router.post('/resend-verification', async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+    if (user && !user.hasVerifiedEmail()) {
+      await emailVerificationLink(user);
+    }
+
+    res.json({ message: 'If that account is waiting for confirmation, a new link is on its way.' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Verify token
-router.get('/verify', async (req, res) => {
+// Email a password reset link; like resend-verification, the response does not
+// reveal whether the account exists
+router.post('/forgot-password', async (req, res) => {
   try {
-    const token = req.headers.authorization?.split(' ')[1];
+    const { email } = req.body;
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
 
-    if (!token) {
-      return res.status(401).json({ error: 'No token provided' });
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+    if (user) {
+      try {
+        await sendPasswordResetEmail(user, await createAccountToken(user._id, 'reset-password'));
+      } catch (error) {
+        console.error('Password reset email error:', error);
+      }
     }
 
-    const decoded = jwt.verify(
-      token,
-      process.env.JWT_SECRET || 'default-secret'
-    );
+    res.json({ message: 'If an account uses that email address, a link to reset its password is on its way.' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    const user = await User.findById(decoded.userId).select('-password');
+// Set a new password with the token from a reset link. Every session of the
+// user ends, and the email address counts as verified since the link reached it.
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`
+      });
+    }
+
+    const userId = await consumeAccountToken(token, 'reset-password');
+    const user = userId && await User.findById(userId);
     if (!user) {
+      return res.status(400).json({ error: 'Invalid or expired reset link' });
+    }
+
+    user.password = password;
+    user.emailVerified = true;
+    await user.save();
+    await revokeUserTokens(user._id);
+
+    res.json({
+      message: 'Your password has been reset. Sign in with your new password.',
+      user: { id: user._id, username: user.username }
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Exchange a refresh token for a new access token and refresh token.
+// Each refresh token works once; reusing one revokes its whole session.
+router.post('/refresh', async (req, res) => {
+  try {
+    const result = await consumeRefreshToken(req.body.refreshToken);
+    if (!result) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+    if (result.reused) {
+      console.warn(`Refresh token reuse detected for user ${result.userId}; session revoked`);
+      return res.status(401).json({ error: 'Refresh token has already been used' });
+    }
+
+    const user = await User.findById(result.userId);
+    if (!user || user.status === 'suspended') {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    const tokens = await issueTokens(user, {
+      familyId: result.familyId,
+      userAgent: req.headers['user-agent']
+    });
+
+    res.json(tokens);
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// End the session of a refresh token, or every session of its user with allSessions.
+// The API gateway revokes the access token sent in the Authorization header.
+router.post('/logout', async (req, res) => {
+  try {
+    const userId = await revokeRefreshToken(req.body.refreshToken);
+    if (userId && req.body.allSessions) {
+      await revokeUserTokens(userId);
+    }
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Verify an access token or a personal access token; the gateway and the file
+// service check personal access tokens here
+router.get('/verify', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select('-password');
+    if (!user || user.status === 'suspended') {
       return res.status(401).json({ error: 'Invalid token' });
     }
 
@@ -129,11 +385,15 @@ router.get('/verify', async (req, res) => {
       user: {
         id: user._id,
         username: user.username,
-        email: user.email
-      }
+        email: user.email,
+        role: user.role
+      },
+      // Personal access tokens only allow what their scopes say
+      ...(req.user.scopes && { tokenId: req.user.tokenId, scopes: req.user.scopes })
     });
   } catch (error) {
-    res.status(401).json({ error: 'Invalid or expired token' });
+    console.error('Verify token error:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
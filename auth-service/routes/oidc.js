@@ -0,0 +1,189 @@
+const express = require('express');
+const User = require('../models/User');
+const { authenticateToken, requireSession } = require('../middleware/auth');
+const { sessionResponse } = require('../services/tokens');
+const { createAccountToken, consumeAccountToken } = require('../services/accountTokens');
+const {
+  LOGIN_STATE_TTL_MS,
+  OidcLoginError,
+  listProviders,
+  getProvider,
+  beginLogin,
+  finishLogin
+} = require('../services/oidc');
+
+const router = express.Router();
+
+const APP_URL = (process.env.APP_URL || 'http://localhost:8080').replace(/\/$/, '');
+
+// Back to the frontend, which finishes the sign-in (or shows what went wrong)
+const frontendCallback = (params) => `${APP_URL}/oidc/callback?${new URLSearchParams(params)}`;
+
+// The state of a sign-in in progress is also kept in this browser, and the
+// callback must bring back the same one
+const STATE_COOKIE = 'oidc_state';
+
+const stateCookieOptions = (req) => ({
+  httpOnly: true,
+  // Lax, since the callback is a top-level navigation from the provider's site
+  sameSite: 'lax',
+  secure: req.secure,
+  path: `/api/auth/oidc/${req.provider.id}`
+});
+
+const readCookie = (req, name) => {
+  for (const pair of (req.headers.cookie || '').split(';')) {
+    const separator = pair.indexOf('=');
+    if (separator !== -1 && pair.slice(0, separator).trim() === name) {
+      return decodeURIComponent(pair.slice(separator + 1).trim());
+    }
+  }
+  return null;
+};
+
+const findProvider = (req, res, next) => {
+  req.provider = getProvider(req.params.provider);
+  if (!req.provider) {
+    return res.status(404).json({ error: 'Unknown sign-in provider' });
+  }
+  next();
+};
+
+// Identity providers offered on the login page
+router.get('/providers', (req, res) => {
+  res.json({ providers: listProviders() });
+});
+
+// The signed-in user's linked identities, by provider
+router.get('/identities', authenticateToken, requireSession, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({
+      identities: user.identities.map(({ provider, linkedAt }) => ({ provider, linkedAt })),
+      hasPassword: Boolean(user.password)
+    });
+  } catch (error) {
+    console.error('List identities error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Start linking an identity at the provider to the signed-in user. The browser
+// goes to /:provider/login?link=<linkToken>, a one-minute, single-use token.
+router.post('/:provider/link', authenticateToken, requireSession, findProvider, async (req, res) => {
+  try {
+    res.json({ linkToken: await createAccountToken(req.user.userId, 'sso-link', { provider: req.provider.id }) });
+  } catch (error) {
+    console.error('Start identity link error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Unlink the signed-in user's identity at the provider
+router.delete('/:provider/link', authenticateToken, requireSession, findProvider, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const remaining = user.identities.filter(identity => identity.provider !== req.provider.id);
+    if (remaining.length === user.identities.length) {
+      return res.status(404).json({ error: `${req.provider.name} is not linked` });
+    }
+    if (remaining.length === 0 && !user.password) {
+      return res.status(400).json({ error: 'Set a password before unlinking, or you will not be able to sign in' });
+    }
+
+    user.identities = remaining;
+    await user.save();
+
+    res.json({ message: `${req.provider.name} unlinked` });
+  } catch (error) {
+    console.error('Unlink identity error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Start an authorization-code sign-in with PKCE at the provider, or a link
+// when started with a link token
+router.get('/:provider/login', findProvider, async (req, res) => {
+  try {
+    let linkUserId = null;
+    if (req.query.link) {
+      const started = await consumeAccountToken(req.query.link, 'sso-link', { withContext: true });
+      if (!started || started.context?.provider !== req.provider.id) {
+        return res.redirect(frontendCallback({ error: 'Linking expired; try again' }));
+      }
+      linkUserId = started.userId;
+    }
+
+    const { url, state } = await beginLogin(req.provider, { linkUserId });
+    res.cookie(STATE_COOKIE, state, { ...stateCookieOptions(req), maxAge: LOGIN_STATE_TTL_MS });
+    res.redirect(url);
+  } catch (error) {
+    console.error('OIDC login error:', error);
+    res.redirect(frontendCallback({ error: `${req.provider.name} is not reachable right now` }));
+  }
+});
+
+// The provider sends the browser back here. The session itself is handed over
+// through a one-minute, single-use code so no tokens end up in URLs; a link
+// only reports which provider was linked.
+router.get('/:provider/callback', findProvider, async (req, res) => {
+  try {
+    const browserState = readCookie(req, STATE_COOKIE);
+    res.clearCookie(STATE_COOKIE, stateCookieOptions(req));
+
+    const { user, created, linked } = await finishLogin(req.provider, req, browserState);
+    if (linked) {
+      return res.redirect(frontendCallback({ linked: req.provider.id }));
+    }
+
+    const code = await createAccountToken(user._id, 'sso-login', { provider: req.provider.id, created });
+
+    res.redirect(frontendCallback({ code }));
+  } catch (error) {
+    if (!(error instanceof OidcLoginError)) {
+      console.error('OIDC callback error:', error);
+    }
+    const message = error instanceof OidcLoginError ? error.message : `Sign-in with ${req.provider.name} failed`;
+    res.redirect(frontendCallback({ error: message }));
+  }
+});
+
+// Exchange the code from the callback for a session. Accounts with 2FA turned
+// on get a challenge instead, finished with POST /login/2fa like a password
+// sign-in, so an identity provider cannot stand in for the second factor.
+router.post('/exchange', async (req, res) => {
+  try {
+    const handoff = await consumeAccountToken(req.body.code, 'sso-login', { withContext: true });
+    const user = handoff && await User.findById(handoff.userId);
+    if (!user || user.status === 'suspended') {
+      return res.status(401).json({ error: 'Sign-in attempt expired; sign in again' });
+    }
+
+    if (user.twoFactor.enabled) {
+      return res.json({
+        message: 'Enter the code from your authenticator app',
+        twoFactorRequired: true,
+        challengeToken: await createAccountToken(user._id, 'login-challenge'),
+        sso: handoff.context
+      });
+    }
+
+    res.json({
+      ...await sessionResponse(req, user),
+      sso: handoff.context
+    });
+  } catch (error) {
+    console.error('OIDC exchange error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
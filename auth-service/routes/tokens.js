@@ -0,0 +1,95 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const { authenticateToken, requireSession } = require('../middleware/auth');
+const { SCOPES, createPersonalAccessToken } = require('../services/personalAccessTokens');
+
+const router = express.Router();
+
+const MAX_TOKENS_PER_USER = 50;
+const MAX_EXPIRY_DAYS = 365;
+
+const toTokenResponse = (record) => ({
+  id: record._id,
+  name: record.name,
+  prefix: record.prefix,
+  scopes: record.scopes,
+  createdAt: record.createdAt,
+  expiresAt: record.expiresAt,
+  lastUsedAt: record.lastUsedAt,
+  lastUsedIp: record.lastUsedIp
+});
+
+// Tokens are managed by the signed-in user, never with another token
+router.use(authenticateToken, requireSession);
+
+// The user's tokens, newest first, including expired ones
+router.get('/', async (req, res) => {
+  try {
+    const records = await PersonalAccessToken.find({ userId: req.user.userId }).sort({ createdAt: -1 });
+
+    res.json({ tokens: records.map(toTokenResponse), scopes: SCOPES });
+  } catch (error) {
+    console.error('List access tokens error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create a token with { name, scopes, expiresInDays }; the response carries
+// the token itself, which cannot be retrieved again
+router.post('/', async (req, res) => {
+  try {
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    const { scopes, expiresInDays } = req.body;
+
+    if (!name || name.length > 100) {
+      return res.status(400).json({ error: 'Name is required and must be at most 100 characters' });
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(scope => SCOPES.includes(scope))) {
+      return res.status(400).json({ error: `Scopes must be one or more of ${SCOPES.join(', ')}` });
+    }
+    if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > MAX_EXPIRY_DAYS) {
+      return res.status(400).json({ error: `Expiry must be between 1 and ${MAX_EXPIRY_DAYS} days` });
+    }
+
+    const count = await PersonalAccessToken.countDocuments({ userId: req.user.userId });
+    if (count >= MAX_TOKENS_PER_USER) {
+      return res.status(400).json({ error: `You can have at most ${MAX_TOKENS_PER_USER} access tokens; revoke some first` });
+    }
+
+    const { token, record } = await createPersonalAccessToken(req.user.userId, {
+      name,
+      scopes: [...new Set(scopes)],
+      expiresInDays
+    });
+
+    res.status(201).json({
+      message: 'Access token created. Copy it now; it will not be shown again.',
+      token,
+      accessToken: toTokenResponse(record)
+    });
+  } catch (error) {
+    console.error('Create access token error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Revoke a token; it stops working at once
+router.delete('/:id', async (req, res) => {
+  try {
+    const record = mongoose.isValidObjectId(req.params.id) && await PersonalAccessToken.findOneAndDelete({
+      _id: req.params.id,
+      userId: req.user.userId
+    });
+    if (!record) {
+      return res.status(404).json({ error: 'Access token not found' });
+    }
+
+    res.json({ message: `${record.name} was revoked`, accessToken: toTokenResponse(record) });
+  } catch (error) {
+    console.error('Revoke access token error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,160 @@
+const express = require('express');
+const User = require('../models/User');
+const { authenticateToken, requireSession } = require('../middleware/auth');
+const {
+  createEnrollment,
+  verifyTotp,
+  generateRecoveryCodes,
+  useSecondFactor
+} = require('../services/twoFactor');
+
+const router = express.Router();
+
+router.use(authenticateToken, requireSession);
+
+// Load the signed-in user as req.account
+router.use(async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    req.account = user;
+    next();
+  } catch (error) {
+    console.error('Find user error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+const toStatusResponse = (user) => ({
+  enabled: user.twoFactor.enabled,
+  enabledAt: user.twoFactor.enabledAt,
+  recoveryCodesRemaining: user.twoFactor.enabled ? user.twoFactor.recoveryCodes.length : 0
+});
+
+router.get('/', (req, res) => {
+  res.json(toStatusResponse(req.account));
+});
+
+// Start enrolling: a new secret to add to an authenticator app, as a QR code
+// and as text. Nothing changes until /enable confirms a code from it.
+router.post('/setup', async (req, res) => {
+  try {
+    const user = req.account;
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+    if (!req.body.password || !await user.comparePassword(req.body.password)) {
+      return res.status(400).json({ error: 'Incorrect password' });
+    }
+
+    const enrollment = await createEnrollment(user);
+    user.twoFactor.pendingSecret = enrollment.secret;
+    await user.save();
+
+    res.json(enrollment);
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Finish enrolling with a code from the new secret. The recovery codes are
+// returned this once and only their hashes are kept.
+router.post('/enable', async (req, res) => {
+  try {
+    const user = req.account;
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({ error: 'Start the setup first' });
+    }
+
+    const step = verifyTotp(user.twoFactor.pendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor = {
+      enabled: true,
+      secret: user.twoFactor.pendingSecret,
+      pendingSecret: null,
+      recoveryCodes: hashes,
+      lastUsedStep: step,
+      enabledAt: new Date()
+    };
+    await user.save();
+
+    res.json({
+      message: 'Two-factor authentication is now enabled',
+      recoveryCodes: codes,
+      ...toStatusResponse(user)
+    });
+  } catch (error) {
+    console.error('Enable two-factor error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Turn 2FA off; needs the password and a current code or a recovery code
+router.post('/disable', async (req, res) => {
+  try {
+    const user = req.account;
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+    if (!req.body.password || !await user.comparePassword(req.body.password)) {
+      return res.status(400).json({ error: 'Incorrect password' });
+    }
+    if (!await useSecondFactor(user, req.body.code)) {
+      return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+
+    user.twoFactor = {
+      enabled: false,
+      secret: null,
+      pendingSecret: null,
+      recoveryCodes: [],
+      lastUsedStep: null,
+      enabledAt: null
+    };
+    await user.save();
+
+    res.json({ message: 'Two-factor authentication is now disabled', ...toStatusResponse(user) });
+  } catch (error) {
+    console.error('Disable two-factor error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Replace every recovery code with new ones
+router.post('/recovery-codes', async (req, res) => {
+  try {
+    const user = req.account;
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+    if (!await useSecondFactor(user, req.body.code)) {
+      return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = hashes;
+    await user.save();
+
+    res.json({
+      message: 'New recovery codes generated; the old ones no longer work',
+      recoveryCodes: codes,
+      ...toStatusResponse(user)
+    });
+  } catch (error) {
+    console.error('Recovery codes error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
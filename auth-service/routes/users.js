@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const express = require('express');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const redisClient = require('../services/redis');
+const { authenticateToken, requireSession } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Email lookups a user may make (through the file service, when sharing) per window
+const LOOKUP_LIMIT = parseInt(process.env.USER_LOOKUP_LIMIT, 10) || 30;
+const LOOKUP_WINDOW_SECONDS = 15 * 60;
+
+const toUserResponse = (user) => ({
+  id: user._id,
+  username: user.username,
+  email: user.email
+});
+
+// What any signed-in user may learn about another
+const toPublicUserResponse = (user) => ({
+  id: user._id,
+  username: user.username
+});
+
+const isServiceSecret = (value) => {
+  const secret = process.env.AUTH_SERVICE_SECRET;
+  if (!secret || typeof value !== 'string') return false;
+
+  const expected = Buffer.from(secret);
+  const actual = Buffer.from(value);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// The file service calls with AUTH_SERVICE_SECRET in X-Service-Secret and may
+// name the user it acts for in X-User-Id; anyone else needs a signed-in user
+// (no personal access tokens)
+const authenticateCaller = (req, res, next) => {
+  if (req.headers['x-service-secret'] !== undefined) {
+    if (!isServiceSecret(req.headers['x-service-secret'])) {
+      return res.status(401).json({ error: 'Invalid service credentials' });
+    }
+    req.service = { actingUserId: req.headers['x-user-id'] || null };
+    return next();
+  }
+
+  authenticateToken(req, res, () => requireSession(req, res, next));
+};
+
+const requireService = (req, res, next) => {
+  if (!req.service) {
+    return res.status(403).json({ error: 'Only the file service can look up users by email address' });
+  }
+  next();
+};
+
+// Count a lookup against the acting user; refused while Redis is unavailable,
+// since lookups would otherwise be unlimited
+const limitLookups = async (req, res, next) => {
+  const key = `user-lookups:${req.service.actingUserId || 'service'}`;
+  try {
+    const [, count] = await redisClient.multi()
+      .set(key, '0', { EX: LOOKUP_WINDOW_SECONDS, NX: true })
+      .incr(key)
+      .exec();
+    if (count > LOOKUP_LIMIT) {
+      const ttl = await redisClient.ttl(key);
+      res.set('Retry-After', String(ttl > 0 ? ttl : LOOKUP_WINDOW_SECONDS));
+      return res.status(429).json({ error: 'Too many lookups' });
+    }
+    next();
+  } catch (error) {
+    console.error('User lookup limit error:', error.message);
+    res.status(503).json({ error: 'User lookup is temporarily unavailable' });
+  }
+};
+
+router.use(authenticateCaller);
+
+// Find a user by exact email address, for sharing. Only the file service may
+// ask, and only as often as LOOKUP_LIMIT allows per acting user.
+router.get('/lookup', requireService, limitLookups, async (req, res) => {
+  try {
+    const email = String(req.query.email || '').trim().toLowerCase();
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+
+    const user = await User.findOne({ email });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({ user: toPublicUserResponse(user) });
+  } catch (error) {
+    console.error('User lookup error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Profiles for ?ids=id1,id2,...; email addresses only for the file service
+router.get('/', async (req, res) => {
+  try {
+    const ids = String(req.query.ids || '')
+      .split(',')
+      .filter(id => mongoose.isValidObjectId(id))
+      .slice(0, 100);
+
+    const users = ids.length > 0 ? await User.find({ _id: { $in: ids } }) : [];
+
+    res.json({ users: users.map(req.service ? toUserResponse : toPublicUserResponse) });
+  } catch (error) {
+    console.error('List users error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Storage quota that applies to a user (the file service enforces it). Users
+// may read their own; active admins and the file service anyone's.
+router.get('/:id/quota', async (req, res) => {
+  try {
+    if (!req.service && String(req.user.userId) !== req.params.id) {
+      const caller = await User.findById(req.user.userId);
+      if (!caller || caller.role !== 'admin' || caller.status !== 'active') {
+        return res.status(403).json({ error: 'Not allowed to read this quota' });
+      }
+    }
+
+    const user = mongoose.isValidObjectId(req.params.id) && await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({
+      userId: user._id,
+      quota: user.getStorageQuota(),
+      isDefault: user.storageQuota === null
+    });
+  } catch (error) {
+    console.error('Get quota error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
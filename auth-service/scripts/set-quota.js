@@ -0,0 +1,44 @@
+// Override a user's storage quota, or reset it to the default.
+// Usage: node scripts/set-quota.js <email> <size|default>, e.g. 20GB, 500MB or 1073741824
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('../models/User');
+
+const UNITS = { B: 1, KB: 1024, MB: 1024 ** 2, GB: 1024 ** 3, TB: 1024 ** 4 };
+
+// Bytes for "1073741824", "500MB", "1.5 GB"...; null for "default"; NaN if invalid
+const parseSize = (value) => {
+  if (value === 'default') return null;
+
+  const match = /^(\d+(?:\.\d+)?)\s*(B|KB|MB|GB|TB)?$/i.exec(value);
+  if (!match) return NaN;
+  return Math.round(parseFloat(match[1]) * UNITS[(match[2] || 'B').toUpperCase()]);
+};
+
+const setQuota = async (email, quota) => {
+  const user = await User.findOne({ email: email.toLowerCase() });
+  if (!user) {
+    throw new Error(`No user with email ${email}`);
+  }
+
+  user.storageQuota = quota;
+  await user.save();
+
+  console.log(`Storage quota for ${user.email} is now ${user.getStorageQuota()} bytes${quota === null ? ' (default)' : ''}`);
+};
+
+const [email, size] = process.argv.slice(2);
+const quota = size !== undefined ? parseSize(size) : NaN;
+if (!email || Number.isNaN(quota)) {
+  console.error('Usage: node scripts/set-quota.js <email> <size|default>');
+  process.exit(1);
+}
+
+mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/distributed-storage')
+  .then(() => setQuota(email, quota))
+  .catch(err => {
+    console.error('Set quota error:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,34 @@
+// Make a user an admin, or a regular user again. Takes effect at their next token refresh.
+// Usage: node scripts/set-role.js <email> <user|admin>
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('../models/User');
+
+const ROLES = User.schema.path('role').enumValues;
+
+const setRole = async (email, role) => {
+  const user = await User.findOne({ email: email.toLowerCase() });
+  if (!user) {
+    throw new Error(`No user with email ${email}`);
+  }
+
+  user.role = role;
+  await user.save();
+
+  console.log(`Role of ${user.email} is now ${user.role}`);
+};
+
+const [email, role] = process.argv.slice(2);
+if (!email || !ROLES.includes(role)) {
+  console.error(`Usage: node scripts/set-role.js <email> <${ROLES.join('|')}>`);
+  process.exit(1);
+}
+
+mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/distributed-storage')
+  .then(() => setRole(email, role))
+  .catch(err => {
+    console.error('Set role error:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
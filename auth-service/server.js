@@ -4,14 +4,31 @@ const cors = require('cors');
 require('dotenv').config();
 
 const authRoutes = require('./routes/auth');
+const userRoutes = require('./routes/users');
+const adminRoutes = require('./routes/admin');
+const twoFactorRoutes = require('./routes/twoFactor');
+const oidcRoutes = require('./routes/oidc');
+const tokenRoutes = require('./routes/tokens');
+const redisClient = require('./services/redis');
 
 const app = express();
 
+// Requests come through the API gateway, which sends the client's address in
+// X-Forwarded-For. req.ip only uses it from the proxies listed in TRUST_PROXY
+// (the gateway's address); by default none are trusted, since anyone else
+// could set the header to dodge sign-in throttling.
+app.set('trust proxy', process.env.TRUST_PROXY || false);
+
 // Middleware
 app.use(cors());
 app.use(express.json());
 
 // Routes
+app.use('/api/auth/users', userRoutes);
+app.use('/api/auth/admin', adminRoutes);
+app.use('/api/auth/2fa', twoFactorRoutes);
+app.use('/api/auth/oidc', oidcRoutes);
+app.use('/api/auth/tokens', tokenRoutes);
 app.use('/api/auth', authRoutes);
 
 // Health check
@@ -27,6 +44,11 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/distribut
 .then(() => console.log('Auth Service: Connected to MongoDB'))
 .catch(err => console.error('Auth Service: MongoDB connection error:', err));
 
+// Connect to Redis, which holds sign-in throttling state
+redisClient.connect()
+.then(() => console.log('Auth Service: Connected to Redis'))
+.catch(err => console.error('Auth Service: Redis connection error:', err));
+
 const PORT = process.env.PORT || 3001;
 app.listen(PORT, () => {
   console.log(`Auth Service running on port ${PORT}`);
@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+const AccountToken = require('../models/AccountToken');
+
+// How long each kind of token stays valid
+const TTL_MS = {
+  'verify-email': (parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 24) * 60 * 60 * 1000,
+  'reset-password': (parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60) * 60 * 1000,
+  'login-challenge': 5 * 60 * 1000,
+  'sso-login': 60 * 1000,
+  'sso-link': 60 * 1000
+};
+
+// Wrong codes a login challenge survives before it stops working
+const MAX_ATTEMPTS = 5;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// New token for the user; earlier unused tokens for the same purpose stop working
+const createAccountToken = async (userId, purpose, context = null) => {
+  const now = new Date();
+  await AccountToken.updateMany({ userId, purpose, usedAt: null }, { usedAt: now });
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  await AccountToken.create({
+    tokenHash: hashToken(token),
+    userId,
+    purpose,
+    context,
+    expiresAt: new Date(now.getTime() + TTL_MS[purpose])
+  });
+  return token;
+};
+
+// Use a token up; resolves to its user id, or null if it is unknown, expired,
+// already used or meant for something else. With { withContext: true } it
+// resolves to { userId, context } instead.
+const consumeAccountToken = async (token, purpose, { withContext = false } = {}) => {
+  if (typeof token !== 'string' || !token) return null;
+
+  const now = new Date();
+  const stored = await AccountToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: now } },
+    { usedAt: now }
+  );
+  if (!stored) return null;
+  return withContext ? { userId: stored.userId, context: stored.context } : stored.userId;
+};
+
+// The stored token if it can still be used, without using it up
+const findAccountToken = async (token, purpose) => {
+  if (typeof token !== 'string' || !token) return null;
+
+  return AccountToken.findOne({
+    tokenHash: hashToken(token),
+    purpose,
+    usedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Count a wrong code against the token; too many and it stops working
+const recordFailedAttempt = (stored) => AccountToken.updateOne(
+  { _id: stored._id },
+  [{
+    $set: {
+      attempts: { $add: ['$attempts', 1] },
+      usedAt: { $cond: [{ $gte: [{ $add: ['$attempts', 1] }, MAX_ATTEMPTS] }, '$$NOW', '$usedAt'] }
+    }
+  }]
+);
+
+module.exports = { createAccountToken, consumeAccountToken, findAccountToken, recordFailedAttempt };
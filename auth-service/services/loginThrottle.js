@@ -0,0 +1,148 @@
+const redisClient = require('./redis');
+
+// Brute-force protection for sign-in, separate from the gateway's general rate
+// limit. Failed attempts are counted per account (by email address, whether or
+// not it exists) and per client IP address. Past a few free failures, each
+// further attempt must wait twice as long as the one before; enough failures
+// lock sign-in out for a while. Failures are forgotten an hour after the last one.
+const LOCKOUT_SECONDS = (parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15) * 60;
+const MAX_BACKOFF_SECONDS = 5 * 60;
+const FAILURE_WINDOW_SECONDS = 60 * 60;
+
+const LIMITS = {
+  account: {
+    freeFailures: 3,
+    lockoutAfter: parseInt(process.env.LOGIN_MAX_ACCOUNT_FAILURES, 10) || 10
+  },
+  // Higher, since many people can share an address behind a NAT
+  ip: {
+    freeFailures: 20,
+    lockoutAfter: parseInt(process.env.LOGIN_MAX_IP_FAILURES, 10) || 100
+  }
+};
+
+// Every attempt is counted as a failure before its password is checked, so a
+// burst of parallel attempts cannot all slip in before the first one fails.
+// In one step: refuse if any key still has to wait, otherwise count the attempt
+// against every key. Returns { retryAfter, lockedOut, ...counts }.
+const RESERVE_SCRIPT = `
+local now = tonumber(ARGV[1])
+local retryAfter, lockedOut = 0, 0
+for i, key in ipairs(KEYS) do
+  local freeFailures = tonumber(ARGV[2 * i + 2])
+  local lockoutAfter = tonumber(ARGV[2 * i + 3])
+  local count = tonumber(redis.call('HGET', key, 'count')) or 0
+  local last = tonumber(redis.call('HGET', key, 'last')) or 0
+  if count > freeFailures then
+    local delay = tonumber(ARGV[2])
+    if count < lockoutAfter then
+      delay = math.min(2 ^ (count - freeFailures - 1), tonumber(ARGV[3]))
+    end
+    local wait = math.ceil((last + delay * 1000 - now) / 1000)
+    if wait > retryAfter then
+      retryAfter = wait
+      lockedOut = count >= lockoutAfter and 1 or 0
+    end
+  end
+end
+if retryAfter > 0 then
+  return { retryAfter, lockedOut }
+end
+local result = { 0, 0 }
+for i, key in ipairs(KEYS) do
+  result[i + 2] = redis.call('HINCRBY', key, 'count', 1)
+  redis.call('HSET', key, 'last', ARGV[1])
+  redis.call('EXPIRE', key, ${FAILURE_WINDOW_SECONDS + LOCKOUT_SECONDS})
+end
+return result
+`;
+
+// Take back an attempt that turned out not to fail, unless the count was cleared meanwhile
+const RELEASE_SCRIPT = `
+for _, key in ipairs(KEYS) do
+  if (tonumber(redis.call('HGET', key, 'count')) or 0) > 0 then
+    redis.call('HINCRBY', key, 'count', -1)
+  end
+end
+return 0
+`;
+
+const failureKey = (kind, id) => `login-failures:${kind}:${id}`;
+
+const keysFor = ({ email, ip }) => [
+  ['account', email && failureKey('account', String(email).trim().toLowerCase())],
+  ['ip', ip && failureKey('ip', ip)]
+].filter(([, key]) => key);
+
+// Reserve a sign-in attempt before checking its credentials. Resolves to null
+// when it may go ahead, { retryAfter, lockedOut } when it must wait, or
+// { unavailable: true } when Redis cannot be reached: sign-in is refused then,
+// rather than letting passwords be guessed without limit. The reserved counts
+// are kept on the attempt for the calls below.
+const reserveLoginAttempt = async (attempt) => {
+  const keys = keysFor(attempt);
+  try {
+    const [retryAfter, lockedOut, ...counts] = await redisClient.eval(RESERVE_SCRIPT, {
+      keys: keys.map(([, key]) => key),
+      arguments: [
+        String(Date.now()),
+        String(LOCKOUT_SECONDS),
+        String(MAX_BACKOFF_SECONDS),
+        ...keys.flatMap(([kind]) => [String(LIMITS[kind].freeFailures), String(LIMITS[kind].lockoutAfter)])
+      ]
+    });
+    if (retryAfter > 0) {
+      return { retryAfter, lockedOut: lockedOut === 1 };
+    }
+
+    attempt.failures = Object.fromEntries(keys.map(([kind], i) => [kind, counts[i]]));
+    return null;
+  } catch (error) {
+    console.error('Login throttle reservation error:', error.message);
+    return { unavailable: true };
+  }
+};
+
+// The reserved attempt failed; it is already counted. Resolves to
+// { accountLockedOut, ipLockedOut }, true for whichever it has just locked out.
+const recordLoginFailure = async ({ failures = {} }) => ({
+  accountLockedOut: failures.account >= LIMITS.account.lockoutAfter,
+  ipLockedOut: failures.ip >= LIMITS.ip.lockoutAfter
+});
+
+const release = async (keys) => {
+  if (keys.length === 0) return;
+  try {
+    await redisClient.eval(RELEASE_SCRIPT, { keys });
+  } catch (error) {
+    console.error('Login throttle release error:', error.message);
+  }
+};
+
+// The reserved attempt had the right credentials but did not sign in (e.g. the
+// second factor is still to come), so it no longer counts as a failure
+const releaseLoginAttempt = async (attempt) => {
+  if (!attempt.failures) return;
+  await release(keysFor(attempt).map(([, key]) => key));
+};
+
+// A successful sign-in clears the account's failures; the address keeps its
+// own, less this attempt
+const clearLoginFailures = async (attempt) => {
+  try {
+    await redisClient.del(failureKey('account', String(attempt.email).trim().toLowerCase()));
+  } catch (error) {
+    console.error('Login throttle reset error:', error.message);
+  }
+  if (attempt.failures && attempt.ip) {
+    await release([failureKey('ip', attempt.ip)]);
+  }
+};
+
+module.exports = {
+  LOCKOUT_SECONDS,
+  reserveLoginAttempt,
+  recordLoginFailure,
+  releaseLoginAttempt,
+  clearLoginFailures
+};
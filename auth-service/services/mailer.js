@@ -0,0 +1,80 @@
+const nodemailer = require('nodemailer');
+
+// Outgoing mail. With SMTP_HOST set, mail goes to that server (in
+// docker-compose, MailHog catches it); otherwise only the recipient and
+// subject are logged. Bodies carry sign-in links, so they are logged only with
+// MAIL_LOG_BODY=true, for local development.
+const MAIL_FROM = process.env.MAIL_FROM || 'Distributed File Storage <no-reply@localhost>';
+const APP_URL = (process.env.APP_URL || 'http://localhost:8080').replace(/\/$/, '');
+
+const createTransport = () => {
+  if (!process.env.SMTP_HOST) {
+    return nodemailer.createTransport({ jsonTransport: true });
+  }
+
+  return nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+};
+
+const transport = createTransport();
+
+const sendMail = async ({ to, subject, text }) => {
+  const info = await transport.sendMail({ from: MAIL_FROM, to, subject, text });
+  if (!process.env.SMTP_HOST) {
+    const body = process.env.MAIL_LOG_BODY === 'true' ? `\n${text}` : '';
+    console.log(`Mail to ${to} (not sent, SMTP_HOST is not set): ${subject}${body}`);
+  }
+  return info;
+};
+
+const sendVerificationEmail = (user, token) => sendMail({
+  to: user.email,
+  subject: 'Confirm your email address',
+  text: [
+    `Hi ${user.username},`,
+    '',
+    'Confirm your email address to start using Distributed File Storage:',
+    `${APP_URL}/verify-email?token=${token}`,
+    '',
+    'If you did not sign up, you can ignore this email.'
+  ].join('\n')
+});
+
+const sendPasswordResetEmail = (user, token) => sendMail({
+  to: user.email,
+  subject: 'Reset your password',
+  text: [
+    `Hi ${user.username},`,
+    '',
+    'Someone asked to reset the password of your Distributed File Storage account.',
+    'Choose a new password here:',
+    `${APP_URL}/reset-password?token=${token}`,
+    '',
+    'If it was not you, ignore this email; your password stays the same.'
+  ].join('\n')
+});
+
+const sendLoginLockoutEmail = (user, { ip, minutes }) => sendMail({
+  to: user.email,
+  subject: 'Repeated failed sign-in attempts',
+  text: [
+    `Hi ${user.username},`,
+    '',
+    'There have been many failed attempts to sign in to your Distributed File Storage account,',
+    `most recently from ${ip || 'an unknown address'}. Sign-in is locked for ${minutes} minutes.`,
+    '',
+    'If this was you, wait and try again, or reset your password:',
+    `${APP_URL}/forgot-password`,
+    '',
+    'If it was not you, your account is safe as long as your password is. Consider choosing a',
+    'stronger one and turning on two-factor authentication.'
+  ].join('\n')
+});
+
+module.exports = { sendMail, sendVerificationEmail, sendPasswordResetEmail, sendLoginLockoutEmail };
@@ -0,0 +1,250 @@
+const crypto = require('crypto');
+const { Issuer, generators } = require('openid-client');
+const User = require('../models/User');
+const OidcLoginState = require('../models/OidcLoginState');
+
+const LOGIN_STATE_TTL_MS = 10 * 60 * 1000;
+const REDIRECT_BASE_URL = (process.env.OIDC_REDIRECT_BASE_URL || 'http://localhost:3000').replace(/\/+$/, '');
+
+// A sign-in the user can be told about, as opposed to a server fault
+class OidcLoginError extends Error {}
+
+const splitList = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+// Providers come from OIDC_PROVIDERS=<id>,<id> and OIDC_<ID>_* settings
+const loadProviders = () => {
+  const providers = new Map();
+
+  for (const id of splitList(process.env.OIDC_PROVIDERS).map(item => item.toLowerCase())) {
+    const setting = (name) => process.env[`OIDC_${id.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_${name}`];
+    const provider = {
+      id,
+      name: setting('NAME') || id,
+      issuer: setting('ISSUER'),
+      clientId: setting('CLIENT_ID'),
+      clientSecret: setting('CLIENT_SECRET'),
+      scopes: setting('SCOPES') || 'openid email profile',
+      groupsClaim: setting('GROUPS_CLAIM') || 'groups',
+      adminGroups: splitList(setting('ADMIN_GROUPS')),
+      // Where browsers reach the authorization endpoint, when that differs
+      // from the discovered one (e.g. an issuer addressed by container name)
+      authorizationEndpoint: setting('AUTHORIZATION_ENDPOINT')
+    };
+
+    if (!/^[a-z0-9-]+$/.test(id) || !provider.issuer || !provider.clientId) {
+      console.error(`OIDC provider "${id}" is skipped: it needs an id of letters, digits and dashes, an issuer and a client id`);
+      continue;
+    }
+    providers.set(id, provider);
+  }
+  return providers;
+};
+
+const providers = loadProviders();
+
+const listProviders = () => [...providers.values()].map(({ id, name }) => ({ id, name }));
+
+const getProvider = (id) => providers.get(id) || null;
+
+const redirectUri = (provider) => `${REDIRECT_BASE_URL}/api/auth/oidc/${provider.id}/callback`;
+
+// Discovery happens on first use; a failed attempt is retried on the next sign-in
+const clients = new Map();
+const getClient = (provider) => {
+  if (!clients.has(provider.id)) {
+    const client = Issuer.discover(provider.issuer).then(discovered => {
+      const issuer = provider.authorizationEndpoint
+        ? new Issuer({ ...discovered.metadata, authorization_endpoint: provider.authorizationEndpoint })
+        : discovered;
+      return new issuer.Client({
+        client_id: provider.clientId,
+        client_secret: provider.clientSecret,
+        token_endpoint_auth_method: provider.clientSecret ? 'client_secret_basic' : 'none',
+        redirect_uris: [redirectUri(provider)],
+        response_types: ['code']
+      });
+    });
+    client.catch(() => clients.delete(provider.id));
+    clients.set(provider.id, client);
+  }
+  return clients.get(provider.id);
+};
+
+// URL at the identity provider to send the browser to, with PKCE, and the
+// state the browser must bring back with it. With linkUserId, the identity is
+// linked to that user instead of signing in.
+const beginLogin = async (provider, { linkUserId = null } = {}) => {
+  const client = await getClient(provider);
+  const state = generators.state();
+  const nonce = generators.nonce();
+  const codeVerifier = generators.codeVerifier();
+
+  await OidcLoginState.create({
+    state,
+    provider: provider.id,
+    nonce,
+    codeVerifier,
+    linkUserId,
+    expiresAt: new Date(Date.now() + LOGIN_STATE_TTL_MS)
+  });
+
+  const url = client.authorizationUrl({
+    scope: provider.scopes,
+    state,
+    nonce,
+    code_challenge: generators.codeChallenge(codeVerifier),
+    code_challenge_method: 'S256'
+  });
+  return { url, state };
+};
+
+const groupsOf = (claims, provider) => {
+  const groups = claims[provider.groupsClaim];
+  if (Array.isArray(groups)) return groups.map(String);
+  return typeof groups === 'string' ? splitList(groups) : [];
+};
+
+// Role from the user's groups at the provider; providers without admin groups
+// leave roles to the admin console
+const roleFor = (claims, provider) => {
+  if (provider.adminGroups.length === 0) return null;
+  return groupsOf(claims, provider).some(group => provider.adminGroups.includes(group)) ? 'admin' : 'user';
+};
+
+// Username for a new account: the one the provider suggests, made valid and unique
+const availableUsername = async (claims) => {
+  const suggested = claims.preferred_username || (claims.email && claims.email.split('@')[0]) || claims.name || 'user';
+  let base = String(suggested).replace(/[^a-zA-Z0-9._-]/g, '').slice(0, 25);
+  if (base.length < 3) base = `user${base}`;
+
+  let username = base;
+  for (let attempt = 0; attempt < 5; attempt++) {
+    if (!await User.exists({ username })) return username;
+    username = `${base}${crypto.randomInt(1000, 10000)}`;
+  }
+  throw new OidcLoginError('Could not pick a username for the new account');
+};
+
+// The user the identity belongs to: already linked, or a new account. An
+// existing account with the same email address is not taken over; its owner
+// links the identity after signing in, so the provider cannot stand in for
+// their password and second factor.
+const findOrCreateUser = async (provider, claims) => {
+  const subject = String(claims.sub);
+  const role = roleFor(claims, provider);
+
+  let user = await User.findOne({ identities: { $elemMatch: { provider: provider.id, subject } } });
+  let created = false;
+
+  if (!user) {
+    const email = typeof claims.email === 'string' ? claims.email.trim().toLowerCase() : '';
+    if (!email) {
+      throw new OidcLoginError(`${provider.name} did not share an email address`);
+    }
+
+    if (await User.exists({ email })) {
+      throw new OidcLoginError(`An account with this email address already exists. Sign in with your password and link ${provider.name} on the Security page to use it.`);
+    }
+
+    user = new User({
+      username: await availableUsername(claims),
+      email,
+      emailVerified: claims.email_verified !== false,
+      identities: [{ provider: provider.id, subject }]
+    });
+    created = true;
+  }
+
+  if (user.status === 'suspended') {
+    throw new OidcLoginError('Account suspended');
+  }
+
+  if (role) user.role = role;
+  // The provider vouches for the address it signed the user in with
+  if (claims.email_verified === true && claims.email && claims.email.toLowerCase() === user.email) {
+    user.emailVerified = true;
+  }
+  await user.save();
+
+  return { user, created };
+};
+
+// Link the identity to the signed-in user who asked for it; resolves to { user, linked }
+const linkIdentity = async (provider, claims, userId) => {
+  const subject = String(claims.sub);
+
+  const owner = await User.findOne({ identities: { $elemMatch: { provider: provider.id, subject } } });
+  if (owner && String(owner._id) !== String(userId)) {
+    throw new OidcLoginError(`This ${provider.name} account is already linked to another user`);
+  }
+
+  const user = await User.findById(userId);
+  if (!user || user.status === 'suspended') {
+    throw new OidcLoginError('Sign-in attempt expired; try again');
+  }
+  if (!owner) {
+    // One identity per provider, so a new one replaces the old
+    user.identities = user.identities.filter(identity => identity.provider !== provider.id);
+    user.identities.push({ provider: provider.id, subject });
+    await user.save();
+  }
+
+  return { user, linked: true };
+};
+
+// Handle the redirect back from the provider; resolves to { user, created },
+// or { user, linked } when it was started to link the identity.
+// browserState is the state the browser kept from beginLogin, so a callback
+// carrying someone else's sign-in (login CSRF) is refused.
+const finishLogin = async (provider, req, browserState) => {
+  const client = await getClient(provider);
+  const params = client.callbackParams(req);
+
+  if (!params.state || params.state !== browserState) {
+    throw new OidcLoginError('This sign-in was not started in this browser; try again');
+  }
+
+  const stored = await OidcLoginState.findOneAndDelete({
+    state: params.state,
+    provider: provider.id,
+    expiresAt: { $gt: new Date() }
+  });
+  if (!stored) {
+    throw new OidcLoginError('Sign-in attempt expired; try again');
+  }
+  if (params.error) {
+    throw new OidcLoginError(params.error === 'access_denied'
+      ? 'Sign-in was cancelled'
+      : `${provider.name} refused the sign-in: ${params.error_description || params.error}`);
+  }
+
+  const tokenSet = await client.callback(redirectUri(provider), params, {
+    state: stored.state,
+    nonce: stored.nonce,
+    code_verifier: stored.codeVerifier
+  });
+
+  // Claims from the ID token win over those from the userinfo endpoint
+  let claims = tokenSet.claims();
+  if (tokenSet.access_token && client.issuer.metadata.userinfo_endpoint) {
+    try {
+      claims = { ...await client.userinfo(tokenSet), ...claims };
+    } catch (error) {
+      console.error('OIDC userinfo error:', error.message);
+    }
+  }
+
+  if (stored.linkUserId) {
+    return linkIdentity(provider, claims, stored.linkUserId);
+  }
+  return findOrCreateUser(provider, claims);
+};
+
+module.exports = {
+  LOGIN_STATE_TTL_MS,
+  OidcLoginError,
+  listProviders,
+  getProvider,
+  beginLogin,
+  finishLogin
+};
@@ -0,0 +1,53 @@
+const crypto = require('crypto');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const User = require('../models/User');
+
+const TOKEN_PREFIX = 'dfs_pat_';
+// What a token may be used for
+const SCOPES = ['files:read', 'files:write', 'files:delete', 'files:share'];
+// Last-used details are written at most this often per token
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const isPersonalAccessToken = (token) => typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+
+// New token for the user; resolves to { token, record }. The token itself is
+// only available here.
+const createPersonalAccessToken = async (userId, { name, scopes, expiresInDays }) => {
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  const record = await PersonalAccessToken.create({
+    userId,
+    name,
+    tokenHash: hashToken(token),
+    prefix: token.slice(0, TOKEN_PREFIX.length + 4),
+    scopes,
+    expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+  });
+  return { token, record };
+};
+
+// { record, user } for a token that is current and belongs to an active
+// account, or null. Records when it was used, and from where when the client's
+// address is known (services calling on a client's behalf do not send it).
+const authenticatePersonalAccessToken = async (token, ip) => {
+  if (!isPersonalAccessToken(token)) return null;
+
+  const now = new Date();
+  const record = await PersonalAccessToken.findOne({ tokenHash: hashToken(token), expiresAt: { $gt: now } });
+  const user = record && await User.findById(record.userId);
+  if (!user || user.status === 'suspended') return null;
+
+  if (!record.lastUsedAt || now - record.lastUsedAt >= LAST_USED_INTERVAL_MS || (ip && ip !== record.lastUsedIp)) {
+    await PersonalAccessToken.updateOne({ _id: record._id }, { lastUsedAt: now, ...(ip && { lastUsedIp: ip }) });
+  }
+  return { record, user };
+};
+
+module.exports = {
+  TOKEN_PREFIX,
+  SCOPES,
+  isPersonalAccessToken,
+  createPersonalAccessToken,
+  authenticatePersonalAccessToken
+};
@@ -0,0 +1,12 @@
+const redis = require('redis');
+
+// Shared Redis client. While it is disconnected, commands fail at once rather
+// than queueing, so callers know straight away that it is unavailable.
+const redisClient = redis.createClient({
+  url: process.env.REDIS_URL || 'redis://redis:6379',
+  disableOfflineQueue: true
+});
+
+redisClient.on('error', (err) => console.error('Auth Service: Redis error:', err.message));
+
+module.exports = redisClient;
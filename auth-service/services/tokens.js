@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_MS = (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30) * 24 * 60 * 60 * 1000;
+// A rotated token keeps working this long, for clients (e.g. several browser
+// tabs) that refreshed with it at the same time
+const ROTATION_GRACE_MS = (parseInt(process.env.REFRESH_TOKEN_GRACE_SECONDS, 10) || 10) * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Short-lived JWT; the jti lets a single token be told apart from others
+const signAccessToken = (user) => jwt.sign(
+  { userId: user._id, username: user.username, role: user.role },
+  process.env.JWT_SECRET || 'default-secret',
+  { expiresIn: ACCESS_TOKEN_EXPIRES_IN, jwtid: crypto.randomUUID() }
+);
+
+const createRefreshToken = async (userId, familyId, userAgent) => {
+  const token = crypto.randomBytes(48).toString('base64url');
+  await RefreshToken.create({
+    tokenHash: hashToken(token),
+    userId,
+    familyId,
+    userAgent: userAgent || null,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+  });
+  return token;
+};
+
+// Access and refresh token for a new session (or the next step of one)
+const issueTokens = async (user, { familyId = crypto.randomUUID(), userAgent } = {}) => {
+  const refreshToken = await createRefreshToken(user._id, familyId, userAgent);
+  const token = signAccessToken(user);
+  const { iat, exp } = jwt.decode(token);
+  return { token, refreshToken, expiresIn: exp - iat };
+};
+
+// Start a session: the response to a completed login
+const sessionResponse = async (req, user) => ({
+  message: 'Login successful',
+  ...await issueTokens(user, { userAgent: req.headers['user-agent'] }),
+  user: {
+    id: user._id,
+    username: user.username,
+    email: user.email,
+    role: user.role
+  }
+});
+
+const revokeFamily = (familyId) => RefreshToken.updateMany(
+  { familyId, revokedAt: null },
+  { revokedAt: new Date() }
+);
+
+// Exchange a refresh token for a new one in the same family.
+// Returns { userId, familyId } of the consumed token, or { reused: true } when
+// the token had already been used (the family is then revoked), or null.
+// A token rotated within the grace period may be redeemed once more, as long
+// as its session has not been logged out; any further use counts as reuse.
+const consumeRefreshToken = async (token) => {
+  if (typeof token !== 'string' || !token) return null;
+
+  const now = new Date();
+  const stored = await RefreshToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), revokedAt: null, expiresAt: { $gt: now } },
+    { revokedAt: now, replacedAt: now }
+  );
+  if (stored) {
+    return { userId: stored.userId, familyId: stored.familyId };
+  }
+
+  // Not consumable: unknown, expired, logged out, or already rotated
+  const graced = await RefreshToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      replacedAt: { $gt: new Date(now - ROTATION_GRACE_MS) },
+      graceUsedAt: null
+    },
+    { graceUsedAt: now }
+  );
+  if (graced && await RefreshToken.exists({ familyId: graced.familyId, revokedAt: null, expiresAt: { $gt: now } })) {
+    return { userId: graced.userId, familyId: graced.familyId };
+  }
+
+  const previous = graced || await RefreshToken.findOne({ tokenHash: hashToken(token) });
+  if (previous && previous.replacedAt) {
+    await revokeFamily(previous.familyId);
+    return { reused: true, userId: previous.userId };
+  }
+  return null;
+};
+
+// Revoke the session a refresh token belongs to; resolves to its user id, or null
+const revokeRefreshToken = async (token) => {
+  if (typeof token !== 'string' || !token) return null;
+
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+  if (!stored) return null;
+
+  await revokeFamily(stored.familyId);
+  return stored.userId;
+};
+
+// Revoke every session of a user
+const revokeUserTokens = (userId) => RefreshToken.updateMany(
+  { userId, revokedAt: null },
+  { revokedAt: new Date() }
+);
+
+module.exports = {
+  issueTokens,
+  sessionResponse,
+  consumeRefreshToken,
+  revokeRefreshToken,
+  revokeUserTokens
+};
@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+const { authenticator } = require('otplib');
+const QRCode = require('qrcode');
+const User = require('../models/User');
+
+// RFC 6238 codes: six digits per 30-second step; the steps either side of the
+// current one are accepted too, to allow for clock drift
+const STEP_SECONDS = 30;
+authenticator.options = { step: STEP_SECONDS, window: 1 };
+
+const ISSUER = process.env.TOTP_ISSUER || 'Distributed File Storage';
+const RECOVERY_CODE_COUNT = 10;
+
+// Recovery codes are shown as "xxxxx-xxxxx" but compared without formatting
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(String(code).toLowerCase().replace(/[^0-9a-f]/g, ''))
+  .digest('hex');
+
+// A new secret, its otpauth:// URL and that URL as a QR code image (data URL)
+const createEnrollment = async (user) => {
+  const secret = authenticator.generateSecret();
+  const otpauthUrl = authenticator.keyuri(user.email, ISSUER, secret);
+  return { secret, otpauthUrl, qrCode: await QRCode.toDataURL(otpauthUrl) };
+};
+
+// Time step of a code that is valid for the secret, or null
+const verifyTotp = (secret, code) => {
+  const token = String(code || '').replace(/\s/g, '');
+  if (!secret || !/^\d{6}$/.test(token)) return null;
+
+  const delta = authenticator.checkDelta(token, secret);
+  return delta === null ? null : Math.floor(Date.now() / 1000 / STEP_SECONDS) + delta;
+};
+
+// Fresh recovery codes to show the user once, and the hashes to store
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+// Check a code from the user's authenticator app, or one of their recovery
+// codes, and use it up. Resolves to 'totp', 'recovery' or null. The update is
+// atomic, so the same code cannot be used by two requests at once.
+const useSecondFactor = async (user, code) => {
+  const step = verifyTotp(user.twoFactor.secret, code);
+  if (step !== null) {
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }]
+      },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    return result.modifiedCount === 1 ? 'totp' : null;
+  }
+
+  if (!code) return null;
+  const hash = hashRecoveryCode(code);
+  const result = await User.updateOne(
+    { _id: user._id, 'twoFactor.recoveryCodes': hash },
+    { $pull: { 'twoFactor.recoveryCodes': hash } }
+  );
+  if (result.modifiedCount !== 1) return null;
+
+  user.twoFactor.recoveryCodes = user.twoFactor.recoveryCodes.filter(stored => stored !== hash);
+  return 'recovery';
+};
+
+module.exports = { createEnrollment, verifyTotp, generateRecoveryCodes, useSecondFactor };
@@ -0,0 +1,29 @@
+const fs = require('fs-extra');
+const UploadSession = require('../models/UploadSession');
+
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+
+// Remove expired, unfinished upload sessions and their partial files
+const cleanupExpiredUploads = async () => {
+  const expired = await UploadSession.find({
+    completedAt: null,
+    expiresAt: { $lt: new Date() }
+  });
+
+  for (const session of expired) {
+    await fs.remove(session.partialPath);
+    await UploadSession.deleteOne({ _id: session._id });
+  }
+
+  if (expired.length > 0) {
+    console.log(`Removed ${expired.length} expired upload session(s)`);
+  }
+};
+
+const startUploadCleanup = () => {
+  setInterval(() => {
+    cleanupExpiredUploads().catch(err => console.error('Upload cleanup error:', err));
+  }, CLEANUP_INTERVAL_MS);
+};
+
+module.exports = { cleanupExpiredUploads, startUploadCleanup };
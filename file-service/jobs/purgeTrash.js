@@ -0,0 +1,25 @@
+const { findExpiredTrash } = require('../services/trash');
+const { removeFile } = require('../services/files');
+
+const PURGE_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+
+// Permanently delete files that have been in the trash longer than TRASH_RETENTION_DAYS
+const purgeTrash = async () => {
+  const expired = await findExpiredTrash();
+
+  for (const file of expired) {
+    await removeFile(file);
+  }
+
+  if (expired.length > 0) {
+    console.log(`Purged ${expired.length} file(s) from the trash`);
+  }
+};
+
+const startTrashPurge = () => {
+  setInterval(() => {
+    purgeTrash().catch(err => console.error('Trash purge error:', err));
+  }, PURGE_INTERVAL_MS);
+};
+
+module.exports = { purgeTrash, startTrashPurge };
@@ -0,0 +1,41 @@
+const Blob = require('../models/Blob');
+const { getDriver } = require('../storage');
+
+const REPAIR_INTERVAL_MS = 15 * 60 * 1000; // 15 minutes
+
+// Bring every replicated blob back up to the replication factor after a
+// node failed or lost data, recording where the copies now live
+const repairReplicas = async () => {
+  const driver = getDriver('replicated');
+  const cursor = Blob.find({ storage: 'replicated' }).cursor();
+
+  let repaired = 0;
+  let lost = 0;
+  for await (const blob of cursor) {
+    const replicas = await driver.repair(blob._id);
+
+    if (replicas.length === 0) {
+      console.error(`Blob ${blob._id} has no remaining replicas`);
+      lost += 1;
+      continue;
+    }
+
+    const known = blob.replicas || [];
+    if (replicas.length !== known.length || replicas.some(id => !known.includes(id))) {
+      await Blob.updateOne({ _id: blob._id }, { $set: { replicas } });
+      repaired += 1;
+    }
+  }
+
+  if (repaired > 0 || lost > 0) {
+    console.log(`Replica repair: updated ${repaired} blob(s), ${lost} without any replica`);
+  }
+};
+
+const startReplicaRepair = () => {
+  setInterval(() => {
+    repairReplicas().catch(err => console.error('Replica repair error:', err));
+  }, REPAIR_INTERVAL_MS);
+};
+
+module.exports = { repairReplicas, startReplicaRepair };
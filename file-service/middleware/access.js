@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+const File = require('../models/File');
+const Folder = require('../models/Folder');
+const Permission = require('../models/Permission');
+
+// Roles in increasing order of what they allow
+const ROLE_RANK = { viewer: 1, editor: 2, owner: 3 };
+
+// Least role needed for each kind of action:
+//   read   - list, view and download (including old versions)
+//   write  - upload new versions, restore versions, rename, add to a folder
+//   manage - move, delete, prune versions and share
+const ACTION_ROLES = { read: 'viewer', write: 'editor', manage: 'owner' };
+
+const hasRole = (role, required) => Boolean(role) && ROLE_RANK[role] >= ROLE_RANK[required];
+
+const highestRole = (roles) => roles
+  .filter(Boolean)
+  .reduce((best, role) => (!best || ROLE_RANK[role] > ROLE_RANK[best] ? role : best), null);
+
+// Strongest grant the user has on the folder or any folder above it
+const getInheritedRole = async (folderId, userId) => {
+  if (!folderId) return null;
+
+  const path = await Folder.getPath(folderId);
+  const grants = await Permission.find({
+    resourceType: 'folder',
+    resourceId: { $in: path.map(folder => folder._id) },
+    granteeId: userId
+  });
+  return highestRole(grants.map(grant => grant.role));
+};
+
+// 'owner', 'editor', 'viewer' or null when the user cannot see the folder
+const getFolderRole = async (folder, userId) => {
+  if (folder.userId.equals(userId)) return 'owner';
+  return getInheritedRole(folder._id, userId);
+};
+
+// 'owner', 'editor', 'viewer' or null when the user cannot see the file
+const getFileRole = async (file, userId) => {
+  if (file.userId.equals(userId)) return 'owner';
+
+  const [grant, inherited] = await Promise.all([
+    Permission.findOne({ resourceType: 'file', resourceId: file._id, granteeId: userId }),
+    getInheritedRole(file.folderId, userId)
+  ]);
+  return highestRole([grant && grant.role, inherited]);
+};
+
+// Resolve a folderId taken from a request (null or "root" for the user's
+// own root) to { folderId, ownerId, role }, or null when the folder does not
+// exist or is not visible to the user. Content created in a shared folder
+// belongs to the folder's owner.
+const resolveFolderAccess = async (userId, folderId) => {
+  if (!folderId || folderId === 'root') {
+    return { folderId: null, ownerId: userId, role: 'owner' };
+  }
+  if (!mongoose.isValidObjectId(folderId)) return null;
+
+  const folder = await Folder.findById(folderId);
+  const role = folder && await getFolderRole(folder, userId);
+  return role ? { folderId: folder._id, ownerId: folder.userId, role } : null;
+};
+
+// Build middleware that loads the resource named by req.params.id and
+// checks the user may perform `action` on it. Resources the user cannot see
+// at all (or that do not match `filter`) are reported as missing rather than forbidden.
+const requireAccess = ({ Model, getRole, property, label, filter = {} }) => (action) => async (req, res, next) => {
+  try {
+    const resource = mongoose.isValidObjectId(req.params.id) &&
+      await Model.findOne({ _id: req.params.id, ...filter });
+    const role = resource && await getRole(resource, req.user.userId);
+
+    if (!role) {
+      return res.status(404).json({ error: `${label} not found` });
+    }
+    if (!hasRole(role, ACTION_ROLES[action])) {
+      return res.status(403).json({ error: `Insufficient permissions for this ${label.toLowerCase()}` });
+    }
+
+    req[property] = resource;
+    req.accessRole = role;
+    next();
+  } catch (error) {
+    console.error(`${label} access check error:`, error);
+    res.status(500).json({ error: 'Failed to check permissions' });
+  }
+};
+
+// Sets req.fileDoc (req.file is taken by multer) and req.accessRole
+const requireFileAccess = requireAccess({
+  Model: File,
+  getRole: getFileRole,
+  property: 'fileDoc',
+  label: 'File',
+  // Files in the trash are only reachable through the trash routes
+  filter: { deletedAt: null }
+});
+
+// Sets req.folder and req.accessRole
+const requireFolderAccess = requireAccess({
+  Model: Folder,
+  getRole: getFolderRole,
+  property: 'folder',
+  label: 'Folder'
+});
+
+module.exports = {
+  hasRole,
+  getFileRole,
+  getFolderRole,
+  resolveFolderAccess,
+  requireFileAccess,
+  requireFolderAccess
+};
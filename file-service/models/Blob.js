@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// Stored bytes, addressed by the SHA-256 digest of their content and shared
+// by every file version (and other record) that holds a reference to them
+const blobSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    alias: 'checksum'
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  refCount: {
+    type: Number,
+    default: 0
+  },
+  // Storage driver holding the bytes (see storage/index.js)
+  storage: {
+    type: String,
+    default: 'local'
+  },
+  // Storage nodes known to hold a copy (replicated driver only)
+  replicas: {
+    type: [String],
+    default: undefined
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('Blob', blobSchema);
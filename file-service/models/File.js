@@ -1,10 +1,6 @@
 const mongoose = require('mongoose');
 
 const fileSchema = new mongoose.Schema({
-  filename: {
-    type: String,
-    required: true
-  },
   originalName: {
     type: String,
     required: true
@@ -17,20 +13,71 @@ const fileSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
-  path: {
+  // SHA-256 digest of the content, identifying the shared Blob that holds the bytes
+  checksum: {
     type: String,
-    required: true
+    required: true,
+    ref: 'Blob'
   },
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     required: true,
     ref: 'User'
   },
+  // null means the file lives at the user's root
+  folderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Folder',
+    default: null
+  },
+  // Version number whose content the fields above currently mirror
+  currentVersion: {
+    type: Number,
+    default: 1
+  },
   uploadedAt: {
     type: Date,
     default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // User-defined labels, stored lowercased
+  tags: {
+    type: [String],
+    default: []
+  },
+  // Arbitrary key/value pairs such as a project or customer ID
+  metadata: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  // Set while the file is in the trash; it is purged once the retention period passes
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
   }
 });
 
+fileSchema.index({ userId: 1, folderId: 1, uploadedAt: -1 });
+fileSchema.index({ userId: 1, deletedAt: -1 });
+// Sorted listings within a folder and across all of a user's files
+fileSchema.index({ userId: 1, folderId: 1, originalName: 1 }, { collation: { locale: 'en', strength: 2 } });
+fileSchema.index({ userId: 1, folderId: 1, size: -1 });
+fileSchema.index({ userId: 1, folderId: 1, mimeType: 1 });
+fileSchema.index({ userId: 1, folderId: 1, updatedAt: -1 });
+fileSchema.index({ userId: 1, uploadedAt: -1 });
+fileSchema.index({ userId: 1, updatedAt: -1 });
+fileSchema.index({ userId: 1, originalName: 1 }, { collation: { locale: 'en', strength: 2 } });
+fileSchema.index({ userId: 1, mimeType: 1, size: -1 });
+fileSchema.index({ userId: 1, tags: 1 });
+
 module.exports = mongoose.model('File', fileSchema);
 
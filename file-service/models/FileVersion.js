@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+const fileVersionSchema = new mongoose.Schema({
+  fileId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'File'
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'User'
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  // Digest of this version's content; one Blob reference per version
+  checksum: {
+    type: String,
+    required: true,
+    ref: 'Blob'
+  },
+  // Version this one was restored from, if any
+  restoredFrom: {
+    type: Number,
+    default: null
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+fileVersionSchema.index({ fileId: 1, version: -1 }, { unique: true });
+// Storage usage per user and MIME type
+fileVersionSchema.index({ userId: 1, mimeType: 1 });
+
+module.exports = mongoose.model('FileVersion', fileVersionSchema);
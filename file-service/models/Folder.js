@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const folderSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 255
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'User'
+  },
+  // null means the folder lives at the user's root
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Folder',
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Sibling folders must have distinct names
+folderSchema.index({ userId: 1, parentId: 1, name: 1 }, { unique: true });
+
+// Ancestors from the root down to (and including) the given folder
+folderSchema.statics.getPath = async function(folderId) {
+  const path = [];
+  let current = folderId ? await this.findById(folderId) : null;
+
+  while (current) {
+    path.unshift(current);
+    current = current.parentId ? await this.findById(current.parentId) : null;
+  }
+  return path;
+};
+
+// IDs of the given folder and every folder nested beneath it
+folderSchema.statics.getDescendantIds = async function(folderId) {
+  const ids = [folderId];
+  let frontier = [folderId];
+
+  while (frontier.length > 0) {
+    const children = await this.find({ parentId: { $in: frontier } }).select('_id');
+    frontier = children.map(child => child._id);
+    ids.push(...frontier);
+  }
+  return ids;
+};
+
+module.exports = mongoose.model('Folder', folderSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Access to a file or folder granted by its owner to another user. A grant
+// on a folder also covers everything nested beneath it.
+const permissionSchema = new mongoose.Schema({
+  resourceType: {
+    type: String,
+    enum: ['file', 'folder'],
+    required: true
+  },
+  resourceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Owner of the resource, who granted access
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'User'
+  },
+  granteeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'User'
+  },
+  // viewer: list and download; editor: also upload new versions and rename
+  role: {
+    type: String,
+    enum: ['viewer', 'editor'],
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+permissionSchema.index({ resourceType: 1, resourceId: 1, granteeId: 1 }, { unique: true });
+permissionSchema.index({ granteeId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Permission', permissionSchema);
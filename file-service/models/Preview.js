@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// Artifacts derived from one version of a file's content by the preview
+// worker: a thumbnail image and/or a text snippet. Previews are small, so
+// they are kept in the database rather than in blob storage.
+const previewSchema = new mongoose.Schema({
+  fileId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'File'
+  },
+  // Digest of the content the preview was generated from
+  checksum: {
+    type: String,
+    required: true
+  },
+  // ready: artifacts generated; unsupported: nothing to preview for this type
+  status: {
+    type: String,
+    enum: ['ready', 'unsupported', 'failed'],
+    required: true
+  },
+  thumbnail: {
+    data: Buffer,
+    mimeType: String,
+    width: Number,
+    height: Number
+  },
+  text: {
+    type: String,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  generatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+previewSchema.index({ fileId: 1, checksum: 1 }, { unique: true });
+previewSchema.index({ checksum: 1 });
+
+module.exports = mongoose.model('Preview', previewSchema);
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Storage held back for an upload or restore while it is being written, so
+// that requests at the same time cannot all fit in the same free space (see
+// services/quota.js). Resumable uploads reserve through their UploadSession.
+const quotaReservationSchema = new mongoose.Schema({
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'User'
+  },
+  bytes: {
+    type: Number,
+    required: true
+  },
+  // Reservations are released when the write finishes; this only covers a
+  // process that stopped before it could
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+quotaReservationSchema.index({ ownerId: 1 });
+quotaReservationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('QuotaReservation', quotaReservationSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// Public link to a file, usable without an account. The URL carries the
+// tokenId together with its HMAC signature (see services/shareLinks.js).
+const shareLinkSchema = new mongoose.Schema({
+  tokenId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  fileId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'File'
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'User'
+  },
+  // bcrypt hash; null when the link is not password protected
+  passwordHash: {
+    type: String,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  // null means unlimited
+  maxDownloads: {
+    type: Number,
+    default: null
+  },
+  downloadCount: {
+    type: Number,
+    default: 0
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  lastDownloadedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+shareLinkSchema.index({ fileId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ShareLink', shareLinkSchema);
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+const uploadSessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'User'
+  },
+  // User the finished file will belong to, whose quota the upload is
+  // reserved against (differs from userId for uploads into shared folders)
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  originalName: {
+    type: String,
+    required: true
+  },
+  mimeType: {
+    type: String,
+    default: 'application/octet-stream'
+  },
+  // Total number of bytes announced with Upload-Length
+  length: {
+    type: Number,
+    required: true
+  },
+  // Number of bytes received so far (mirrors the partial file size)
+  offset: {
+    type: Number,
+    default: 0
+  },
+  // Destination folder, null for the user's root; may belong to another
+  // user who shared it
+  folderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Folder',
+    default: null
+  },
+  // File the upload becomes the next version of (Upload-Metadata fileId)
+  versionOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'File',
+    default: null
+  },
+  partialPath: {
+    type: String,
+    required: true
+  },
+  metadata: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  fileId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'File',
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+uploadSessionSchema.index({ expiresAt: 1, completedAt: 1 });
+
+module.exports = mongoose.model('UploadSession', uploadSessionSchema);
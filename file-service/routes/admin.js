@@ -0,0 +1,125 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const File = require('../models/File');
+const FileVersion = require('../models/FileVersion');
+const { toFileResponse, removeFile, identifyFile } = require('../services/files');
+const { getUsers } = require('../services/authClient');
+const { getUsage } = require('../services/quota');
+const { parseListQuery, nextCursor } = require('../services/fileListing');
+const { publishEvent, requestContext } = require('../services/events');
+
+const router = express.Router();
+
+const MAX_STORAGE_USERS = 100;
+
+const userIdParam = (req, res, next) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+  next();
+};
+
+// Users storing the most, with bytes and versions stored and live files
+router.get('/storage', async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), MAX_STORAGE_USERS);
+
+    const totals = await FileVersion.aggregate([
+      { $group: { _id: '$userId', used: { $sum: '$size' }, versions: { $sum: 1 } } },
+      { $sort: { used: -1 } },
+      { $limit: limit }
+    ]);
+    const ids = totals.map(total => total._id);
+    const [fileCounts, users] = await Promise.all([
+      File.aggregate([
+        { $match: { userId: { $in: ids }, deletedAt: null } },
+        { $group: { _id: '$userId', files: { $sum: 1 } } }
+      ]),
+      getUsers(ids)
+    ]);
+    const files = new Map(fileCounts.map(count => [String(count._id), count.files]));
+
+    res.json({
+      users: totals.map(total => ({
+        user: users.get(String(total._id)) || { id: total._id },
+        used: total.used,
+        versions: total.versions,
+        files: files.get(String(total._id)) || 0
+      }))
+    });
+  } catch (error) {
+    console.error('Admin storage error:', error);
+    res.status(500).json({ error: 'Failed to retrieve storage usage' });
+  }
+});
+
+// A user's quota, usage and breakdown by MIME type
+router.get('/users/:id/storage', userIdParam, async (req, res) => {
+  try {
+    const usage = await getUsage(req.params.id);
+
+    res.json(usage);
+  } catch (error) {
+    console.error('Admin user storage error:', error);
+    res.status(500).json({ error: 'Failed to retrieve storage usage' });
+  }
+});
+
+// A user's files in every folder, including the trash; same filters,
+// sorting and paging as GET /api/files
+router.get('/users/:id/files', userIdParam, async (req, res) => {
+  try {
+    const listing = parseListQuery(req.query);
+    if (listing.error) {
+      return res.status(400).json({ error: listing.error });
+    }
+
+    const query = { ...listing.filter, userId: req.params.id };
+    const found = await File.find(query, null, listing.collation && { collation: listing.collation })
+      .sort(listing.sort)
+      .limit(listing.limit + 1);
+    const hasMore = found.length > listing.limit;
+    const files = found.slice(0, listing.limit);
+
+    res.json({
+      files: files.map(file => ({ ...toFileResponse(file), deletedAt: file.deletedAt })),
+      nextCursor: nextCursor(files, listing, hasMore),
+      hasMore
+    });
+  } catch (error) {
+    console.error('Admin list files error:', error);
+    res.status(500).json({ error: 'Failed to retrieve files' });
+  }
+});
+
+// Delete a file permanently, whoever owns it, skipping the trash
+router.delete('/files/:id', async (req, res) => {
+  try {
+    const file = mongoose.isValidObjectId(req.params.id) && await File.findById(req.params.id);
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    await removeFile(file);
+
+    publishEvent('file-events', {
+      type: 'FILE_DELETED',
+      userId: String(file.userId),
+      fileId: String(file._id),
+      folderId: file.folderId ? String(file.folderId) : null,
+      filename: file.originalName,
+      permanent: true,
+      performedBy: { id: req.user.userId, username: req.user.username },
+      ...requestContext(req)
+    });
+
+    // Lets the gateway drop cached listings that show the file
+    identifyFile(res, file);
+    res.json({ message: `${file.originalName} was deleted permanently` });
+  } catch (error) {
+    console.error('Admin delete file error:', error);
+    res.status(500).json({ error: 'Failed to delete file' });
+  }
+});
+
+module.exports = router;
@@ -1,23 +1,45 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs-extra');
 const File = require('../models/File');
+const FileVersion = require('../models/FileVersion');
+const Folder = require('../models/Folder');
+const Preview = require('../models/Preview');
+const Permission = require('../models/Permission');
+const {
+  toFileResponse,
+  toFolderResponse,
+  toVersionResponse,
+  resolveFolderId,
+  addVersion,
+  storeUpload,
+  identifyFile,
+  restoreVersion,
+  pruneVersions
+} = require('../services/files');
+const { commitBlob, blobExists, sendContent, createHashingStorage } = require('../services/blobs');
+const { getUsers } = require('../services/authClient');
+const { hasRole, resolveFolderAccess, requireFileAccess } = require('../middleware/access');
+const {
+  getUsage,
+  checkQuota,
+  reserveQuota,
+  releaseQuota,
+  quotaExceededResponse,
+  notifyQuotaUsage
+} = require('../services/quota');
+const { trashFile } = require('../services/trash');
+const { createTicket, createArchiveTicket, createThumbnailTicket } = require('../services/downloadTickets');
+const { findArchiveFiles, streamArchive, archiveFilename } = require('../services/archives');
+const { parseListQuery, nextCursor } = require('../services/fileListing');
+const { parseTags, parseMetadata, parseUploadAttributes } = require('../services/fileAttributes');
 
 const router = express.Router();
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: async (req, file, cb) => {
-    const uploadDir = process.env.UPLOAD_DIR || './uploads';
-    await fs.ensureDir(uploadDir);
-    cb(null, uploadDir);
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, `${uniqueSuffix}-${file.originalname}`);
-  }
-});
+// Configure multer for file uploads; bytes are hashed while they are staged
+const storage = createHashingStorage();
 
 const upload = multer({
   storage: storage,
@@ -30,33 +52,128 @@ const upload = multer({
   }
 });
 
+// Reject a request whose body cannot fit in the owner's quota before any of it
+// is read. Content-Length includes multipart framing, so it is an upper bound;
+// handlers re-check the exact size once the file has been staged.
+const requireQuota = (getOwnerId) => async (req, res, next) => {
+  try {
+    const length = parseInt(req.headers['content-length'], 10);
+    if (Number.isNaN(length)) return next();
+
+    const ownerId = await getOwnerId(req);
+    if (!ownerId) return next();
+
+    const { allowed, usage } = await checkQuota(ownerId, length);
+    if (!allowed) {
+      return res.status(413).json(quotaExceededResponse(usage));
+    }
+    next();
+  } catch (error) {
+    console.error('Quota check error:', error);
+    res.status(500).json({ error: 'Failed to check storage quota' });
+  }
+};
+
+// Owner of the folder named in ?folderId=, since multipart fields are only
+// parsed along with the file. A folder named by the folderId field alone is
+// not known yet, so only the exact size is checked, once staged.
+const uploadOwner = async (req) => {
+  if (req.query.folderId === undefined) return null;
+
+  const target = await resolveFolderAccess(req.user.userId, req.query.folderId);
+  return target ? target.ownerId : null;
+};
+
+const fileOwner = (req) => req.fileDoc.userId;
+
+// Set of "fileId:checksum" for the files whose current content has a thumbnail
+const findThumbnails = async (files) => {
+  const previews = await Preview.find({
+    fileId: { $in: files.map(file => file._id) },
+    'thumbnail.data': { $exists: true }
+  }).select('fileId checksum');
+  return new Set(previews.map(preview => `${preview.fileId}:${preview.checksum}`));
+};
+
+// Listing fields for a file's thumbnail. thumbnailUrl needs no Authorization
+// header, so <img> can load it and the browser can cache it.
+const thumbnailFields = (thumbnails, file, userId) => {
+  if (!thumbnails.has(`${file._id}:${file.checksum}`)) return { hasThumbnail: false };
+
+  const ticket = createThumbnailTicket({ fileId: file._id, checksum: file.checksum, userId });
+  return { hasThumbnail: true, thumbnailUrl: `/api/public/thumbnails/${ticket}` };
+};
+
 // Upload file
-router.post('/upload', upload.single('file'), async (req, res) => {
+router.post('/upload', requireQuota(uploadOwner), upload.single('file'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No file uploaded' });
     }
 
-    const file = new File({
-      filename: req.file.filename,
-      originalName: req.file.originalname,
-      mimeType: req.file.mimetype,
-      size: req.file.size,
-      path: req.file.path,
-      userId: req.user.userId
-    });
+    // The destination is ?folderId= (the one the quota was checked against) or
+    // else the folderId field. That field, tags and metadata must precede the
+    // file in the multipart body.
+    const { folderId: queryFolderId } = req.query;
+    if (queryFolderId !== undefined && req.body.folderId !== undefined && req.body.folderId !== queryFolderId) {
+      await fs.remove(req.file.path);
+      return res.status(400).json({ error: 'folderId in the query and in the form differ' });
+    }
 
-    await file.save();
+    const target = await resolveFolderAccess(req.user.userId, queryFolderId !== undefined ? queryFolderId : req.body.folderId);
+    if (!target || !hasRole(target.role, 'editor')) {
+      await fs.remove(req.file.path);
+      return target
+        ? res.status(403).json({ error: 'Insufficient permissions for this folder' })
+        : res.status(404).json({ error: 'Folder not found' });
+    }
+
+    const { attributes, error: attributesError } = parseUploadAttributes(req.body);
+    if (attributesError) {
+      await fs.remove(req.file.path);
+      return res.status(400).json({ error: attributesError });
+    }
+
+    // Held until the new version is recorded, so concurrent uploads cannot
+    // all fit in the same free space
+    const { allowed, usage, reservation } = await reserveQuota(target.ownerId, req.file.size);
+    if (!allowed) {
+      await fs.remove(req.file.path);
+      return res.status(413).json(quotaExceededResponse(usage));
+    }
+
+    let stored;
+    try {
+      // Identical content is stored once and shared
+      await commitBlob(req.file.path, req.file.checksum, req.file.size);
 
+      // Re-uploading a name that already exists in the folder adds a new version
+      // Files added to a shared folder belong to the folder's owner
+      stored = await storeUpload({
+        userId: target.ownerId,
+        folderId: target.folderId,
+        uploadedBy: req.user.userId,
+        originalName: req.file.originalname,
+        content: {
+          checksum: req.file.checksum,
+          mimeType: req.file.mimetype,
+          size: req.file.size
+        },
+        attributes
+      });
+    } finally {
+      await releaseQuota(reservation);
+    }
+    const { file, isNewVersion } = stored;
+
+    // Warns the owner in the background when this upload fills up their storage
+    notifyQuotaUsage(target.ownerId, req.file.size);
+
+    // Lets the gateway name the file in its FILE_UPLOADED event and invalidate its cache
+    identifyFile(res, file);
     res.status(201).json({
-      message: 'File uploaded successfully',
-      file: {
-        id: file._id,
-        filename: file.originalName,
-        size: file.size,
-        mimeType: file.mimeType,
-        uploadedAt: file.uploadedAt
-      }
+      message: isNewVersion ? 'New version uploaded successfully' : 'File uploaded successfully',
+      file: toFileResponse(file)
     });
   } catch (error) {
     console.error('Upload error:', error);
@@ -64,21 +181,80 @@ router.post('/upload', upload.single('file'), async (req, res) => {
   }
 });
 
-// Get all files for user
+// Download several files as one ZIP, streamed while it is built
+router.post('/archive', async (req, res) => {
+  try {
+    const { files, status, error } = await findArchiveFiles(req.user.userId, req.body.fileIds);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    await streamArchive(res, files, archiveFilename());
+  } catch (error) {
+    console.error('Archive error:', error);
+    // Once the ZIP has started, the only way to signal failure is to cut it short
+    if (res.headersSent) {
+      return res.destroy();
+    }
+    res.status(500).json({ error: 'Failed to create archive' });
+  }
+});
+
+// Short-lived ticket the browser can POST as a form to download a ZIP of the
+// files without an Authorization header, so the download streams to disk
+router.post('/archive-ticket', async (req, res) => {
+  try {
+    const { files, status, error } = await findArchiveFiles(req.user.userId, req.body.fileIds);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const { ticket, expiresAt } = createArchiveTicket({
+      fileIds: files.map(file => file._id),
+      userId: req.user.userId
+    });
+
+    res.status(201).json({ url: '/api/public/archives', ticket, expiresAt });
+  } catch (error) {
+    console.error('Create archive ticket error:', error);
+    res.status(500).json({ error: 'Failed to create archive ticket' });
+  }
+});
+
+// Get all files for user, optionally only those directly inside ?folderId= (or "root"),
+// which may be a folder shared with the user
+// Without folderId every file the user owns is searched, whatever its folder.
+// Results come in pages; pass nextCursor back as ?cursor= for the next one.
 router.get('/', async (req, res) => {
   try {
-    const files = await File.find({ userId: req.user.userId })
-      .select('-path')
-      .sort({ uploadedAt: -1 });
+    const listing = parseListQuery(req.query);
+    if (listing.error) {
+      return res.status(400).json({ error: listing.error });
+    }
+
+    const query = { ...listing.filter, userId: req.user.userId, deletedAt: null };
+
+    if (req.query.folderId) {
+      const target = await resolveFolderAccess(req.user.userId, req.query.folderId);
+      if (!target) {
+        return res.status(404).json({ error: 'Folder not found' });
+      }
+      query.userId = target.ownerId;
+      query.folderId = target.folderId;
+    }
+
+    // One extra document tells whether another page follows
+    const found = await File.find(query, null, listing.collation && { collation: listing.collation })
+      .sort(listing.sort)
+      .limit(listing.limit + 1);
+    const hasMore = found.length > listing.limit;
+    const files = found.slice(0, listing.limit);
+    const thumbnails = await findThumbnails(files);
 
     res.json({
-      files: files.map(file => ({
-        id: file._id,
-        filename: file.originalName,
-        size: file.size,
-        mimeType: file.mimeType,
-        uploadedAt: file.uploadedAt
-      }))
+      files: files.map(file => ({ ...toFileResponse(file), ...thumbnailFields(thumbnails, file, req.user.userId) })),
+      nextCursor: nextCursor(files, listing, hasMore),
+      hasMore
     });
   } catch (error) {
     console.error('List files error:', error);
@@ -86,75 +262,411 @@ router.get('/', async (req, res) => {
   }
 });
 
-// Get file by ID
-router.get('/:id', async (req, res) => {
+// Storage used by the current user against their quota, broken down by MIME type
+router.get('/usage', async (req, res) => {
   try {
-    const file = await File.findOne({
-      _id: req.params.id,
-      userId: req.user.userId
+    const usage = await getUsage(req.user.userId);
+
+    res.json(usage);
+  } catch (error) {
+    console.error('Storage usage error:', error);
+    res.status(500).json({ error: 'Failed to retrieve storage usage' });
+  }
+});
+
+// Tags on the current user's files, most used first
+router.get('/tags', async (req, res) => {
+  try {
+    const tags = await File.aggregate([
+      { $match: { userId: new mongoose.Types.ObjectId(req.user.userId), deletedAt: null } },
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } }
+    ]);
+
+    res.json({
+      tags: tags.map(tag => ({ tag: tag._id, count: tag.count }))
     });
+  } catch (error) {
+    console.error('List tags error:', error);
+    res.status(500).json({ error: 'Failed to retrieve tags' });
+  }
+});
 
-    if (!file) {
-      return res.status(404).json({ error: 'File not found' });
-    }
+// Files and folders other users have shared with the current user
+router.get('/shared', async (req, res) => {
+  try {
+    const grants = await Permission.find({ granteeId: req.user.userId }).sort({ createdAt: -1 });
+    const idsOf = (type) => grants
+      .filter(grant => grant.resourceType === type)
+      .map(grant => grant.resourceId);
+
+    const [files, folders] = await Promise.all([
+      File.find({ _id: { $in: idsOf('file') }, deletedAt: null }),
+      Folder.find({ _id: { $in: idsOf('folder') } })
+    ]);
+
+    const thumbnails = await findThumbnails(files);
+    const owners = await getUsers([...files, ...folders].map(resource => resource.userId)).catch(error => {
+      console.error('Owner lookup error:', error.message);
+      return new Map();
+    });
+
+    // Grantees see who shared with them, but not their email address
+    const sharing = (resource) => {
+      const grant = grants.find(candidate => candidate.resourceId.equals(resource._id));
+      const owner = owners.get(String(resource.userId));
+      return {
+        role: grant.role,
+        sharedAt: grant.createdAt,
+        owner: owner ? { id: owner.id, username: owner.username } : { id: resource.userId }
+      };
+    };
 
     res.json({
-      id: file._id,
-      filename: file.originalName,
-      size: file.size,
-      mimeType: file.mimeType,
-      uploadedAt: file.uploadedAt
+      files: files.map(file => ({
+        ...toFileResponse(file),
+        ...sharing(file),
+        ...thumbnailFields(thumbnails, file, req.user.userId)
+      })),
+      folders: folders.map(folder => ({ ...toFolderResponse(folder), ...sharing(folder) }))
     });
+  } catch (error) {
+    console.error('List shared error:', error);
+    res.status(500).json({ error: 'Failed to retrieve shared items' });
+  }
+});
+
+// Get file by ID
+router.get('/:id', requireFileAccess('read'), async (req, res) => {
+  try {
+    res.json({ ...toFileResponse(req.fileDoc), role: req.accessRole });
   } catch (error) {
     console.error('Get file error:', error);
     res.status(500).json({ error: 'Failed to retrieve file' });
   }
 });
 
-// Download file
-router.get('/:id/download', async (req, res) => {
+// Rename and retag (editors) and/or move (owner only) file
+router.patch('/:id', requireFileAccess('write'), async (req, res) => {
   try {
-    const file = await File.findOne({
-      _id: req.params.id,
-      userId: req.user.userId
-    });
+    const { filename, folderId, tags, metadata } = req.body;
+    const file = req.fileDoc;
 
-    if (!file) {
-      return res.status(404).json({ error: 'File not found' });
+    if (folderId !== undefined && !hasRole(req.accessRole, 'owner')) {
+      return res.status(403).json({ error: 'Only the owner can move a file' });
     }
 
-    if (!fs.existsSync(file.path)) {
-      return res.status(404).json({ error: 'File not found on disk' });
+    if (filename !== undefined) {
+      const name = String(filename).trim();
+      if (!name || name.includes('/')) {
+        return res.status(400).json({ error: 'Invalid filename' });
+      }
+      file.originalName = name;
+    }
+
+    if (folderId !== undefined) {
+      const targetFolderId = await resolveFolderId(req.user.userId, folderId);
+      if (targetFolderId === undefined) {
+        return res.status(404).json({ error: 'Folder not found' });
+      }
+      file.folderId = targetFolderId;
+    }
+
+    // Tags and metadata are replaced as a whole
+    if (tags !== undefined) {
+      const parsed = parseTags(tags);
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+      file.tags = parsed.tags;
+    }
+
+    if (metadata !== undefined) {
+      const parsed = parseMetadata(metadata);
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+      file.metadata = parsed.metadata;
+    }
+
+    // A name identifies one logical file per folder, so it cannot be taken twice
+    const conflict = await File.exists({
+      _id: { $ne: file._id },
+      userId: file.userId,
+      deletedAt: null,
+      folderId: file.folderId,
+      originalName: file.originalName
+    });
+    if (conflict) {
+      return res.status(409).json({ error: 'A file with this name already exists here' });
+    }
+
+    await file.save();
+
+    res.json({
+      message: 'File updated successfully',
+      file: toFileResponse(file)
+    });
+  } catch (error) {
+    console.error('Update file error:', error);
+    res.status(500).json({ error: 'Failed to update file' });
+  }
+});
+
+// Download file
+router.get('/:id/download', requireFileAccess('read'), async (req, res) => {
+  try {
+    const file = req.fileDoc;
+
+    if (!(await blobExists(file.checksum))) {
+      return res.status(404).json({ error: 'File content not found in storage' });
     }
 
-    res.download(file.path, file.originalName);
+    await sendContent(req, res, file, file.originalName);
   } catch (error) {
     console.error('Download error:', error);
     res.status(500).json({ error: 'Failed to download file' });
   }
 });
 
-// Delete file
-router.delete('/:id', async (req, res) => {
+// Thumbnail of the file's current content, generated by the preview worker
+router.get('/:id/thumbnail', requireFileAccess('read'), async (req, res) => {
   try {
-    const file = await File.findOne({
-      _id: req.params.id,
-      userId: req.user.userId
+    const file = req.fileDoc;
+    const preview = await Preview.findOne({ fileId: file._id, checksum: file.checksum });
+
+    if (!preview || !preview.thumbnail || !preview.thumbnail.data) {
+      return res.status(404).json({ error: 'Thumbnail not available' });
+    }
+
+    // Revalidated on every use, as a new version changes the thumbnail
+    res.set({
+      ETag: `"thumbnail-${file.checksum}"`,
+      'Cache-Control': 'private, no-cache'
+    });
+    res.type(preview.thumbnail.mimeType).send(preview.thumbnail.data);
+  } catch (error) {
+    console.error('Thumbnail error:', error);
+    res.status(500).json({ error: 'Failed to retrieve thumbnail' });
+  }
+});
+
+// Preview status and text snippet of the file's current content
+router.get('/:id/preview', requireFileAccess('read'), async (req, res) => {
+  try {
+    const file = req.fileDoc;
+    const preview = await Preview.findOne({ fileId: file._id, checksum: file.checksum });
+
+    res.json({
+      status: preview ? preview.status : 'pending',
+      text: preview ? preview.text : null,
+      hasThumbnail: Boolean(preview && preview.thumbnail && preview.thumbnail.data)
+    });
+  } catch (error) {
+    console.error('Preview error:', error);
+    res.status(500).json({ error: 'Failed to retrieve preview' });
+  }
+});
+
+// Short-lived URL the browser can download from directly, for the current
+// content or the given { version }
+router.post('/:id/download-ticket', requireFileAccess('read'), async (req, res) => {
+  try {
+    const file = req.fileDoc;
+    const version = req.body.version !== undefined ? Number(req.body.version) : null;
+
+    if (version !== null && !(Number.isInteger(version) && version > 0)) {
+      return res.status(400).json({ error: 'version must be a positive integer' });
+    }
+
+    if (version !== null && !(await FileVersion.exists({ fileId: file._id, version }))) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    const { ticket, expiresAt } = createTicket({ fileId: file._id, version, userId: req.user.userId });
+
+    res.status(201).json({
+      url: `/api/public/downloads/${ticket}`,
+      expiresAt
     });
+  } catch (error) {
+    console.error('Download ticket error:', error);
+    res.status(500).json({ error: 'Failed to create download link' });
+  }
+});
+
+// Upload new content for a file as its next version
+router.post('/:id/versions', requireFileAccess('write'), requireQuota(fileOwner), upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const file = req.fileDoc;
 
-    if (!file) {
-      return res.status(404).json({ error: 'File not found' });
+    // New versions count against the file owner's quota
+    const { allowed, usage, reservation } = await reserveQuota(file.userId, req.file.size);
+    if (!allowed) {
+      await fs.remove(req.file.path);
+      return res.status(413).json(quotaExceededResponse(usage));
     }
 
-    // Delete file from disk
-    if (fs.existsSync(file.path)) {
-      await fs.remove(file.path);
+    let version;
+    try {
+      await commitBlob(req.file.path, req.file.checksum, req.file.size);
+      version = await addVersion(file, {
+        checksum: req.file.checksum,
+        mimeType: req.file.mimetype,
+        size: req.file.size
+      }, req.user.userId);
+    } finally {
+      await releaseQuota(reservation);
     }
 
-    // Delete file record from database
-    await File.deleteOne({ _id: file._id });
+    notifyQuotaUsage(file.userId, req.file.size);
+    identifyFile(res, file);
+    res.status(201).json({
+      message: 'New version uploaded successfully',
+      file: toFileResponse(file),
+      version: toVersionResponse(version, file)
+    });
+  } catch (error) {
+    console.error('Upload version error:', error);
+    res.status(500).json({ error: 'Failed to upload version' });
+  }
+});
+
+// List file versions, newest first
+router.get('/:id/versions', requireFileAccess('read'), async (req, res) => {
+  try {
+    const file = req.fileDoc;
+
+    const versions = await FileVersion.find({ fileId: file._id }).sort({ version: -1 });
+
+    res.json({
+      file: toFileResponse(file),
+      versions: versions.map(version => toVersionResponse(version, file))
+    });
+  } catch (error) {
+    console.error('List versions error:', error);
+    res.status(500).json({ error: 'Failed to retrieve versions' });
+  }
+});
+
+// Download a specific version
+router.get('/:id/versions/:version/download', requireFileAccess('read'), async (req, res) => {
+  try {
+    const file = req.fileDoc;
+
+    const version = await FileVersion.findOne({
+      fileId: file._id,
+      version: Number(req.params.version)
+    });
+
+    if (!version) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    if (!(await blobExists(version.checksum))) {
+      return res.status(404).json({ error: 'File content not found in storage' });
+    }
+
+    await sendContent(req, res, version, file.originalName, { immutable: true });
+  } catch (error) {
+    console.error('Version download error:', error);
+    res.status(500).json({ error: 'Failed to download version' });
+  }
+});
+
+// Restore a version as the current one
+router.post('/:id/versions/:version/restore', requireFileAccess('write'), async (req, res) => {
+  try {
+    const file = req.fileDoc;
+
+    const version = await FileVersion.findOne({
+      fileId: file._id,
+      version: Number(req.params.version)
+    });
+
+    if (!version) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    if (version.version === file.currentVersion) {
+      return res.status(400).json({ error: 'Version is already current' });
+    }
+
+    // A restored version is stored as a new one, so it counts against the quota again
+    const { allowed, usage, reservation } = await reserveQuota(file.userId, version.size);
+    if (!allowed) {
+      return res.status(413).json(quotaExceededResponse(usage));
+    }
+
+    let restored;
+    try {
+      restored = await restoreVersion(file, version, req.user.userId);
+    } finally {
+      await releaseQuota(reservation);
+    }
+    notifyQuotaUsage(file.userId, version.size);
+
+    res.json({
+      message: `Version ${version.version} restored as version ${restored.version}`,
+      file: toFileResponse(file)
+    });
+  } catch (error) {
+    console.error('Restore version error:', error);
+    res.status(500).json({ error: 'Failed to restore version' });
+  }
+});
+
+// Prune old versions: keep the newest `keep` and/or drop those older than `olderThanDays`.
+// The current version is never pruned.
+router.post('/:id/versions/prune', requireFileAccess('manage'), async (req, res) => {
+  try {
+    const keep = req.body.keep !== undefined ? parseInt(req.body.keep, 10) : undefined;
+    const olderThanDays = req.body.olderThanDays !== undefined
+      ? parseFloat(req.body.olderThanDays)
+      : undefined;
+
+    if (keep === undefined && olderThanDays === undefined) {
+      return res.status(400).json({ error: 'Either keep or olderThanDays is required' });
+    }
+
+    if ((keep !== undefined && (Number.isNaN(keep) || keep < 1)) ||
+        (olderThanDays !== undefined && (Number.isNaN(olderThanDays) || olderThanDays < 0))) {
+      return res.status(400).json({ error: 'keep must be at least 1 and olderThanDays must not be negative' });
+    }
+
+    const file = req.fileDoc;
+
+    const prunedCount = await pruneVersions(file, {
+      keep,
+      olderThan: olderThanDays !== undefined
+        ? new Date(Date.now() - olderThanDays * 24 * 60 * 60 * 1000)
+        : undefined
+    });
+
+    res.json({
+      message: 'Versions pruned successfully',
+      pruned: prunedCount
+    });
+  } catch (error) {
+    console.error('Prune versions error:', error);
+    res.status(500).json({ error: 'Failed to prune versions' });
+  }
+});
+
+// Move file to the trash; it can be restored until it is purged
+router.delete('/:id', requireFileAccess('manage'), async (req, res) => {
+  try {
+    const file = req.fileDoc;
+
+    await trashFile(file, req.user.userId);
 
-    res.json({ message: 'File deleted successfully' });
+    identifyFile(res, file);
+    res.json({ message: 'File moved to trash' });
   } catch (error) {
     console.error('Delete error:', error);
     res.status(500).json({ error: 'Failed to delete file' });
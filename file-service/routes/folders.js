@@ -0,0 +1,202 @@
+const express = require('express');
+const File = require('../models/File');
+const Folder = require('../models/Folder');
+const Permission = require('../models/Permission');
+const { toFolderResponse, resolveFolderId } = require('../services/files');
+const { trashFile } = require('../services/trash');
+const { publishEvent, requestContext } = require('../services/events');
+const { hasRole, resolveFolderAccess, requireFolderAccess } = require('../middleware/access');
+
+const router = express.Router();
+
+const isValidName = (name) => Boolean(name) && !name.includes('/');
+
+// Duplicate key on the { userId, parentId, name } index
+const isDuplicateName = (error) => error.code === 11000;
+
+// List folders directly inside ?parentId= (defaults to the root), which may
+// be a folder shared with the user
+router.get('/', async (req, res) => {
+  try {
+    const parent = await resolveFolderAccess(req.user.userId, req.query.parentId);
+    if (!parent) {
+      return res.status(404).json({ error: 'Folder not found' });
+    }
+
+    const folders = await Folder.find({ userId: parent.ownerId, parentId: parent.folderId })
+      .sort({ name: 1 });
+
+    res.json({ folders: folders.map(toFolderResponse) });
+  } catch (error) {
+    console.error('List folders error:', error);
+    res.status(500).json({ error: 'Failed to retrieve folders' });
+  }
+});
+
+// Get folder with its breadcrumb path and the user's role on it
+router.get('/:id', requireFolderAccess('read'), async (req, res) => {
+  try {
+    const { folder } = req;
+    let path = await Folder.getPath(folder._id);
+
+    // Users a folder was shared with only see the path from the shared folder down
+    if (req.accessRole !== 'owner') {
+      const grants = await Permission.find({
+        resourceType: 'folder',
+        resourceId: { $in: path.map(ancestor => ancestor._id) },
+        granteeId: req.user.userId
+      });
+      const sharedRoot = path.findIndex(ancestor => grants.some(grant => grant.resourceId.equals(ancestor._id)));
+      path = path.slice(sharedRoot);
+    }
+
+    res.json({
+      folder: { ...toFolderResponse(folder), role: req.accessRole },
+      path: path.map(ancestor => ({ id: ancestor._id, name: ancestor.name }))
+    });
+  } catch (error) {
+    console.error('Get folder error:', error);
+    res.status(500).json({ error: 'Failed to retrieve folder' });
+  }
+});
+
+// Create folder
+router.post('/', async (req, res) => {
+  try {
+    const name = String(req.body.name || '').trim();
+    if (!isValidName(name)) {
+      return res.status(400).json({ error: 'A valid folder name is required' });
+    }
+
+    const parent = await resolveFolderAccess(req.user.userId, req.body.parentId);
+    if (!parent) {
+      return res.status(404).json({ error: 'Parent folder not found' });
+    }
+    if (!hasRole(parent.role, 'editor')) {
+      return res.status(403).json({ error: 'Insufficient permissions for this folder' });
+    }
+
+    // Folders created inside a shared folder belong to its owner
+    const folder = new Folder({
+      name,
+      parentId: parent.folderId,
+      userId: parent.ownerId
+    });
+    await folder.save();
+
+    res.status(201).json({
+      message: 'Folder created successfully',
+      folder: toFolderResponse(folder)
+    });
+  } catch (error) {
+    if (isDuplicateName(error)) {
+      return res.status(409).json({ error: 'A folder with this name already exists here' });
+    }
+    console.error('Create folder error:', error);
+    res.status(500).json({ error: 'Failed to create folder' });
+  }
+});
+
+// Rename (editors) and/or move (owner only) folder
+router.patch('/:id', requireFolderAccess('write'), async (req, res) => {
+  try {
+    const { name, parentId } = req.body;
+    const { folder } = req;
+
+    if (parentId !== undefined && !hasRole(req.accessRole, 'owner')) {
+      return res.status(403).json({ error: 'Only the owner can move a folder' });
+    }
+
+    if (name !== undefined) {
+      const newName = String(name).trim();
+      if (!isValidName(newName)) {
+        return res.status(400).json({ error: 'A valid folder name is required' });
+      }
+      folder.name = newName;
+    }
+
+    if (parentId !== undefined) {
+      const targetId = await resolveFolderId(req.user.userId, parentId);
+      if (targetId === undefined) {
+        return res.status(404).json({ error: 'Parent folder not found' });
+      }
+
+      // A folder cannot be moved into itself or one of its own subfolders
+      const targetPath = await Folder.getPath(targetId);
+      if (targetPath.some(ancestor => ancestor._id.equals(folder._id))) {
+        return res.status(400).json({ error: 'Cannot move a folder into itself' });
+      }
+      folder.parentId = targetId;
+    }
+
+    folder.updatedAt = new Date();
+    await folder.save();
+
+    res.json({
+      message: 'Folder updated successfully',
+      folder: toFolderResponse(folder)
+    });
+  } catch (error) {
+    if (isDuplicateName(error)) {
+      return res.status(409).json({ error: 'A folder with this name already exists here' });
+    }
+    console.error('Update folder error:', error);
+    res.status(500).json({ error: 'Failed to update folder' });
+  }
+});
+
+// Delete folder; non-empty folders require ?recursive=true. The files inside
+// go to the trash and are restored to the root, as their folders are gone.
+router.delete('/:id', requireFolderAccess('manage'), async (req, res) => {
+  try {
+    const { folder } = req;
+
+    const recursive = req.query.recursive === 'true';
+    const folderIds = await Folder.getDescendantIds(folder._id);
+    const files = await File.find({ folderId: { $in: folderIds }, deletedAt: null });
+
+    if (!recursive && (folderIds.length > 1 || files.length > 0)) {
+      return res.status(409).json({ error: 'Folder is not empty' });
+    }
+
+    // Everyone the folder, or a file in it, was shared with may have it cached
+    const grantees = await Permission.distinct('granteeId', {
+      $or: [
+        { resourceType: 'folder', resourceId: { $in: folderIds } },
+        { resourceType: 'file', resourceId: { $in: files.map(file => file._id) } }
+      ]
+    });
+
+    for (const file of files) {
+      await trashFile(file, req.user.userId);
+    }
+    await Folder.deleteMany({ _id: { $in: folderIds } });
+    await Permission.deleteMany({ resourceType: 'folder', resourceId: { $in: folderIds } });
+
+    // Each trashed file is reported as if deleted on its own, for open
+    // Dashboards, the audit log and the gateway's cache
+    files.forEach(file => publishEvent('file-events', {
+      type: 'FILE_DELETED',
+      userId: String(req.user.userId),
+      username: req.user.username,
+      fileId: String(file._id),
+      folderId: String(file.folderId),
+      filename: file.originalName,
+      ...requestContext(req)
+    }));
+    if (grantees.length > 0) {
+      res.set('X-Grantee-Id', grantees.map(String).join(','));
+    }
+
+    res.json({
+      message: 'Folder deleted successfully',
+      deletedFolders: folderIds.length,
+      trashedFiles: files.length
+    });
+  } catch (error) {
+    console.error('Delete folder error:', error);
+    res.status(500).json({ error: 'Failed to delete folder' });
+  }
+});
+
+module.exports = router;
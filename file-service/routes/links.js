@@ -0,0 +1,91 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const ShareLink = require('../models/ShareLink');
+const { createTokenId, toShareLinkResponse } = require('../services/shareLinks');
+const { requireFileAccess } = require('../middleware/access');
+
+// Mounted at /api/files/:id/links; only the owner manages a file's public links
+const router = express.Router({ mergeParams: true });
+
+router.use(requireFileAccess('manage'));
+
+// List share links for a file, newest first
+router.get('/', async (req, res) => {
+  try {
+    const links = await ShareLink.find({ fileId: req.fileDoc._id }).sort({ createdAt: -1 });
+
+    res.json({ links: links.map(toShareLinkResponse) });
+  } catch (error) {
+    console.error('List share links error:', error);
+    res.status(500).json({ error: 'Failed to list share links' });
+  }
+});
+
+// Create share link
+router.post('/', async (req, res) => {
+  try {
+    const { expiresInHours, password, maxDownloads } = req.body;
+
+    if (expiresInHours !== undefined && expiresInHours !== null &&
+        !(Number(expiresInHours) > 0)) {
+      return res.status(400).json({ error: 'expiresInHours must be a positive number' });
+    }
+
+    if (maxDownloads !== undefined && maxDownloads !== null &&
+        !(Number.isInteger(Number(maxDownloads)) && Number(maxDownloads) > 0)) {
+      return res.status(400).json({ error: 'maxDownloads must be a positive integer' });
+    }
+
+    if (password !== undefined && password !== null && password !== '' &&
+        (typeof password !== 'string' || password.length < 4)) {
+      return res.status(400).json({ error: 'Password must be at least 4 characters' });
+    }
+
+    const link = new ShareLink({
+      tokenId: createTokenId(),
+      fileId: req.fileDoc._id,
+      userId: req.fileDoc.userId,
+      passwordHash: password ? await bcrypt.hash(password, 10) : null,
+      expiresAt: expiresInHours ? new Date(Date.now() + Number(expiresInHours) * 60 * 60 * 1000) : null,
+      maxDownloads: maxDownloads ? Number(maxDownloads) : null
+    });
+    await link.save();
+
+    res.status(201).json({
+      message: 'Share link created',
+      link: toShareLinkResponse(link)
+    });
+  } catch (error) {
+    console.error('Create share link error:', error);
+    res.status(500).json({ error: 'Failed to create share link' });
+  }
+});
+
+// Revoke share link; it stays listed so the owner can see its history
+router.delete('/:linkId', async (req, res) => {
+  try {
+    const link = await ShareLink.findOne({
+      _id: req.params.linkId,
+      fileId: req.fileDoc._id
+    });
+
+    if (!link) {
+      return res.status(404).json({ error: 'Share link not found' });
+    }
+
+    if (!link.revokedAt) {
+      link.revokedAt = new Date();
+      await link.save();
+    }
+
+    res.json({
+      message: 'Share link revoked',
+      link: toShareLinkResponse(link)
+    });
+  } catch (error) {
+    console.error('Revoke share link error:', error);
+    res.status(500).json({ error: 'Failed to revoke share link' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,142 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Permission = require('../models/Permission');
+const { findUserByEmail, getUsers } = require('../services/authClient');
+const { requireFileAccess, requireFolderAccess } = require('../middleware/access');
+const { publishEvent, requestContext } = require('../services/events');
+
+const ROLES = ['viewer', 'editor'];
+
+const toPermissionResponse = (permission, users) => ({
+  id: permission._id,
+  role: permission.role,
+  grantee: users.get(String(permission.granteeId)) || { id: permission.granteeId },
+  createdAt: permission.createdAt
+});
+
+// Grants on a file or folder, mounted at /api/files/:id/permissions and
+// /api/folders/:id/permissions. Only the owner can see or change them.
+const createPermissionRouter = (resourceType) => {
+  const router = express.Router({ mergeParams: true });
+  const getResource = (req) => (resourceType === 'file' ? req.fileDoc : req.folder);
+
+  router.use(resourceType === 'file' ? requireFileAccess('manage') : requireFolderAccess('manage'));
+
+  // List who the resource is shared with
+  router.get('/', async (req, res) => {
+    try {
+      const permissions = await Permission.find({
+        resourceType,
+        resourceId: getResource(req)._id
+      }).sort({ createdAt: 1 });
+
+      const users = await getUsers(permissions.map(permission => permission.granteeId));
+
+      res.json({ permissions: permissions.map(permission => toPermissionResponse(permission, users)) });
+    } catch (error) {
+      console.error('List permissions error:', error);
+      res.status(500).json({ error: 'Failed to retrieve permissions' });
+    }
+  });
+
+  // Share with a user by email, or change their role
+  router.post('/', async (req, res) => {
+    try {
+      const { email, role } = req.body;
+
+      if (!email) {
+        return res.status(400).json({ error: 'Email is required' });
+      }
+      if (!ROLES.includes(role)) {
+        return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+      }
+
+      const { user: grantee, retryAfter } = await findUserByEmail(String(email), req.user.userId);
+      if (retryAfter) {
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({ error: 'Too many email address lookups. Try again later.' });
+      }
+      if (!grantee) {
+        return res.status(404).json({ error: 'No user with this email address' });
+      }
+
+      const resource = getResource(req);
+      if (resource.userId.equals(grantee.id)) {
+        return res.status(400).json({ error: 'The owner already has full access' });
+      }
+
+      let permission = await Permission.findOne({
+        resourceType,
+        resourceId: resource._id,
+        granteeId: grantee.id
+      });
+      const isNew = !permission;
+
+      if (isNew) {
+        permission = new Permission({
+          resourceType,
+          resourceId: resource._id,
+          ownerId: resource.userId,
+          granteeId: grantee.id,
+          role
+        });
+      } else {
+        permission.role = role;
+      }
+      await permission.save();
+      // Whatever the grantee's cached listings show may have changed
+      res.set('X-Grantee-Id', String(grantee.id));
+
+      // Tells the grantee's open Dashboards about the new share
+      if (isNew) {
+        publishEvent('file-events', {
+          type: 'SHARE_RECEIVED',
+          userId: String(grantee.id),
+          granteeUsername: grantee.username,
+          sharedBy: { id: req.user.userId, username: req.user.username },
+          resourceType,
+          resourceId: String(resource._id),
+          name: resourceType === 'file' ? resource.originalName : resource.name,
+          role,
+          ...requestContext(req)
+        });
+      }
+
+      res.status(isNew ? 201 : 200).json({
+        message: isNew ? `Shared with ${grantee.username}` : `Updated access for ${grantee.username}`,
+        permission: toPermissionResponse(permission, new Map([[String(grantee.id), grantee]]))
+      });
+    } catch (error) {
+      console.error('Share error:', error);
+      res.status(500).json({ error: 'Failed to share' });
+    }
+  });
+
+  // Stop sharing with a user
+  router.delete('/:permissionId', async (req, res) => {
+    try {
+      const permission = mongoose.isValidObjectId(req.params.permissionId) && await Permission.findOneAndDelete({
+        _id: req.params.permissionId,
+        resourceType,
+        resourceId: getResource(req)._id
+      });
+
+      if (!permission) {
+        return res.status(404).json({ error: 'Permission not found' });
+      }
+
+      // The gateway drops everything it cached for the former grantee, which
+      // includes the whole subtree of a folder
+      res.set('X-Grantee-Id', String(permission.granteeId));
+
+      res.json({ message: 'Access removed' });
+    } catch (error) {
+      console.error('Remove permission error:', error);
+      res.status(500).json({ error: 'Failed to remove access' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createPermissionRouter;
@@ -0,0 +1,190 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const File = require('../models/File');
+const ShareLink = require('../models/ShareLink');
+const { verifyToken, getLinkStatus, claimDownload } = require('../services/shareLinks');
+const FileVersion = require('../models/FileVersion');
+const Preview = require('../models/Preview');
+const { blobExists, sendContent } = require('../services/blobs');
+const { verifyTicket, verifyArchiveTicket, verifyThumbnailTicket } = require('../services/downloadTickets');
+const { findArchiveFiles, streamArchive, archiveFilename } = require('../services/archives');
+const { hasRole, getFileRole } = require('../middleware/access');
+
+// Unauthenticated routes; access is granted by a signed share link token or download ticket
+const router = express.Router();
+
+const STATUS_ERRORS = {
+  revoked: 'This share link has been revoked',
+  expired: 'This share link has expired',
+  exhausted: 'This share link has reached its download limit'
+};
+
+// Resolve a token to a usable link and its file, or send the error response
+const resolveShare = async (req, res) => {
+  const tokenId = verifyToken(req.params.token);
+  const link = tokenId && await ShareLink.findOne({ tokenId });
+  const file = link && await File.findOne({ _id: link.fileId, deletedAt: null });
+
+  if (!file) {
+    res.status(404).json({ error: 'Share link not found' });
+    return null;
+  }
+
+  const status = getLinkStatus(link);
+  if (status !== 'active') {
+    res.status(410).json({ error: STATUS_ERRORS[status], status });
+    return null;
+  }
+
+  return { link, file };
+};
+
+// Shared file details
+router.get('/shares/:token', async (req, res) => {
+  try {
+    const share = await resolveShare(req, res);
+    if (!share) return;
+
+    const { link, file } = share;
+    res.json({
+      share: {
+        filename: file.originalName,
+        size: file.size,
+        mimeType: file.mimeType,
+        requiresPassword: Boolean(link.passwordHash),
+        expiresAt: link.expiresAt,
+        downloadsRemaining: link.maxDownloads !== null
+          ? link.maxDownloads - link.downloadCount
+          : null
+      }
+    });
+  } catch (error) {
+    console.error('Get share error:', error);
+    res.status(500).json({ error: 'Failed to load share link' });
+  }
+});
+
+// Download shared file; password-protected links take the password in a POST body
+const downloadShare = async (req, res) => {
+  try {
+    const share = await resolveShare(req, res);
+    if (!share) return;
+
+    const { link, file } = share;
+
+    if (link.passwordHash) {
+      const password = req.body?.password;
+      if (!password) {
+        return res.status(401).json({ error: 'Password required' });
+      }
+      if (!(await bcrypt.compare(String(password), link.passwordHash))) {
+        return res.status(403).json({ error: 'Incorrect password' });
+      }
+    }
+
+    if (!(await blobExists(file.checksum))) {
+      return res.status(404).json({ error: 'File content not found in storage' });
+    }
+
+    // Only a complete download counts against a download limit (not HEAD or
+    // 304), so limited links serve whole files only
+    const sent = await sendContent(req, res, file, file.originalName, {
+      ranges: link.maxDownloads === null,
+      claim: () => claimDownload(link)
+    });
+    if (sent === false) {
+      return res.status(410).json({ error: STATUS_ERRORS.exhausted, status: 'exhausted' });
+    }
+  } catch (error) {
+    console.error('Share download error:', error);
+    res.status(500).json({ error: 'Failed to download file' });
+  }
+};
+
+router.get('/shares/:token/download', downloadShare);
+router.post('/shares/:token/download', downloadShare);
+
+// Download through a ticket issued by POST /api/files/:id/download-ticket.
+// Access is checked again, so revoking a share also stops its tickets.
+router.get('/downloads/:ticket', async (req, res) => {
+  try {
+    const ticket = verifyTicket(req.params.ticket);
+    if (ticket && ticket.expired) {
+      return res.status(410).json({ error: 'This download link has expired' });
+    }
+
+    const file = ticket && await File.findOne({ _id: ticket.fileId, deletedAt: null });
+    const role = file && await getFileRole(file, ticket.userId);
+    if (!hasRole(role, 'viewer')) {
+      return res.status(404).json({ error: 'Download link not found' });
+    }
+
+    const content = ticket.version !== null
+      ? await FileVersion.findOne({ fileId: file._id, version: ticket.version })
+      : file;
+    if (!content) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    if (!(await blobExists(content.checksum))) {
+      return res.status(404).json({ error: 'File content not found in storage' });
+    }
+
+    await sendContent(req, res, content, file.originalName, { immutable: ticket.version !== null });
+  } catch (error) {
+    console.error('Ticket download error:', error);
+    res.status(500).json({ error: 'Failed to download file' });
+  }
+});
+
+// Thumbnail through the thumbnailUrl of a file listing. Access is checked
+// again; the URL names the content it shows, so the browser keeps the image
+// until the ticket expires.
+router.get('/thumbnails/:ticket', async (req, res) => {
+  try {
+    const ticket = verifyThumbnailTicket(req.params.ticket);
+    const file = ticket && !ticket.expired && await File.findOne({ _id: ticket.fileId, deletedAt: null });
+    const role = file && await getFileRole(file, ticket.userId);
+    const preview = hasRole(role, 'viewer') && await Preview.findOne({ fileId: file._id, checksum: ticket.checksum });
+
+    if (!preview || !preview.thumbnail || !preview.thumbnail.data) {
+      return res.status(404).json({ error: 'Thumbnail not available' });
+    }
+
+    const maxAge = Math.max(0, ticket.exp - Math.floor(Date.now() / 1000));
+    res.set('Cache-Control', `private, max-age=${maxAge}, immutable`);
+    res.type(preview.thumbnail.mimeType).send(preview.thumbnail.data);
+  } catch (error) {
+    console.error('Ticket thumbnail error:', error);
+    res.status(500).json({ error: 'Failed to retrieve thumbnail' });
+  }
+});
+
+// ZIP of several files for an archive ticket sent as the "ticket" form field
+router.post('/archives', async (req, res) => {
+  try {
+    const ticket = req.body.ticket && verifyArchiveTicket(req.body.ticket);
+    if (ticket && ticket.expired) {
+      return res.status(410).json({ error: 'This download link has expired' });
+    }
+    if (!ticket) {
+      return res.status(404).json({ error: 'Download link not found' });
+    }
+
+    // Access is checked again, as it may have been revoked since
+    const { files, status, error } = await findArchiveFiles(ticket.userId, ticket.fileIds);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    await streamArchive(res, files, archiveFilename());
+  } catch (error) {
+    console.error('Ticket archive error:', error);
+    if (res.headersSent) {
+      return res.destroy();
+    }
+    res.status(500).json({ error: 'Failed to create archive' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,86 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const File = require('../models/File');
+const { toFileResponse, removeFile } = require('../services/files');
+const { getPurgeAt, restoreFile } = require('../services/trash');
+
+// Files deleted by their owner; only the owner sees them here
+const router = express.Router();
+
+const toTrashResponse = (file) => ({
+  ...toFileResponse(file),
+  deletedAt: file.deletedAt,
+  purgeAt: getPurgeAt(file)
+});
+
+const findTrashedFile = (req) => mongoose.isValidObjectId(req.params.id)
+  ? File.findOne({ _id: req.params.id, userId: req.user.userId, deletedAt: { $ne: null } })
+  : null;
+
+// List trashed files, most recently deleted first
+router.get('/', async (req, res) => {
+  try {
+    const files = await File.find({ userId: req.user.userId, deletedAt: { $ne: null } })
+      .sort({ deletedAt: -1 });
+
+    res.json({ files: files.map(toTrashResponse) });
+  } catch (error) {
+    console.error('List trash error:', error);
+    res.status(500).json({ error: 'Failed to retrieve trash' });
+  }
+});
+
+// Move a file out of the trash
+router.post('/:id/restore', async (req, res) => {
+  try {
+    const file = await findTrashedFile(req);
+    if (!file) {
+      return res.status(404).json({ error: 'File not found in trash' });
+    }
+
+    await restoreFile(file);
+
+    res.json({
+      message: 'File restored successfully',
+      file: toFileResponse(file)
+    });
+  } catch (error) {
+    console.error('Restore from trash error:', error);
+    res.status(500).json({ error: 'Failed to restore file' });
+  }
+});
+
+// Permanently delete a trashed file
+router.delete('/:id', async (req, res) => {
+  try {
+    const file = await findTrashedFile(req);
+    if (!file) {
+      return res.status(404).json({ error: 'File not found in trash' });
+    }
+
+    await removeFile(file);
+
+    res.json({ message: 'File permanently deleted' });
+  } catch (error) {
+    console.error('Permanent delete error:', error);
+    res.status(500).json({ error: 'Failed to delete file' });
+  }
+});
+
+// Empty the trash
+router.delete('/', async (req, res) => {
+  try {
+    const files = await File.find({ userId: req.user.userId, deletedAt: { $ne: null } });
+
+    for (const file of files) {
+      await removeFile(file);
+    }
+
+    res.json({ message: 'Trash emptied', deletedFiles: files.length });
+  } catch (error) {
+    console.error('Empty trash error:', error);
+    res.status(500).json({ error: 'Failed to empty trash' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,382 @@
+const express = require('express');
+const path = require('path');
+const fs = require('fs-extra');
+const { Transform, pipeline } = require('stream');
+const mongoose = require('mongoose');
+const File = require('../models/File');
+const UploadSession = require('../models/UploadSession');
+const { addVersion, applyAttributes, storeUpload, identifyFile } = require('../services/files');
+const { getTempDir, hashFile, commitBlob } = require('../services/blobs');
+const { hasRole, getFileRole, resolveFolderAccess } = require('../middleware/access');
+const { reserveUploadQuota, quotaExceededResponse, notifyQuotaUsage } = require('../services/quota');
+const { parseUploadAttributes } = require('../services/fileAttributes');
+const { authenticateToken } = require('../middleware/auth');
+
+const router = express.Router();
+
+// tus 1.0.0 (core + creation, termination and expiration extensions)
+const TUS_VERSION = '1.0.0';
+const TUS_EXTENSIONS = 'creation,termination,expiration';
+const MAX_UPLOAD_SIZE = parseInt(process.env.MAX_UPLOAD_SIZE, 10) || 10 * 1024 * 1024 * 1024; // 10GB
+const SESSION_TTL_MS = (parseInt(process.env.UPLOAD_SESSION_TTL_HOURS, 10) || 24) * 60 * 60 * 1000;
+
+// Sessions currently receiving a PATCH, so two requests never append at once
+const activeUploads = new Set();
+
+// Parse "key base64value,key2 base64value2" from the Upload-Metadata header
+const parseMetadata = (header) => {
+  const metadata = {};
+  if (!header) return metadata;
+
+  header.split(',').forEach(pair => {
+    const [key, value] = pair.trim().split(' ');
+    if (key) {
+      metadata[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+    }
+  });
+  return metadata;
+};
+
+const sessionLocation = (session) => `/api/files/uploads/${session._id}`;
+
+// Malformed ids are simply not found
+const findSession = async (req) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return null;
+
+  return UploadSession.findOne({
+    _id: req.params.id,
+    userId: req.user.userId
+  });
+};
+
+// Append the request body to the partial file, refusing bytes beyond maxBytes
+const appendChunk = (req, partialPath, maxBytes) => new Promise((resolve, reject) => {
+  let received = 0;
+  const limiter = new Transform({
+    transform(chunk, encoding, cb) {
+      received += chunk.length;
+      if (received > maxBytes) {
+        return cb(new Error('Chunk exceeds Upload-Length'));
+      }
+      cb(null, chunk);
+    }
+  });
+
+  pipeline(req, limiter, fs.createWriteStream(partialPath, { flags: 'a' }), (err) => {
+    if (err) return reject(err);
+    resolve(received);
+  });
+});
+
+// The file the user may upload a new version of, as named in Upload-Metadata
+const findWritableFile = async (userId, fileId) => {
+  if (!mongoose.isValidObjectId(fileId)) return null;
+
+  const file = await File.findOne({ _id: fileId, deletedAt: null });
+  return file && hasRole(await getFileRole(file, userId), 'editor') ? file : null;
+};
+
+// Turn a fully received session into a File document (or a new version of one)
+const finalizeSession = async (session) => {
+  const checksum = await hashFile(session.partialPath);
+  await commitBlob(session.partialPath, checksum, session.length);
+
+  const content = {
+    checksum,
+    mimeType: session.mimeType,
+    size: session.length
+  };
+  const { attributes } = parseUploadAttributes({
+    tags: session.metadata.get('tags'),
+    metadata: session.metadata.get('metadata')
+  });
+
+  // The destination may have been deleted, or access to it revoked, while
+  // the upload was in progress; the upload then lands in the user's root
+  let file = session.versionOf && await findWritableFile(session.userId, session.versionOf);
+  if (file) {
+    applyAttributes(file, attributes);
+    await addVersion(file, content, session.userId);
+  } else {
+    const target = session.folderId && await resolveFolderAccess(session.userId, session.folderId);
+    const writable = target && hasRole(target.role, 'editor');
+
+    ({ file } = await storeUpload({
+      userId: writable ? target.ownerId : session.userId,
+      folderId: writable ? target.folderId : null,
+      uploadedBy: session.userId,
+      originalName: session.originalName,
+      content,
+      attributes
+    }));
+  }
+
+  session.fileId = file._id;
+  session.completedAt = new Date();
+  await session.save();
+
+  return file;
+};
+
+// Server capabilities, for tus clients to discover before uploading. Needs no
+// sign-in, and the client's Tus-Resumable is ignored, as the protocol says.
+router.options('/', (req, res) => {
+  res.set({
+    'Tus-Resumable': TUS_VERSION,
+    'Tus-Version': TUS_VERSION,
+    'Tus-Extension': TUS_EXTENSIONS,
+    'Tus-Max-Size': String(MAX_UPLOAD_SIZE)
+  });
+  res.status(204).end();
+});
+
+router.use(authenticateToken);
+
+router.use((req, res, next) => {
+  res.set('Tus-Resumable', TUS_VERSION);
+
+  const clientVersion = req.headers['tus-resumable'];
+  if (clientVersion && clientVersion !== TUS_VERSION) {
+    res.set('Tus-Version', TUS_VERSION);
+    return res.status(412).json({ error: 'Unsupported tus version' });
+  }
+  next();
+});
+
+// Create upload session
+router.post('/', async (req, res) => {
+  try {
+    const length = parseInt(req.headers['upload-length'], 10);
+    if (Number.isNaN(length) || length < 0) {
+      return res.status(400).json({ error: 'Upload-Length header is required' });
+    }
+
+    if (length > MAX_UPLOAD_SIZE) {
+      res.set('Tus-Max-Size', String(MAX_UPLOAD_SIZE));
+      return res.status(413).json({ error: 'Upload exceeds maximum allowed size' });
+    }
+
+    const metadata = parseMetadata(req.headers['upload-metadata']);
+    if (!metadata.filename) {
+      return res.status(400).json({ error: 'Upload-Metadata must include a filename' });
+    }
+
+    // Checked now so the upload is not rejected once all of it has been sent
+    const { error: attributesError } = parseUploadAttributes(metadata);
+    if (attributesError) {
+      return res.status(400).json({ error: attributesError });
+    }
+
+    // Either a new version of a given file, or a file in a folder (own or shared)
+    let versionOf = null;
+    let folderId = null;
+    let ownerId;
+    if (metadata.fileId) {
+      const file = await findWritableFile(req.user.userId, metadata.fileId);
+      if (!file) {
+        return res.status(404).json({ error: 'File not found' });
+      }
+      versionOf = file._id;
+      ownerId = file.userId;
+    } else {
+      const target = await resolveFolderAccess(req.user.userId, metadata.folderId);
+      if (!target) {
+        return res.status(404).json({ error: 'Folder not found' });
+      }
+      if (!hasRole(target.role, 'editor')) {
+        return res.status(403).json({ error: 'Insufficient permissions for this folder' });
+      }
+      folderId = target.folderId;
+      ownerId = target.ownerId;
+    }
+
+    const session = new UploadSession({
+      userId: req.user.userId,
+      ownerId,
+      originalName: metadata.filename,
+      mimeType: metadata.filetype || 'application/octet-stream',
+      length,
+      folderId,
+      versionOf,
+      metadata,
+      partialPath: 'pending',
+      expiresAt: new Date(Date.now() + SESSION_TTL_MS)
+    });
+    session.partialPath = path.join(getTempDir(), String(session._id));
+
+    // The whole upload is reserved against the owner's quota up front
+    const { allowed, usage } = await reserveUploadQuota(session);
+    if (!allowed) {
+      return res.status(413).json(quotaExceededResponse(usage));
+    }
+
+    // Without its partial file the session would hold the reservation for nothing
+    try {
+      await fs.ensureFile(session.partialPath);
+    } catch (error) {
+      await UploadSession.deleteOne({ _id: session._id });
+      throw error;
+    }
+
+    // Empty files have nothing left to send
+    if (length === 0) {
+      const file = await finalizeSession(session);
+      identifyFile(res, file);
+    }
+
+    res.set({
+      Location: sessionLocation(session),
+      'Upload-Offset': '0',
+      'Upload-Expires': session.expiresAt.toUTCString()
+    });
+    res.status(201).json({
+      id: session._id,
+      location: sessionLocation(session),
+      offset: session.offset,
+      length: session.length,
+      expiresAt: session.expiresAt
+    });
+  } catch (error) {
+    console.error('Create upload session error:', error);
+    res.status(500).json({ error: 'Failed to create upload session' });
+  }
+});
+
+// Get received offset
+router.head('/:id', async (req, res) => {
+  try {
+    const session = await findSession(req);
+    if (!session) {
+      return res.status(404).end();
+    }
+    if (!session.completedAt && session.expiresAt < new Date()) {
+      return res.status(410).end();
+    }
+
+    res.set({
+      'Upload-Offset': String(session.offset),
+      'Upload-Length': String(session.length),
+      'Upload-Expires': session.expiresAt.toUTCString(),
+      'Cache-Control': 'no-store'
+    });
+    res.status(200).end();
+  } catch (error) {
+    console.error('Upload offset error:', error);
+    res.status(500).end();
+  }
+});
+
+// Get upload session status
+router.get('/:id', async (req, res) => {
+  try {
+    const session = await findSession(req);
+    if (!session) {
+      return res.status(404).json({ error: 'Upload session not found' });
+    }
+
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      id: session._id,
+      filename: session.originalName,
+      offset: session.offset,
+      length: session.length,
+      completed: Boolean(session.completedAt),
+      fileId: session.fileId,
+      expiresAt: session.expiresAt
+    });
+  } catch (error) {
+    console.error('Get upload session error:', error);
+    res.status(500).json({ error: 'Failed to retrieve upload session' });
+  }
+});
+
+// Append a chunk at Upload-Offset
+router.patch('/:id', async (req, res) => {
+  if (req.headers['content-type'] !== 'application/offset+octet-stream') {
+    return res.status(415).json({ error: 'Content-Type must be application/offset+octet-stream' });
+  }
+
+  const sessionId = req.params.id;
+  if (activeUploads.has(sessionId)) {
+    return res.status(409).json({ error: 'Another chunk is being uploaded for this session' });
+  }
+  activeUploads.add(sessionId);
+
+  try {
+    const session = await findSession(req);
+    if (!session) {
+      return res.status(404).json({ error: 'Upload session not found' });
+    }
+    if (session.completedAt) {
+      return res.status(409).json({ error: 'Upload is already complete' });
+    }
+    if (session.expiresAt < new Date()) {
+      return res.status(410).json({ error: 'Upload session has expired' });
+    }
+
+    const offset = parseInt(req.headers['upload-offset'], 10);
+    if (offset !== session.offset) {
+      res.set('Upload-Offset', String(session.offset));
+      return res.status(409).json({ error: 'Upload-Offset does not match the received offset' });
+    }
+
+    let appendError = null;
+    try {
+      await appendChunk(req, session.partialPath, session.length - session.offset);
+    } catch (err) {
+      appendError = err;
+    }
+
+    // Whatever made it to disk counts, even when the connection dropped
+    const { size } = await fs.stat(session.partialPath);
+    session.offset = size;
+    await session.save();
+
+    if (appendError) {
+      console.error('Upload chunk error:', appendError.message);
+      res.set('Upload-Offset', String(session.offset));
+      return res.status(400).json({ error: appendError.message });
+    }
+
+    if (session.offset === session.length) {
+      const file = await finalizeSession(session);
+      notifyQuotaUsage(file.userId, session.length);
+      identifyFile(res, file);
+    }
+
+    res.set({
+      'Upload-Offset': String(session.offset),
+      'Upload-Length': String(session.length),
+      'Upload-Expires': session.expiresAt.toUTCString()
+    });
+    res.status(204).end();
+  } catch (error) {
+    console.error('Upload chunk error:', error);
+    res.status(500).json({ error: 'Failed to store upload chunk' });
+  } finally {
+    activeUploads.delete(sessionId);
+  }
+});
+
+// Terminate upload session
+router.delete('/:id', async (req, res) => {
+  try {
+    const session = await findSession(req);
+    if (!session) {
+      return res.status(404).json({ error: 'Upload session not found' });
+    }
+    if (activeUploads.has(String(session._id))) {
+      return res.status(409).json({ error: 'Upload is in progress' });
+    }
+
+    await fs.remove(session.partialPath);
+    await UploadSession.deleteOne({ _id: session._id });
+
+    res.status(204).end();
+  } catch (error) {
+    console.error('Terminate upload error:', error);
+    res.status(500).json({ error: 'Failed to terminate upload' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,73 @@
+// Move files stored under per-upload names (File.path / FileVersion.path)
+// into the content-addressed blob store. Safe to run more than once.
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const File = require('../models/File');
+const FileVersion = require('../models/FileVersion');
+const { hashFile, commitBlob, retainBlob } = require('../services/blobs');
+
+const migrate = async () => {
+  // Blob references are per version, so legacy files first get a version record
+  const unversioned = await File.collection.find({ checksum: { $exists: false } }).toArray();
+  for (const file of unversioned) {
+    const hasVersions = await FileVersion.collection.countDocuments({ fileId: file._id });
+    if (hasVersions === 0) {
+      await FileVersion.collection.insertOne({
+        fileId: file._id,
+        userId: file.userId,
+        version: file.currentVersion || 1,
+        mimeType: file.mimeType,
+        size: file.size,
+        path: file.path,
+        restoredFrom: null,
+        uploadedBy: file.userId,
+        uploadedAt: file.updatedAt || file.uploadedAt
+      });
+    }
+  }
+
+  // Several versions may share one legacy path, which moves into the store only once
+  const migratedPaths = new Map();
+  const versions = await FileVersion.collection.find({ checksum: { $exists: false } }).toArray();
+  for (const version of versions) {
+    let checksum = migratedPaths.get(version.path);
+    if (checksum) {
+      await retainBlob(checksum);
+    } else {
+      checksum = await hashFile(version.path);
+      await commitBlob(version.path, checksum, version.size);
+      migratedPaths.set(version.path, checksum);
+    }
+
+    await FileVersion.collection.updateOne(
+      { _id: version._id },
+      { $set: { checksum }, $unset: { path: '', filename: '' } }
+    );
+  }
+
+  // Files mirror the checksum of their current version
+  for (const file of unversioned) {
+    const current = await FileVersion.collection.findOne({
+      fileId: file._id,
+      version: file.currentVersion || 1
+    });
+    await File.collection.updateOne(
+      { _id: file._id },
+      {
+        $set: { checksum: current.checksum, currentVersion: current.version },
+        $unset: { path: '', filename: '' }
+      }
+    );
+  }
+
+  console.log(`Migrated ${unversioned.length} file(s) and ${versions.length} version(s) to blob storage`);
+};
+
+mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/distributed-storage')
+  .then(migrate)
+  .catch(err => {
+    console.error('Blob migration error:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,48 @@
+// Copy every blob held by another storage driver into the target driver,
+// then remove it from the source. Usage: node scripts/migrate-storage.js <driver>
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Blob = require('../models/Blob');
+const { getDriver } = require('../storage');
+
+const migrate = async (targetName) => {
+  const target = getDriver(targetName);
+  const blobs = await Blob.find({ storage: { $ne: targetName } });
+
+  let migrated = 0;
+  for (const blob of blobs) {
+    const source = getDriver(blob.storage);
+
+    if (!(await source.exists(blob._id))) {
+      console.error(`Skipping blob ${blob._id}: not found in ${blob.storage} storage`);
+      continue;
+    }
+
+    const location = await target.putStream(blob._id, await source.createReadStream(blob._id));
+    await Blob.updateOne(
+      { _id: blob._id },
+      location && location.replicas
+        ? { $set: { storage: targetName, replicas: location.replicas } }
+        : { $set: { storage: targetName }, $unset: { replicas: 1 } }
+    );
+    await source.delete(blob._id);
+    migrated += 1;
+  }
+
+  console.log(`Migrated ${migrated} of ${blobs.length} blob(s) to ${targetName} storage`);
+};
+
+const targetName = process.argv[2];
+if (!targetName) {
+  console.error('Usage: node scripts/migrate-storage.js <local|s3|replicated>');
+  process.exit(1);
+}
+
+mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/distributed-storage')
+  .then(() => migrate(targetName))
+  .catch(err => {
+    console.error('Storage migration error:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -6,7 +6,18 @@ const fs = require('fs-extra');
 require('dotenv').config();
 
 const fileRoutes = require('./routes/files');
-const { authenticateToken } = require('./middleware/auth');
+const uploadRoutes = require('./routes/uploads');
+const folderRoutes = require('./routes/folders');
+const linkRoutes = require('./routes/links');
+const publicRoutes = require('./routes/public');
+const trashRoutes = require('./routes/trash');
+const adminRoutes = require('./routes/admin');
+const createPermissionRouter = require('./routes/permissions');
+const { authenticateToken, requireAdmin } = require('./middleware/auth');
+const { startUploadCleanup } = require('./jobs/cleanupUploads');
+const { startReplicaRepair } = require('./jobs/repairReplicas');
+const { startTrashPurge } = require('./jobs/purgeTrash');
+const { getDefaultDriverName } = require('./storage');
 
 const app = express();
 
@@ -14,17 +25,40 @@ const app = express();
 const uploadDir = process.env.UPLOAD_DIR || './uploads';
 fs.ensureDirSync(uploadDir);
 
+// Let tus discovery (a plain OPTIONS request) through to the upload router;
+// CORS preflights are answered here
+const isTusDiscovery = (req) => req.method === 'OPTIONS' &&
+  !req.headers['access-control-request-method'] &&
+  /^\/api\/files\/uploads\/?$/.test(req.path);
+
 // Middleware
-app.use(cors());
+app.use(cors((req, callback) => callback(null, {
+  exposedHeaders: [
+    'Location', 'Tus-Resumable', 'Tus-Version', 'Tus-Extension', 'Tus-Max-Size',
+    'Upload-Offset', 'Upload-Length', 'Upload-Expires',
+    'X-Checksum-SHA256', 'Digest',
+    'Content-Disposition', 'Content-Range', 'Accept-Ranges', 'ETag', 'Last-Modified'
+  ],
+  preflightContinue: isTusDiscovery(req)
+})));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
 // Routes
+// The upload router authenticates requests itself, after answering tus discovery
+app.use('/api/files/uploads', uploadRoutes);
+app.use('/api/files/trash', authenticateToken, trashRoutes);
+app.use('/api/files/:id/links', authenticateToken, linkRoutes);
+app.use('/api/files/:id/permissions', authenticateToken, createPermissionRouter('file'));
 app.use('/api/files', authenticateToken, fileRoutes);
+app.use('/api/folders/:id/permissions', authenticateToken, createPermissionRouter('folder'));
+app.use('/api/folders', authenticateToken, folderRoutes);
+app.use('/api/admin', authenticateToken, requireAdmin, adminRoutes);
+app.use('/api/public', publicRoutes);
 
 // Health check
 app.get('/health', (req, res) => {
-  res.json({ status: 'OK', service: 'file-service' });
+  res.json({ status: 'OK', service: 'file-service', storage: getDefaultDriverName() });
 });
 
 // Connect to MongoDB
@@ -32,7 +66,14 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/distribut
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('File Service: Connected to MongoDB'))
+.then(() => {
+  console.log('File Service: Connected to MongoDB');
+  startUploadCleanup();
+  startTrashPurge();
+  if (process.env.STORAGE_NODES) {
+    startReplicaRepair();
+  }
+})
 .catch(err => console.error('File Service: MongoDB connection error:', err));
 
 const PORT = process.env.PORT || 3002;
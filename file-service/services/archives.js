@@ -0,0 +1,127 @@
+const path = require('path');
+const mongoose = require('mongoose');
+const archiver = require('archiver');
+const File = require('../models/File');
+const { openBlob, blobExists } = require('./blobs');
+const { hasRole, getFileRole } = require('../middleware/access');
+
+const MAX_ARCHIVE_FILES = parseInt(process.env.MAX_ARCHIVE_FILES, 10) || 500;
+
+// Content that is already compressed is stored in the ZIP as is
+const COMPRESSED_TYPES = [
+  /^image\/(?!svg|bmp|tiff)/,
+  /^video\//,
+  /^audio\/(?!wav|x-wav)/,
+  /(zip|gzip|compressed|x-7z|x-rar|x-bzip2|x-xz)/
+];
+
+const isCompressed = (mimeType) => COMPRESSED_TYPES.some(pattern => pattern.test(mimeType));
+
+// The files named by fileIds that userId can read, in the requested order.
+// Returns { files }, or { status, error } when any of them is unavailable.
+const findArchiveFiles = async (userId, fileIds) => {
+  if (!Array.isArray(fileIds) || fileIds.length === 0) {
+    return { status: 400, error: 'fileIds must be a non-empty array' };
+  }
+
+  const ids = [...new Set(fileIds.map(String))];
+  if (ids.length > MAX_ARCHIVE_FILES) {
+    return { status: 400, error: `An archive can contain at most ${MAX_ARCHIVE_FILES} files` };
+  }
+  if (ids.some(id => !mongoose.isValidObjectId(id))) {
+    return { status: 400, error: 'Invalid file id' };
+  }
+
+  const found = await File.find({ _id: { $in: ids }, deletedAt: null });
+  const byId = new Map(found.map(file => [String(file._id), file]));
+
+  const files = [];
+  for (const id of ids) {
+    const file = byId.get(id);
+    const role = file && await getFileRole(file, userId);
+    if (!hasRole(role, 'viewer')) {
+      return { status: 404, error: `File ${id} not found` };
+    }
+    // Checked up front, as a failure halfway can only cut the download short
+    if (!(await blobExists(file.checksum))) {
+      return { status: 404, error: `Content of ${file.originalName} not found in storage` };
+    }
+    files.push(file);
+  }
+
+  return { files };
+};
+
+// Entry names for the files: flat, without path separators, and with
+// "name (n).ext" for names that repeat (files from different folders)
+const entryNames = (files) => {
+  const used = new Set();
+
+  return files.map(file => {
+    const safeName = file.originalName.replace(/[/\\]/g, '_');
+    const { name, ext } = path.parse(safeName);
+    let candidate = safeName;
+    for (let n = 1; used.has(candidate.toLowerCase()); n++) {
+      candidate = `${name} (${n})${ext}`;
+    }
+    used.add(candidate.toLowerCase());
+    return candidate;
+  });
+};
+
+// Resolves once the archive has consumed the entry, or the client has gone
+const entryWritten = (archive, res) => new Promise((resolve, reject) => {
+  const done = () => {
+    archive.off('entry', done);
+    archive.off('error', reject);
+    res.off('close', done);
+    resolve();
+  };
+  archive.on('entry', done);
+  archive.once('error', reject);
+  res.on('close', done);
+});
+
+// Stream a ZIP of the files to the response as it is built. Blobs are opened
+// one at a time as the archive reaches them and read with backpressure, so
+// neither memory nor disk holds more than a chunk of any file.
+const streamArchive = async (res, files, filename) => {
+  const archive = archiver('zip', { zlib: { level: 6 } });
+  // Whenever the archive fails, including while it is finalized, the ZIP is
+  // cut short; the pending append or finalize rejects for the caller to log
+  archive.on('error', () => res.destroy());
+
+  res.set({
+    'Content-Type': 'application/zip',
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Cache-Control': 'no-store'
+  });
+  // Stop reading blobs when the client disconnects
+  res.on('close', () => {
+    if (!res.writableFinished) archive.abort();
+  });
+  archive.on('warning', (error) => console.warn('Archive warning:', error.message));
+  archive.pipe(res);
+
+  const names = entryNames(files);
+  for (let i = 0; i < files.length; i++) {
+    if (res.destroyed) return;
+
+    const file = files[i];
+    archive.append(await openBlob(file.checksum), {
+      name: names[i],
+      date: file.updatedAt,
+      store: isCompressed(file.mimeType)
+    });
+    await entryWritten(archive, res);
+  }
+
+  if (!res.destroyed) {
+    await archive.finalize();
+  }
+};
+
+// Default download name, e.g. files-2024-05-01.zip
+const archiveFilename = () => `files-${new Date().toISOString().slice(0, 10)}.zip`;
+
+module.exports = { findArchiveFiles, streamArchive, archiveFilename };
@@ -0,0 +1,67 @@
+// Looks up users in the auth service, which owns user accounts. The file
+// service identifies itself with AUTH_SERVICE_SECRET, which lets it see email
+// addresses and any user's quota; X-User-Id names the user it acts for.
+const AUTH_SERVICE_URL = process.env.AUTH_SERVICE_URL || 'http://auth-service:3001';
+
+const request = async (path, actingUserId) => {
+  const response = await fetch(`${AUTH_SERVICE_URL}/api/auth/users${path}`, {
+    headers: {
+      'X-Service-Secret': process.env.AUTH_SERVICE_SECRET || '',
+      ...(actingUserId && { 'X-User-Id': String(actingUserId) })
+    },
+    signal: AbortSignal.timeout(5000)
+  });
+
+  if (response.status === 404) return null;
+  if (response.status === 429) {
+    return { retryAfter: parseInt(response.headers.get('retry-after'), 10) || 60 };
+  }
+  if (!response.ok) {
+    throw new Error(`Auth service responded with HTTP ${response.status}`);
+  }
+  return response.json();
+};
+
+// { user } with { id, username } for the email address (null when there is
+// none), or { retryAfter } once the acting user has made too many lookups
+const findUserByEmail = async (email, actingUserId) => {
+  const body = await request(`/lookup?email=${encodeURIComponent(email)}`, actingUserId);
+  if (body && body.retryAfter) return { retryAfter: body.retryAfter };
+  return { user: body ? body.user : null };
+};
+
+// Map of user id to { id, username, email }; unknown ids are left out
+const getUsers = async (ids) => {
+  const unique = [...new Set(ids.map(String))];
+  if (unique.length === 0) return new Map();
+
+  const body = await request(`?ids=${unique.join(',')}`);
+  return new Map((body ? body.users : []).map(user => [String(user.id), user]));
+};
+
+// Storage quota in bytes that applies to the user
+const getStorageQuota = async (userId) => {
+  const body = await request(`/${userId}/quota`);
+  if (!body) {
+    throw new Error(`No quota found for user ${userId}`);
+  }
+  return body.quota;
+};
+
+// { user, tokenId, scopes } for a personal access token, or null when the auth
+// service does not accept it. ip is the client's address, for last-used tracking.
+const verifyPersonalAccessToken = async (authorization, ip) => {
+  const response = await fetch(`${AUTH_SERVICE_URL}/api/auth/verify`, {
+    headers: { Authorization: authorization, ...(ip && { 'X-Forwarded-For': ip }) },
+    signal: AbortSignal.timeout(5000)
+  });
+
+  if (response.status === 401) return null;
+  if (!response.ok) {
+    throw new Error(`Auth service responded with HTTP ${response.status}`);
+  }
+  const body = await response.json();
+  return body.scopes ? { user: body.user, tokenId: body.tokenId, scopes: body.scopes } : null;
+};
+
+module.exports = { findUserByEmail, getUsers, getStorageQuota, verifyPersonalAccessToken };
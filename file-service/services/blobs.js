@@ -0,0 +1,220 @@
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const { Transform, pipeline } = require('stream');
+const Blob = require('../models/Blob');
+const { getDriver, getDefaultDriverName } = require('../storage');
+
+// Staging area for bytes whose digest is not known yet; always on local disk
+const getTempDir = () => path.join(process.env.UPLOAD_DIR || './uploads', '.partial');
+
+const tempPath = () =>
+  path.join(getTempDir(), `${Date.now()}-${crypto.randomBytes(8).toString('hex')}`);
+
+// Passthrough stream that computes the SHA-256 digest and size of what flows through it
+const createHasher = () => {
+  const hash = crypto.createHash('sha256');
+  const hasher = new Transform({
+    transform(chunk, encoding, cb) {
+      hash.update(chunk);
+      hasher.size += chunk.length;
+      cb(null, chunk);
+    }
+  });
+  hasher.size = 0;
+  hasher.digest = () => hash.digest('hex');
+  return hasher;
+};
+
+const hashFile = (filePath) => new Promise((resolve, reject) => {
+  const hash = crypto.createHash('sha256');
+  fs.createReadStream(filePath)
+    .on('data', chunk => hash.update(chunk))
+    .on('error', reject)
+    .on('end', () => resolve(hash.digest('hex')));
+});
+
+// Add a reference to the blob with this digest, storing the staged bytes
+// with the configured driver if this is the first copy; otherwise the
+// duplicate is discarded. If the bytes cannot be stored the reference is
+// dropped again and the error rethrown.
+const commitBlob = async (stagedPath, checksum, size) => {
+  const previous = await Blob.findOneAndUpdate(
+    { _id: checksum },
+    {
+      $inc: { refCount: 1 },
+      $setOnInsert: { size, storage: getDefaultDriverName(), createdAt: new Date() }
+    },
+    { upsert: true, new: false }
+  );
+
+  const driver = getDriver(previous ? previous.storage : getDefaultDriverName());
+  if (previous && await driver.exists(checksum)) {
+    await fs.remove(stagedPath);
+    return;
+  }
+
+  let location;
+  try {
+    location = await driver.putFile(checksum, stagedPath);
+  } catch (error) {
+    await releaseBlob(checksum);
+    await fs.remove(stagedPath);
+    throw error;
+  }
+
+  if (location && location.replicas) {
+    await Blob.updateOne({ _id: checksum }, { $set: { replicas: location.replicas } });
+  }
+};
+
+// Add a reference to a blob that is already stored
+const retainBlob = async (checksum) => {
+  await Blob.updateOne({ _id: checksum }, { $inc: { refCount: 1 } });
+};
+
+// Drop a reference; the bytes are removed once nothing refers to them
+const releaseBlob = async (checksum) => {
+  const blob = await Blob.findOneAndUpdate(
+    { _id: checksum },
+    { $inc: { refCount: -1 } },
+    { new: true }
+  );
+  if (!blob || blob.refCount > 0) return;
+
+  const { deletedCount } = await Blob.deleteOne({ _id: checksum, refCount: { $lte: 0 } });
+  if (deletedCount === 1) {
+    await getDriver(blob.storage).delete(checksum);
+  }
+};
+
+const blobExists = async (checksum) => {
+  const blob = await Blob.findById(checksum);
+  return Boolean(blob) && getDriver(blob.storage).exists(checksum);
+};
+
+// Readable stream of a blob's bytes, optionally limited to an inclusive { start, end } range
+const openBlob = async (checksum, range) => {
+  const blob = await Blob.findById(checksum);
+  if (!blob) {
+    throw new Error(`Blob ${checksum} does not exist`);
+  }
+  return getDriver(blob.storage).createReadStream(checksum, range);
+};
+
+// Whether the If-Range validator (an ETag or a date) still matches, so a
+// partial response can be combined with what the client already has
+const ifRangeMatches = (req, etag, lastModified) => {
+  const ifRange = req.headers['if-range'];
+  if (!ifRange) return true;
+  if (ifRange.startsWith('"') || ifRange.startsWith('W/')) return ifRange === etag;
+  return Boolean(lastModified) &&
+    Math.floor(lastModified.getTime() / 1000) === Math.floor(Date.parse(ifRange) / 1000);
+};
+
+// Stream stored content as an attachment, with its digest so clients can verify it.
+// The digest doubles as a strong ETag. GET and HEAD requests are answered with
+// 304 when the client's copy is current, and a single byte range with 206.
+// Options: ranges (default true) allows partial responses; immutable marks
+// content that never changes under this URL (e.g. a specific version); claim
+// is awaited just before a complete body is sent (not for HEAD, 304 or 206),
+// and when it resolves to false nothing is sent and sendContent resolves to false.
+const sendContent = async (req, res, content, filename, { ranges = true, immutable = false, claim = null } = {}) => {
+  const etag = `"${content.checksum}"`;
+  const lastModified = content.updatedAt || content.uploadedAt;
+  const conditional = req.method === 'GET' || req.method === 'HEAD';
+
+  res.set({
+    ETag: etag,
+    'Accept-Ranges': ranges ? 'bytes' : 'none',
+    'Cache-Control': immutable ? 'private, max-age=31536000, immutable' : 'private, no-cache'
+  });
+  if (lastModified) {
+    res.set('Last-Modified', lastModified.toUTCString());
+  }
+
+  if (conditional && req.fresh) {
+    return res.status(304).end();
+  }
+
+  let range = null;
+  if (ranges && conditional && req.headers.range && content.size > 0 && ifRangeMatches(req, etag, lastModified)) {
+    const parsed = req.range(content.size, { combine: true });
+    if (parsed === -1) {
+      res.set('Content-Range', `bytes */${content.size}`);
+      return res.status(416).json({ error: 'Requested range not satisfiable' });
+    }
+    // Malformed and multi-range requests get the whole content
+    if (Array.isArray(parsed) && parsed.type === 'bytes' && parsed.length === 1) {
+      range = parsed[0];
+    }
+  }
+
+  if (claim && !range && req.method !== 'HEAD' && !(await claim())) {
+    ['ETag', 'Accept-Ranges', 'Cache-Control', 'Last-Modified'].forEach(header => res.removeHeader(header));
+    return false;
+  }
+
+  const stream = req.method === 'HEAD' ? null : await openBlob(content.checksum, range || undefined);
+
+  res.attachment(filename);
+  res.set({
+    'Content-Type': content.mimeType,
+    'Content-Length': String(range ? range.end - range.start + 1 : content.size),
+    'X-Checksum-SHA256': content.checksum,
+    Digest: `sha-256=${Buffer.from(content.checksum, 'hex').toString('base64')}`
+  });
+  if (range) {
+    res.status(206).set('Content-Range', `bytes ${range.start}-${range.end}/${content.size}`);
+  }
+
+  if (!stream) {
+    return res.end();
+  }
+
+  pipeline(stream, res, (err) => {
+    if (err) {
+      console.error('Download stream error:', err.message);
+    }
+  });
+};
+
+// Multer storage engine that stages uploads while hashing them, exposing
+// req.file.checksum alongside the usual path and size
+const createHashingStorage = () => ({
+  _handleFile(req, file, cb) {
+    const stagedPath = tempPath();
+    const hasher = createHasher();
+
+    fs.ensureDir(getTempDir())
+      .then(() => {
+        pipeline(file.stream, hasher, fs.createWriteStream(stagedPath), (err) => {
+          if (err) {
+            return fs.remove(stagedPath).finally(() => cb(err));
+          }
+          cb(null, {
+            path: stagedPath,
+            size: hasher.size,
+            checksum: hasher.digest()
+          });
+        });
+      })
+      .catch(cb);
+  },
+
+  _removeFile(req, file, cb) {
+    fs.remove(file.path).then(() => cb(null), cb);
+  }
+});
+
+module.exports = {
+  getTempDir,
+  hashFile,
+  commitBlob,
+  retainBlob,
+  releaseBlob,
+  blobExists,
+  openBlob,
+  sendContent,
+  createHashingStorage
+};
@@ -0,0 +1,74 @@
+const jwt = require('jsonwebtoken');
+
+// A download ticket is a short-lived signed URL token that lets the browser
+// fetch a file directly (no Authorization header) while staying tied to the
+// user who requested it. Its own secret keeps tickets from being usable as
+// access tokens and vice versa.
+const TICKET_AUDIENCE = 'download';
+const ARCHIVE_AUDIENCE = 'archive';
+const THUMBNAIL_AUDIENCE = 'thumbnail';
+const TICKET_TTL_SECONDS = (parseInt(process.env.DOWNLOAD_TICKET_TTL_MINUTES, 10) || 30) * 60;
+
+// Thumbnail tickets end on a boundary of this period
+const THUMBNAIL_PERIOD_SECONDS = 12 * 60 * 60;
+
+const getSecret = () => process.env.DOWNLOAD_TICKET_SECRET || 'default-download-ticket-secret';
+
+// Ticket for the current content of a file, or one version when `version` is given
+const createTicket = ({ fileId, version = null, userId }) => {
+  const ticket = jwt.sign(
+    { fileId: String(fileId), version, userId: String(userId) },
+    getSecret(),
+    { audience: TICKET_AUDIENCE, expiresIn: TICKET_TTL_SECONDS }
+  );
+  return { ticket, expiresAt: new Date(jwt.decode(ticket).exp * 1000) };
+};
+
+// Ticket for a ZIP archive of several files. It can carry hundreds of ids,
+// so it is sent in a form POST body rather than in a URL.
+const createArchiveTicket = ({ fileIds, userId }) => {
+  const ticket = jwt.sign(
+    { fileIds: fileIds.map(String), userId: String(userId) },
+    getSecret(),
+    { audience: ARCHIVE_AUDIENCE, expiresIn: TICKET_TTL_SECONDS }
+  );
+  return { ticket, expiresAt: new Date(jwt.decode(ticket).exp * 1000) };
+};
+
+// Ticket for the thumbnail of one file content, for file listings. Thumbnails
+// are cached by the browser by URL, so the ticket stays the same for a while:
+// it has no issue time and expires at the end of the next period.
+const createThumbnailTicket = ({ fileId, checksum, userId }) => {
+  const exp = (Math.floor(Date.now() / 1000 / THUMBNAIL_PERIOD_SECONDS) + 2) * THUMBNAIL_PERIOD_SECONDS;
+  return jwt.sign(
+    { fileId: String(fileId), checksum, userId: String(userId), exp },
+    getSecret(),
+    { audience: THUMBNAIL_AUDIENCE, noTimestamp: true }
+  );
+};
+
+const verify = (ticket, audience) => {
+  try {
+    return jwt.verify(ticket, getSecret(), { audience });
+  } catch (error) {
+    return error.name === 'TokenExpiredError' ? { expired: true } : null;
+  }
+};
+
+// { fileId, version, userId } of a valid ticket, { expired: true }, or null
+const verifyTicket = (ticket) => verify(ticket, TICKET_AUDIENCE);
+
+// { fileIds, userId } of a valid archive ticket, { expired: true }, or null
+const verifyArchiveTicket = (ticket) => verify(ticket, ARCHIVE_AUDIENCE);
+
+// { fileId, checksum, userId, exp } of a valid thumbnail ticket, { expired: true }, or null
+const verifyThumbnailTicket = (ticket) => verify(ticket, THUMBNAIL_AUDIENCE);
+
+module.exports = {
+  createTicket,
+  verifyTicket,
+  createArchiveTicket,
+  verifyArchiveTicket,
+  createThumbnailTicket,
+  verifyThumbnailTicket
+};
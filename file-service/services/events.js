@@ -0,0 +1,45 @@
+const { Kafka } = require('kafkajs');
+
+// Events only the file service can see (e.g. who a file was shared with);
+// the gateway publishes the ones it can tell from proxied responses
+const kafka = new Kafka({
+  clientId: 'file-service',
+  brokers: process.env.KAFKA_BROKERS ? process.env.KAFKA_BROKERS.split(',') : ['kafka:29092']
+});
+
+const producer = kafka.producer();
+let connection = null;
+
+// Publish an event, keyed by its user; failures are logged, never thrown
+const publishEvent = async (topic, event) => {
+  try {
+    if (!connection) {
+      connection = producer.connect().catch((error) => {
+        connection = null;
+        throw error;
+      });
+    }
+    await connection;
+
+    await producer.send({
+      topic,
+      messages: [{
+        key: event.userId || 'system',
+        value: JSON.stringify({
+          ...event,
+          timestamp: new Date().toISOString()
+        })
+      }]
+    });
+  } catch (error) {
+    console.error(`Error publishing to ${topic}:`, error);
+  }
+};
+
+// Who made a request, for the audit log; the gateway forwards the client's address
+const requestContext = (req) => ({
+  ip: req.headers['x-forwarded-for']?.split(',')[0].trim() || req.ip,
+  userAgent: req.headers['user-agent'] || null
+});
+
+module.exports = { publishEvent, requestContext };
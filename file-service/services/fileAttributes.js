@@ -0,0 +1,86 @@
+// Validation for user-defined tags and key/value metadata on files
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 50;
+const MAX_METADATA_ENTRIES = 50;
+const MAX_METADATA_VALUE_LENGTH = 1024;
+// Keys become Mongo field names, so "." and a leading "$" are not allowed
+const METADATA_KEY_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Tags as an array or comma-separated string; trimmed, lowercased and deduplicated.
+// Returns { tags } or { error }.
+const parseTags = (input) => {
+  const list = Array.isArray(input) ? input : String(input).split(',');
+  if (list.some(tag => typeof tag !== 'string')) {
+    return { error: 'Tags must be strings' };
+  }
+
+  const tags = [...new Set(list.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+  if (tags.some(tag => tag.length > MAX_TAG_LENGTH || tag.includes(','))) {
+    return { error: `Tags must be at most ${MAX_TAG_LENGTH} characters and cannot contain commas` };
+  }
+  if (tags.length > MAX_TAGS) {
+    return { error: `A file can have at most ${MAX_TAGS} tags` };
+  }
+  return { tags };
+};
+
+const isMetadataKey = (key) => METADATA_KEY_PATTERN.test(key);
+
+// Metadata as an object or JSON string of string, number or boolean values.
+// Returns { metadata } with string values, or { error }.
+const parseMetadata = (input) => {
+  let object = input;
+  if (typeof input === 'string') {
+    try {
+      object = JSON.parse(input);
+    } catch (error) {
+      return { error: 'Metadata must be a JSON object' };
+    }
+  }
+  if (!object || typeof object !== 'object' || Array.isArray(object)) {
+    return { error: 'Metadata must be an object' };
+  }
+
+  const entries = Object.entries(object);
+  if (entries.length > MAX_METADATA_ENTRIES) {
+    return { error: `A file can have at most ${MAX_METADATA_ENTRIES} metadata entries` };
+  }
+
+  const metadata = {};
+  for (const [key, value] of entries) {
+    if (!isMetadataKey(key)) {
+      return { error: `Invalid metadata key "${key}": use up to 64 letters, digits, "_" or "-"` };
+    }
+    if (!['string', 'number', 'boolean'].includes(typeof value)) {
+      return { error: `Metadata value for "${key}" must be a string, number or boolean` };
+    }
+    if (String(value).length > MAX_METADATA_VALUE_LENGTH) {
+      return { error: `Metadata value for "${key}" exceeds ${MAX_METADATA_VALUE_LENGTH} characters` };
+    }
+    metadata[key] = String(value);
+  }
+  return { metadata };
+};
+
+// Tags and metadata supplied with an upload, either of which may be absent.
+// Returns { attributes: { tags?, metadata? } } or { error }.
+const parseUploadAttributes = ({ tags, metadata }) => {
+  const attributes = {};
+
+  if (tags !== undefined && tags !== '') {
+    const parsed = parseTags(tags);
+    if (parsed.error) return parsed;
+    attributes.tags = parsed.tags;
+  }
+
+  if (metadata !== undefined && metadata !== '') {
+    const parsed = parseMetadata(metadata);
+    if (parsed.error) return parsed;
+    attributes.metadata = parsed.metadata;
+  }
+
+  return { attributes };
+};
+
+module.exports = { parseTags, parseMetadata, parseUploadAttributes, isMetadataKey };
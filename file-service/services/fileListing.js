@@ -0,0 +1,162 @@
+// Filters, sorting and cursor pagination for GET /api/files
+const { parseTags, isMetadataKey } = require('./fileAttributes');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Sort keys accepted in ?sort= and the File fields they order by
+const SORT_FIELDS = {
+  name: 'originalName',
+  size: 'size',
+  type: 'mimeType',
+  uploadedAt: 'uploadedAt',
+  updatedAt: 'updatedAt'
+};
+const DATE_FIELDS = ['uploadedAt', 'updatedAt'];
+
+// Names sort case-insensitively; the matching indexes use the same collation
+const NAME_COLLATION = { locale: 'en', strength: 2 };
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Position after the last item of a page: its sort value and id
+const encodeCursor = (value, id) =>
+  Buffer.from(JSON.stringify({ v: value, id: String(id) })).toString('base64url');
+
+const decodeCursor = (cursor, field) => {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!/^[a-f\d]{24}$/i.test(id)) return null;
+    return { value: DATE_FIELDS.includes(field) ? new Date(v) : v, id };
+  } catch (error) {
+    return null;
+  }
+};
+
+const parseNumber = (value) => {
+  if (value === undefined || value === '') return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 ? number : NaN;
+};
+
+const parseDate = (value) => {
+  if (value === undefined || value === '') return undefined;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// "image/png", "image/*" or "image", comma-separated for several
+const mimeTypeFilter = (types) => {
+  const patterns = String(types).split(',').map(type => type.trim()).filter(Boolean).map(type => {
+    const [major, minor] = type.split('/');
+    return !minor || minor === '*'
+      ? new RegExp(`^${escapeRegex(major)}/`, 'i')
+      : new RegExp(`^${escapeRegex(type)}$`, 'i');
+  });
+  return { $in: patterns };
+};
+
+// Turn request query parameters into { filter, sort, collation, limit, field }
+// to be combined with the caller's scope, or { error } for invalid input
+const parseListQuery = (query) => {
+  const filter = {};
+
+  if (query.q) {
+    filter.originalName = { $regex: escapeRegex(String(query.q).trim()), $options: 'i' };
+  }
+
+  if (query.type) {
+    filter.mimeType = mimeTypeFilter(query.type);
+  }
+
+  // ?tag=a,b matches files carrying all of the tags
+  if (query.tag) {
+    const { tags, error } = parseTags(query.tag);
+    if (error) return { error };
+    if (tags.length > 0) filter.tags = { $all: tags };
+  }
+
+  // ?metadata[key]=value matches exact metadata values
+  if (query.metadata !== undefined) {
+    if (!query.metadata || typeof query.metadata !== 'object') {
+      return { error: 'Filter metadata as metadata[key]=value' };
+    }
+    for (const [key, value] of Object.entries(query.metadata)) {
+      if (!isMetadataKey(key) || typeof value !== 'string') {
+        return { error: `Invalid metadata filter "${key}"` };
+      }
+      filter[`metadata.${key}`] = value;
+    }
+  }
+
+  const minSize = parseNumber(query.minSize);
+  const maxSize = parseNumber(query.maxSize);
+  if (Number.isNaN(minSize) || Number.isNaN(maxSize)) {
+    return { error: 'minSize and maxSize must be non-negative numbers of bytes' };
+  }
+  if (minSize !== undefined || maxSize !== undefined) {
+    filter.size = {
+      ...(minSize !== undefined && { $gte: minSize }),
+      ...(maxSize !== undefined && { $lte: maxSize })
+    };
+  }
+
+  for (const field of DATE_FIELDS) {
+    const after = parseDate(query[`${field.replace('At', '')}After`]);
+    const before = parseDate(query[`${field.replace('At', '')}Before`]);
+    if (after === null || before === null) {
+      return { error: 'Date filters must be valid dates' };
+    }
+    if (after || before) {
+      filter[field] = {
+        ...(after && { $gte: after }),
+        ...(before && { $lt: before })
+      };
+    }
+  }
+
+  const sortKey = query.sort || 'uploadedAt';
+  const field = SORT_FIELDS[sortKey];
+  if (!field) {
+    return { error: `sort must be one of ${Object.keys(SORT_FIELDS).join(', ')}` };
+  }
+  const order = query.order === 'asc' ? 1 : query.order === 'desc' || query.order === undefined ? -1 : null;
+  if (order === null) {
+    return { error: 'order must be asc or desc' };
+  }
+
+  const limit = query.limit !== undefined ? parseInt(query.limit, 10) : DEFAULT_LIMIT;
+  if (!Number.isInteger(limit) || limit < 1) {
+    return { error: 'limit must be a positive integer' };
+  }
+
+  // Continue strictly after the cursor position; the id breaks ties
+  if (query.cursor) {
+    const cursor = decodeCursor(query.cursor, field);
+    if (!cursor) {
+      return { error: 'Invalid cursor' };
+    }
+    const beyond = order === 1 ? '$gt' : '$lt';
+    filter.$or = [
+      { [field]: { [beyond]: cursor.value } },
+      { [field]: cursor.value, _id: { [beyond]: cursor.id } }
+    ];
+  }
+
+  return {
+    filter,
+    sort: { [field]: order, _id: order },
+    collation: field === 'originalName' ? NAME_COLLATION : undefined,
+    limit: Math.min(limit, MAX_LIMIT),
+    field
+  };
+};
+
+// Cursor for the page after `files`, or null when there is none
+const nextCursor = (files, { field }, hasMore) => {
+  if (!hasMore || files.length === 0) return null;
+  const last = files[files.length - 1];
+  return encodeCursor(last[field], last._id);
+};
+
+module.exports = { parseListQuery, nextCursor };
@@ -0,0 +1,188 @@
+const mongoose = require('mongoose');
+const File = require('../models/File');
+const FileVersion = require('../models/FileVersion');
+const Folder = require('../models/Folder');
+const ShareLink = require('../models/ShareLink');
+const Permission = require('../models/Permission');
+const Preview = require('../models/Preview');
+const { retainBlob, releaseBlob } = require('./blobs');
+
+// Public representation of a file (never exposes where the bytes are stored)
+const toFileResponse = (file) => ({
+  id: file._id,
+  filename: file.originalName,
+  size: file.size,
+  mimeType: file.mimeType,
+  checksum: file.checksum,
+  folderId: file.folderId,
+  version: file.currentVersion,
+  tags: file.tags || [],
+  metadata: file.metadata ? Object.fromEntries(file.metadata) : {},
+  uploadedAt: file.uploadedAt,
+  updatedAt: file.updatedAt
+});
+
+const toFolderResponse = (folder) => ({
+  id: folder._id,
+  name: folder.name,
+  parentId: folder.parentId,
+  createdAt: folder.createdAt,
+  updatedAt: folder.updatedAt
+});
+
+const toVersionResponse = (version, file) => ({
+  version: version.version,
+  size: version.size,
+  mimeType: version.mimeType,
+  checksum: version.checksum,
+  restoredFrom: version.restoredFrom,
+  uploadedBy: version.uploadedBy,
+  uploadedAt: version.uploadedAt,
+  current: version.version === file.currentVersion
+});
+
+// Resolve a folderId taken from a request to a folder owned by the user.
+// Returns null for the root and undefined when no such folder exists.
+const resolveFolderId = async (userId, folderId) => {
+  if (!folderId || folderId === 'root') return null;
+  if (!mongoose.isValidObjectId(folderId)) return undefined;
+
+  const folder = await Folder.findOne({ _id: folderId, userId }).select('_id');
+  return folder ? folder._id : undefined;
+};
+
+// Point the file's current fields at a version's content
+const applyVersion = (file, version) => {
+  file.checksum = version.checksum;
+  file.mimeType = version.mimeType;
+  file.size = version.size;
+  file.currentVersion = version.version;
+  file.updatedAt = version.uploadedAt;
+};
+
+// Record content ({ checksum, mimeType, size }) as the file's next version.
+// The caller must already hold the blob reference the new version takes over.
+const addVersion = async (file, content, uploadedBy, restoredFrom = null) => {
+  const latest = await FileVersion.findOne({ fileId: file._id }).sort({ version: -1 });
+  const version = await FileVersion.create({
+    ...content,
+    fileId: file._id,
+    userId: file.userId,
+    version: latest ? latest.version + 1 : 1,
+    restoredFrom,
+    uploadedBy
+  });
+
+  applyVersion(file, version);
+  await file.save();
+  return version;
+};
+
+// Add tags and metadata supplied with an upload to the file's existing ones
+const applyAttributes = (file, { tags, metadata } = {}) => {
+  if (tags) {
+    file.tags = [...new Set([...file.tags, ...tags])];
+  }
+  if (metadata) {
+    for (const [key, value] of Object.entries(metadata)) {
+      file.metadata.set(key, value);
+    }
+  }
+};
+
+// Save committed upload content as a new file owned by userId, or as the
+// next version of the file with the same name in the same folder.
+// uploadedBy differs from userId when uploading into someone else's folder.
+const storeUpload = async ({ userId, folderId, originalName, content, uploadedBy = userId, attributes }) => {
+  const existing = await File.findOne({ userId, folderId, originalName, deletedAt: null });
+  if (existing) {
+    applyAttributes(existing, attributes);
+    await addVersion(existing, content, uploadedBy);
+    return { file: existing, isNewVersion: true };
+  }
+
+  const file = new File({
+    ...content,
+    originalName,
+    userId,
+    folderId
+  });
+  applyAttributes(file, attributes);
+  await file.save();
+  await FileVersion.create({
+    ...content,
+    fileId: file._id,
+    userId,
+    version: file.currentVersion,
+    uploadedBy,
+    uploadedAt: file.uploadedAt
+  });
+
+  return { file, isNewVersion: false };
+};
+
+// Name the stored or deleted file and its folder in response headers, for
+// the gateway's file events and cache invalidation
+const identifyFile = (res, file) => {
+  res.set('X-File-Id', String(file._id));
+  res.set('X-File-Name', encodeURIComponent(file.originalName));
+  if (file.folderId) {
+    res.set('X-Folder-Id', String(file.folderId));
+  }
+};
+
+// Make an older version current again by adding it back as the newest version
+const restoreVersion = async (file, version, restoredBy) => {
+  await retainBlob(version.checksum);
+
+  return addVersion(file, {
+    checksum: version.checksum,
+    mimeType: version.mimeType,
+    size: version.size
+  }, restoredBy, version.version);
+};
+
+// Delete non-current versions beyond the newest `keep`, or older than `olderThan`
+const pruneVersions = async (file, { keep, olderThan }) => {
+  const versions = await FileVersion.find({ fileId: file._id }).sort({ version: -1 });
+  const pruned = versions.filter((version, index) => {
+    if (version.version === file.currentVersion) return false;
+    if (keep !== undefined && index >= keep) return true;
+    return olderThan !== undefined && version.uploadedAt < olderThan;
+  });
+
+  await FileVersion.deleteMany({ _id: { $in: pruned.map(version => version._id) } });
+  for (const version of pruned) {
+    await releaseBlob(version.checksum);
+  }
+
+  return pruned.length;
+};
+
+// Delete a file with all of its versions, releasing their blobs
+const removeFile = async (file) => {
+  const versions = await FileVersion.find({ fileId: file._id });
+
+  await FileVersion.deleteMany({ fileId: file._id });
+  await ShareLink.deleteMany({ fileId: file._id });
+  await Permission.deleteMany({ resourceType: 'file', resourceId: file._id });
+  await Preview.deleteMany({ fileId: file._id });
+  await File.deleteOne({ _id: file._id });
+  for (const version of versions) {
+    await releaseBlob(version.checksum);
+  }
+};
+
+module.exports = {
+  toFileResponse,
+  toFolderResponse,
+  toVersionResponse,
+  resolveFolderId,
+  addVersion,
+  applyAttributes,
+  storeUpload,
+  identifyFile,
+  restoreVersion,
+  pruneVersions,
+  removeFile
+};
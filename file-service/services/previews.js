@@ -0,0 +1,118 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { pipeline } = require('stream/promises');
+const sharp = require('sharp');
+const Preview = require('../models/Preview');
+const { openBlob } = require('./blobs');
+
+const execFileAsync = promisify(execFile);
+
+const THUMBNAIL_SIZE = 256;
+const SNIPPET_BYTES = 4096;
+const SNIPPET_LENGTH = 500;
+// Larger images and PDFs are not previewed
+const MAX_SOURCE_SIZE = parseInt(process.env.PREVIEW_MAX_SOURCE_SIZE, 10) || 50 * 1024 * 1024; // 50MB
+
+const TEXT_TYPES = [
+  /^text\//,
+  /^application\/(json|xml|javascript|x-yaml|x-sh|x-ndjson)$/,
+  /\+(json|xml)$/
+];
+
+const isImage = (mimeType) => mimeType.startsWith('image/');
+const isPdf = (mimeType) => mimeType === 'application/pdf';
+const isText = (mimeType) => TEXT_TYPES.some(pattern => pattern.test(mimeType));
+
+const readBlob = async (checksum, range) => {
+  const chunks = [];
+  for await (const chunk of await openBlob(checksum, range)) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+// Small WebP that fits in a THUMBNAIL_SIZE square, upright per EXIF orientation
+const renderThumbnail = async (input) => {
+  const { data, info } = await sharp(input)
+    .rotate()
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .webp({ quality: 80 })
+    .toBuffer({ resolveWithObject: true });
+
+  return { data, mimeType: 'image/webp', width: info.width, height: info.height };
+};
+
+// First page of a PDF as a PNG, rendered by poppler's pdftoppm
+const renderPdfPage = async (checksum) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'preview-'));
+  try {
+    const source = path.join(dir, 'source.pdf');
+    await pipeline(await openBlob(checksum), fs.createWriteStream(source));
+    await execFileAsync('pdftoppm', [
+      '-png', '-f', '1', '-l', '1', '-singlefile', '-scale-to', String(THUMBNAIL_SIZE * 2),
+      source, path.join(dir, 'page')
+    ], { timeout: 60 * 1000 });
+
+    return await fs.readFile(path.join(dir, 'page.png'));
+  } finally {
+    await fs.remove(dir);
+  }
+};
+
+// The start of a text file, without a multi-byte character cut off at the end
+const extractSnippet = async (content) => {
+  if (content.size === 0) return '';
+
+  const buffer = await readBlob(content.checksum, { start: 0, end: Math.min(content.size, SNIPPET_BYTES) - 1 });
+  return buffer.toString('utf8')
+    .replace(/\uFFFD+$/, '')
+    .replace(/\r\n/g, '\n')
+    .slice(0, SNIPPET_LENGTH);
+};
+
+// Preview fields ({ status, thumbnail?, text? }) for content { checksum, mimeType, size }
+const generatePreview = async (content) => {
+  if (isText(content.mimeType)) {
+    return { status: 'ready', text: await extractSnippet(content) };
+  }
+  if (content.size > MAX_SOURCE_SIZE) {
+    return { status: 'unsupported' };
+  }
+  if (isImage(content.mimeType)) {
+    return { status: 'ready', thumbnail: await renderThumbnail(await readBlob(content.checksum)) };
+  }
+  if (isPdf(content.mimeType)) {
+    return { status: 'ready', thumbnail: await renderThumbnail(await renderPdfPage(content.checksum)) };
+  }
+  return { status: 'unsupported' };
+};
+
+// Make sure the file's current content has a preview. Identical content
+// previewed for another file is reused instead of being rendered again.
+const ensurePreview = async (file) => {
+  const existing = await Preview.findOne({ fileId: file._id, checksum: file.checksum });
+  if (existing) return existing;
+
+  const same = await Preview.findOne({ checksum: file.checksum, status: { $ne: 'failed' } });
+  let fields;
+  if (same) {
+    fields = { status: same.status, thumbnail: same.thumbnail, text: same.text };
+  } else {
+    try {
+      fields = await generatePreview(file);
+    } catch (error) {
+      fields = { status: 'failed', error: error.message };
+    }
+  }
+
+  return Preview.findOneAndUpdate(
+    { fileId: file._id, checksum: file.checksum },
+    { ...fields, generatedAt: new Date() },
+    { upsert: true, new: true }
+  );
+};
+
+module.exports = { generatePreview, ensurePreview };
@@ -0,0 +1,160 @@
+const mongoose = require('mongoose');
+const FileVersion = require('../models/FileVersion');
+const UploadSession = require('../models/UploadSession');
+const QuotaReservation = require('../models/QuotaReservation');
+const { getStorageQuota } = require('./authClient');
+const { publishEvent } = require('./events');
+
+// Fractions of the quota that trigger a QUOTA_WARNING, as on the Dashboard's storage bar
+const WARNING_LEVELS = [
+  { level: 'critical', ratio: 0.95 },
+  { level: 'warning', ratio: 0.8 }
+];
+
+// Longest a write may hold a QuotaReservation
+const RESERVATION_TTL_MS = 60 * 60 * 1000;
+
+// Bytes stored for the user, per MIME type. Every version counts in full,
+// even when identical content is shared with other files.
+const getUsageByMimeType = async (userId) => {
+  const groups = await FileVersion.aggregate([
+    { $match: { userId: new mongoose.Types.ObjectId(String(userId)) } },
+    { $group: { _id: '$mimeType', bytes: { $sum: '$size' }, versions: { $sum: 1 } } },
+    { $sort: { bytes: -1 } }
+  ]);
+  return groups.map(group => ({ mimeType: group._id, bytes: group.bytes, versions: group.versions }));
+};
+
+// Bytes held back for resumable uploads that are still in progress, and for
+// other uploads and restores while they are written
+const getReservedBytes = async (userId) => {
+  const ownerId = new mongoose.Types.ObjectId(String(userId));
+  const now = new Date();
+  const [[sessions], [writes]] = await Promise.all([
+    UploadSession.aggregate([
+      { $match: { ownerId, completedAt: null, expiresAt: { $gt: now } } },
+      { $group: { _id: null, bytes: { $sum: '$length' } } }
+    ]),
+    QuotaReservation.aggregate([
+      { $match: { ownerId, expiresAt: { $gt: now } } },
+      { $group: { _id: null, bytes: { $sum: '$bytes' } } }
+    ])
+  ]);
+  return (sessions ? sessions.bytes : 0) + (writes ? writes.bytes : 0);
+};
+
+// { quota, used, reserved, available, breakdown } for the user
+const getUsage = async (userId) => {
+  const [quota, breakdown, reserved] = await Promise.all([
+    getStorageQuota(userId),
+    getUsageByMimeType(userId),
+    getReservedBytes(userId)
+  ]);
+  const used = breakdown.reduce((total, group) => total + group.bytes, 0);
+
+  return {
+    quota,
+    used,
+    reserved,
+    available: Math.max(0, quota - used - reserved),
+    breakdown
+  };
+};
+
+// Whether `bytes` more fit in the user's quota; returns the usage so callers can report it
+const checkQuota = async (userId, bytes) => {
+  const usage = await getUsage(userId);
+  return { allowed: bytes <= usage.available, usage };
+};
+
+// Check a reservation of `bytes` that has just been saved against the owner's
+// quota. Checking after saving, counting it, means that two reservations made
+// at once cannot both take the last of the space. One that does not fit is
+// deleted again. Returns { allowed, usage } as checkQuota.
+const confirmReservation = async (Model, reservation, ownerId, bytes) => {
+  let usage;
+  try {
+    usage = await getUsage(ownerId);
+  } catch (error) {
+    await Model.deleteOne({ _id: reservation._id });
+    throw error;
+  }
+  if (usage.used + usage.reserved <= usage.quota) {
+    return { allowed: true, usage };
+  }
+
+  await Model.deleteOne({ _id: reservation._id });
+  const reserved = usage.reserved - bytes;
+  return {
+    allowed: false,
+    usage: { ...usage, reserved, available: Math.max(0, usage.quota - usage.used - reserved) }
+  };
+};
+
+// Save a resumable upload session, reserving its length against the owner's quota
+const reserveUploadQuota = async (session) => {
+  await session.save();
+  return confirmReservation(UploadSession, session, session.ownerId, session.length);
+};
+
+// Reserve `bytes` of the user's quota for a write. Resolves to { allowed,
+// usage, reservation }; once the write is recorded (or has failed), pass the
+// reservation to releaseQuota.
+const reserveQuota = async (userId, bytes) => {
+  const reservation = await QuotaReservation.create({
+    ownerId: userId,
+    bytes,
+    expiresAt: new Date(Date.now() + RESERVATION_TTL_MS)
+  });
+  const result = await confirmReservation(QuotaReservation, reservation, userId, bytes);
+  return { ...result, reservation: result.allowed ? reservation : null };
+};
+
+const releaseQuota = async (reservation) => {
+  if (!reservation) return;
+  try {
+    await QuotaReservation.deleteOne({ _id: reservation._id });
+  } catch (error) {
+    console.error('Quota release error:', error);
+  }
+};
+
+// Body of a 413 response for an upload that does not fit
+const quotaExceededResponse = (usage) => ({
+  error: 'Storage quota exceeded',
+  quota: usage.quota,
+  used: usage.used,
+  available: usage.available
+});
+
+// After `bytes` were added to the user's storage, publish a QUOTA_WARNING if
+// that took usage past a warning level. Runs after the response; never throws.
+const notifyQuotaUsage = async (userId, bytes) => {
+  try {
+    const { quota, used } = await getUsage(userId);
+    if (!quota) return;
+
+    const crossed = WARNING_LEVELS.find(({ ratio }) => (used - bytes) / quota < ratio && used / quota >= ratio);
+    if (crossed) {
+      await publishEvent('user-events', {
+        type: 'QUOTA_WARNING',
+        userId: String(userId),
+        level: crossed.level,
+        used,
+        quota
+      });
+    }
+  } catch (error) {
+    console.error('Quota warning error:', error);
+  }
+};
+
+module.exports = {
+  getUsage,
+  checkQuota,
+  reserveUploadQuota,
+  reserveQuota,
+  releaseQuota,
+  quotaExceededResponse,
+  notifyQuotaUsage
+};
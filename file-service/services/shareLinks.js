@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+const ShareLink = require('../models/ShareLink');
+
+const getSecret = () => process.env.SHARE_LINK_SECRET || 'default-share-link-secret';
+
+const sign = (tokenId) =>
+  crypto.createHmac('sha256', getSecret()).update(tokenId).digest('base64url');
+
+// Public token: "<tokenId>.<signature>"
+const toToken = (tokenId) => `${tokenId}.${sign(tokenId)}`;
+
+const createTokenId = () => crypto.randomBytes(16).toString('base64url');
+
+// tokenId of a correctly signed token, or null; forged tokens never reach the database
+const verifyToken = (token) => {
+  const [tokenId, signature] = String(token).split('.');
+  if (!tokenId || !signature) return null;
+
+  const expected = Buffer.from(sign(tokenId));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+  return tokenId;
+};
+
+// 'active', or why the link can no longer be used
+const getLinkStatus = (link, now = new Date()) => {
+  if (link.revokedAt) return 'revoked';
+  if (link.expiresAt && link.expiresAt <= now) return 'expired';
+  if (link.maxDownloads !== null && link.downloadCount >= link.maxDownloads) return 'exhausted';
+  return 'active';
+};
+
+const toShareLinkResponse = (link) => ({
+  id: link._id,
+  token: toToken(link.tokenId),
+  fileId: link.fileId,
+  requiresPassword: Boolean(link.passwordHash),
+  expiresAt: link.expiresAt,
+  maxDownloads: link.maxDownloads,
+  downloadCount: link.downloadCount,
+  revokedAt: link.revokedAt,
+  lastDownloadedAt: link.lastDownloadedAt,
+  createdAt: link.createdAt,
+  status: getLinkStatus(link)
+});
+
+// Atomically count a download, provided the link is still usable; returns
+// the updated link or null if another request used up the last download
+const claimDownload = (link) => {
+  const now = new Date();
+  return ShareLink.findOneAndUpdate(
+    {
+      _id: link._id,
+      revokedAt: null,
+      $and: [
+        { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+        { $or: [{ maxDownloads: null }, { $expr: { $lt: ['$downloadCount', '$maxDownloads'] } }] }
+      ]
+    },
+    { $inc: { downloadCount: 1 }, $set: { lastDownloadedAt: now } },
+    { new: true }
+  );
+};
+
+module.exports = {
+  createTokenId,
+  verifyToken,
+  getLinkStatus,
+  toShareLinkResponse,
+  claimDownload
+};
@@ -0,0 +1,45 @@
+const path = require('path');
+const File = require('../models/File');
+const Folder = require('../models/Folder');
+
+const TRASH_RETENTION_MS = (parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30) * 24 * 60 * 60 * 1000;
+
+// When a trashed file will be purged for good
+const getPurgeAt = (file) => new Date(file.deletedAt.getTime() + TRASH_RETENTION_MS);
+
+// Trashed files whose retention period is over
+const findExpiredTrash = () => File.find({
+  deletedAt: { $ne: null, $lt: new Date(Date.now() - TRASH_RETENTION_MS) }
+});
+
+const trashFile = async (file, deletedBy) => {
+  file.deletedAt = new Date();
+  file.deletedBy = deletedBy;
+  await file.save();
+};
+
+// First of "name.ext", "name (1).ext", "name (2).ext"... not taken by a live file in the folder
+const findAvailableName = async (userId, folderId, originalName) => {
+  const { name, ext } = path.parse(originalName);
+  let candidate = originalName;
+
+  for (let n = 1; await File.exists({ userId, folderId, originalName: candidate, deletedAt: null }); n++) {
+    candidate = `${name} (${n})${ext}`;
+  }
+  return candidate;
+};
+
+// Put a trashed file back where it was. Files whose folder has since been
+// deleted go to the owner's root, and a name taken in the meantime gets a suffix.
+const restoreFile = async (file) => {
+  if (file.folderId && !(await Folder.exists({ _id: file.folderId }))) {
+    file.folderId = null;
+  }
+
+  file.originalName = await findAvailableName(file.userId, file.folderId, file.originalName);
+  file.deletedAt = null;
+  file.deletedBy = null;
+  await file.save();
+};
+
+module.exports = { getPurgeAt, findExpiredTrash, trashFile, restoreFile };
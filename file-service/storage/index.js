@@ -0,0 +1,55 @@
+const path = require('path');
+const LocalStorageDriver = require('./local');
+const S3StorageDriver = require('./s3');
+const ReplicatedStorageDriver = require('./replicated');
+
+// Every driver implements:
+//   putFile(key, filePath)          store a staged local file (consuming it);
+//                                   may resolve to { replicas } for the Blob record
+//   putStream(key, stream)          store the contents of a readable stream
+//   exists(key)                     whether the bytes are present
+//   createReadStream(key, range)    readable stream, optionally for { start, end }
+//   delete(key)                     remove the bytes
+const factories = {
+  local: () => new LocalStorageDriver({
+    root: path.join(process.env.UPLOAD_DIR || './uploads', 'blobs')
+  }),
+  s3: () => new S3StorageDriver({
+    bucket: process.env.S3_BUCKET || 'file-storage',
+    prefix: process.env.S3_PREFIX || 'blobs/',
+    endpoint: process.env.S3_ENDPOINT,
+    region: process.env.S3_REGION || 'us-east-1',
+    // MinIO and most self-hosted stores only support path-style URLs
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE !== 'false',
+    credentials: process.env.S3_ACCESS_KEY_ID
+      ? {
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+      }
+      : undefined
+  }),
+  replicated: () => new ReplicatedStorageDriver({
+    nodes: ReplicatedStorageDriver.parseNodes(process.env.STORAGE_NODES),
+    replicationFactor: parseInt(process.env.REPLICATION_FACTOR, 10) || 3,
+    writeQuorum: parseInt(process.env.WRITE_QUORUM, 10) || 2,
+    secret: process.env.STORAGE_NODE_SECRET,
+    stagingDir: path.join(process.env.UPLOAD_DIR || './uploads', '.partial')
+  })
+};
+
+const drivers = {};
+
+// Driver that new blobs are written to
+const getDefaultDriverName = () => process.env.STORAGE_DRIVER || 'local';
+
+const getDriver = (name = getDefaultDriverName()) => {
+  if (!factories[name]) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+  if (!drivers[name]) {
+    drivers[name] = factories[name]();
+  }
+  return drivers[name];
+};
+
+module.exports = { getDriver, getDefaultDriverName };
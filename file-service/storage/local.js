@@ -0,0 +1,40 @@
+const path = require('path');
+const fs = require('fs-extra');
+const { pipeline } = require('stream/promises');
+
+// Stores blobs on the local filesystem under <root>/ab/cd/<key>
+class LocalStorageDriver {
+  constructor({ root }) {
+    this.name = 'local';
+    this.root = root;
+  }
+
+  pathFor(key) {
+    return path.join(this.root, key.slice(0, 2), key.slice(2, 4), key);
+  }
+
+  async putFile(key, filePath) {
+    await fs.move(filePath, this.pathFor(key), { overwrite: true });
+  }
+
+  async putStream(key, stream) {
+    const target = this.pathFor(key);
+    await fs.ensureDir(path.dirname(target));
+    await pipeline(stream, fs.createWriteStream(target));
+  }
+
+  async exists(key) {
+    return fs.pathExists(this.pathFor(key));
+  }
+
+  // start and end are inclusive byte offsets, as in an HTTP Range
+  async createReadStream(key, { start, end } = {}) {
+    return fs.createReadStream(this.pathFor(key), { start, end });
+  }
+
+  async delete(key) {
+    await fs.remove(this.pathFor(key));
+  }
+}
+
+module.exports = LocalStorageDriver;
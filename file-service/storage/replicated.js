@@ -0,0 +1,228 @@
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+
+const HEALTH_CHECK_INTERVAL_MS = 10 * 1000;
+const PROBE_TIMEOUT_MS = 5 * 1000;
+
+// Parse "id=url,id=url" (or bare URLs, named after their host) from STORAGE_NODES
+const parseNodes = (value) => (value || '')
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .map(entry => {
+    const separator = entry.indexOf('=');
+    if (separator === -1) {
+      return { id: new URL(entry).host, url: entry };
+    }
+    return { id: entry.slice(0, separator), url: entry.slice(separator + 1) };
+  });
+
+// Stores every blob on `replicationFactor` storage nodes. A write succeeds
+// once `writeQuorum` nodes have it; reads try each node in placement order
+// until one has a copy.
+class ReplicatedStorageDriver {
+  constructor({ nodes, replicationFactor, writeQuorum, secret, stagingDir }) {
+    if (nodes.length === 0) {
+      throw new Error('The replicated storage driver needs STORAGE_NODES');
+    }
+
+    this.name = 'replicated';
+    this.nodes = nodes;
+    this.replicationFactor = Math.min(replicationFactor, nodes.length);
+    this.writeQuorum = Math.min(writeQuorum, this.replicationFactor);
+    this.secret = secret;
+    this.stagingDir = stagingDir;
+    this.healthy = new Map(nodes.map(node => [node.id, true]));
+
+    this.healthTimer = setInterval(() => this.checkHealth(), HEALTH_CHECK_INTERVAL_MS);
+    this.healthTimer.unref();
+  }
+
+  async checkHealth() {
+    await Promise.all(this.nodes.map(async (node) => {
+      let healthy;
+      try {
+        const response = await fetch(`${node.url}/health`, { signal: AbortSignal.timeout(PROBE_TIMEOUT_MS) });
+        healthy = response.ok;
+      } catch (error) {
+        healthy = false;
+      }
+
+      if (healthy !== this.healthy.get(node.id)) {
+        console.log(`Storage node ${node.id} is ${healthy ? 'healthy' : 'unreachable'}`);
+      }
+      this.healthy.set(node.id, healthy);
+    }));
+  }
+
+  // Rendezvous hashing: every node scores every key and the highest scores
+  // win, so placement only changes for keys on nodes that come or go
+  rankNodes(key) {
+    return this.nodes
+      .map(node => ({
+        node,
+        score: crypto.createHash('sha256').update(`${node.id}:${key}`).digest().readUInt32BE(0)
+      }))
+      .sort((a, b) => b.score - a.score)
+      .map(entry => entry.node);
+  }
+
+  // Healthy nodes that should hold the key
+  targetNodes(key) {
+    return this.rankNodes(key)
+      .filter(node => this.healthy.get(node.id))
+      .slice(0, this.replicationFactor);
+  }
+
+  // Placement order, with nodes currently failing health checks tried last
+  readOrder(key) {
+    const ranked = this.rankNodes(key);
+    return [
+      ...ranked.filter(node => this.healthy.get(node.id)),
+      ...ranked.filter(node => !this.healthy.get(node.id))
+    ];
+  }
+
+  request(node, key, options = {}) {
+    return fetch(`${node.url}/blobs/${key}`, {
+      ...options,
+      headers: { 'X-Node-Secret': this.secret || '', ...options.headers }
+    });
+  }
+
+  async hasOnNode(node, key) {
+    try {
+      const response = await this.request(node, key, {
+        method: 'HEAD',
+        signal: AbortSignal.timeout(PROBE_TIMEOUT_MS)
+      });
+      return response.ok;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async putOnNode(node, key, filePath) {
+    const { size } = await fs.stat(filePath);
+    const response = await this.request(node, key, {
+      method: 'PUT',
+      body: fs.createReadStream(filePath),
+      duplex: 'half',
+      headers: {
+        'Content-Type': 'application/octet-stream',
+        'Content-Length': String(size)
+      }
+    });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+  }
+
+  // Write to the target nodes in parallel; returns the ids of those that stored it
+  async replicate(key, filePath, targets) {
+    const results = await Promise.allSettled(targets.map(node => this.putOnNode(node, key, filePath)));
+
+    return targets.filter((node, index) => {
+      if (results[index].status === 'rejected') {
+        console.error(`Replication of ${key} to ${node.id} failed:`, results[index].reason.message);
+        return false;
+      }
+      return true;
+    }).map(node => node.id);
+  }
+
+  async putFile(key, filePath) {
+    const replicas = await this.replicate(key, filePath, this.targetNodes(key));
+    if (replicas.length < this.writeQuorum) {
+      throw new Error(`Write quorum not met for ${key}: ${replicas.length} of ${this.writeQuorum} replicas`);
+    }
+
+    await fs.remove(filePath);
+    return { replicas };
+  }
+
+  // Streams are staged locally first, since every replica needs its own copy
+  async putStream(key, stream) {
+    const stagedPath = path.join(this.stagingDir, `${key}-${crypto.randomBytes(8).toString('hex')}`);
+    await fs.ensureDir(this.stagingDir);
+
+    try {
+      await pipeline(stream, fs.createWriteStream(stagedPath));
+      return await this.putFile(key, stagedPath);
+    } finally {
+      await fs.remove(stagedPath);
+    }
+  }
+
+  async exists(key) {
+    for (const node of this.readOrder(key)) {
+      if (await this.hasOnNode(node, key)) return true;
+    }
+    return false;
+  }
+
+  // start and end are inclusive byte offsets, as in an HTTP Range; fails
+  // over to the next replica when a node is down or lost its copy
+  async createReadStream(key, { start, end } = {}) {
+    const headers = start !== undefined || end !== undefined
+      ? { Range: `bytes=${start || 0}-${end !== undefined ? end : ''}` }
+      : {};
+
+    for (const node of this.readOrder(key)) {
+      try {
+        const response = await this.request(node, key, { headers });
+        if (response.ok) {
+          return Readable.fromWeb(response.body);
+        }
+        await response.body?.cancel();
+      } catch (error) {
+        console.error(`Reading ${key} from ${node.id} failed:`, error.message);
+      }
+    }
+    throw new Error(`No replica of ${key} is available`);
+  }
+
+  // Copies may live outside the target set after failovers, so ask every node
+  async delete(key) {
+    await Promise.allSettled(this.nodes.map(node => this.request(node, key, { method: 'DELETE' })));
+  }
+
+  // Copy the blob onto target nodes until it has replicationFactor copies
+  // again; returns the ids of the nodes that hold it afterwards
+  async repair(key) {
+    const holders = [];
+    for (const node of this.nodes) {
+      if (await this.hasOnNode(node, key)) holders.push(node);
+    }
+
+    const holderIds = holders.map(node => node.id);
+    if (holders.length === 0 || holders.length >= this.replicationFactor) {
+      return holderIds;
+    }
+
+    const missing = this.targetNodes(key)
+      .filter(node => !holderIds.includes(node.id))
+      .slice(0, this.replicationFactor - holders.length);
+    if (missing.length === 0) {
+      return holderIds;
+    }
+
+    const stagedPath = path.join(this.stagingDir, `${key}-${crypto.randomBytes(8).toString('hex')}`);
+    await fs.ensureDir(this.stagingDir);
+
+    try {
+      await pipeline(await this.createReadStream(key), fs.createWriteStream(stagedPath));
+      const added = await this.replicate(key, stagedPath, missing);
+      return [...holderIds, ...added];
+    } finally {
+      await fs.remove(stagedPath);
+    }
+  }
+}
+
+ReplicatedStorageDriver.parseNodes = parseNodes;
+
+module.exports = ReplicatedStorageDriver;
@@ -0,0 +1,99 @@
+const fs = require('fs-extra');
+const {
+  S3Client,
+  HeadBucketCommand,
+  CreateBucketCommand,
+  HeadObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+const { Upload } = require('@aws-sdk/lib-storage');
+
+const isNotFound = (error) =>
+  error.name === 'NotFound' || error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404;
+
+// Stores blobs in an S3-compatible bucket (AWS S3, MinIO, ...) under <prefix>ab/cd/<key>
+class S3StorageDriver {
+  constructor({ bucket, prefix = '', ...clientConfig }) {
+    this.name = 's3';
+    this.bucket = bucket;
+    this.prefix = prefix;
+    this.client = new S3Client(clientConfig);
+    this.bucketReady = null;
+  }
+
+  keyFor(key) {
+    return `${this.prefix}${key.slice(0, 2)}/${key.slice(2, 4)}/${key}`;
+  }
+
+  // Create the bucket on first use, which is what a fresh MinIO needs
+  ensureBucket() {
+    if (!this.bucketReady) {
+      this.bucketReady = this.client.send(new HeadBucketCommand({ Bucket: this.bucket }))
+        .catch(async (error) => {
+          if (!isNotFound(error)) throw error;
+          await this.client.send(new CreateBucketCommand({ Bucket: this.bucket }));
+        })
+        .catch((error) => {
+          this.bucketReady = null;
+          throw error;
+        });
+    }
+    return this.bucketReady;
+  }
+
+  async putStream(key, stream) {
+    await this.ensureBucket();
+
+    // Multipart upload, so objects larger than a single PUT allows still work
+    const upload = new Upload({
+      client: this.client,
+      params: {
+        Bucket: this.bucket,
+        Key: this.keyFor(key),
+        Body: stream
+      }
+    });
+    await upload.done();
+  }
+
+  async putFile(key, filePath) {
+    await this.putStream(key, fs.createReadStream(filePath));
+    await fs.remove(filePath);
+  }
+
+  async exists(key) {
+    await this.ensureBucket();
+
+    try {
+      await this.client.send(new HeadObjectCommand({ Bucket: this.bucket, Key: this.keyFor(key) }));
+      return true;
+    } catch (error) {
+      if (isNotFound(error)) return false;
+      throw error;
+    }
+  }
+
+  // start and end are inclusive byte offsets, as in an HTTP Range
+  async createReadStream(key, { start, end } = {}) {
+    await this.ensureBucket();
+
+    const range = start !== undefined || end !== undefined
+      ? `bytes=${start || 0}-${end !== undefined ? end : ''}`
+      : undefined;
+
+    const response = await this.client.send(new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: this.keyFor(key),
+      Range: range
+    }));
+    return response.Body;
+  }
+
+  async delete(key) {
+    await this.ensureBucket();
+    await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: this.keyFor(key) }));
+  }
+}
+
+module.exports = S3StorageDriver;
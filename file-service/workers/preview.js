@@ -0,0 +1,90 @@
+// Preview worker: consumes FILE_UPLOADED events from the file-events topic
+// and generates thumbnails and text snippets for the uploaded files, then
+// announces each preview with a PREVIEW_GENERATED event on the same topic.
+// Run with: npm run worker:preview
+const mongoose = require('mongoose');
+const { Kafka } = require('kafkajs');
+require('dotenv').config();
+
+const File = require('../models/File');
+const UploadSession = require('../models/UploadSession');
+const { ensurePreview } = require('../services/previews');
+
+const kafka = new Kafka({
+  clientId: 'preview-worker',
+  brokers: process.env.KAFKA_BROKERS ? process.env.KAFKA_BROKERS.split(',') : ['kafka:29092']
+});
+
+const consumer = kafka.consumer({ groupId: 'preview-worker-group' });
+const producer = kafka.producer();
+
+// The file an event refers to; resumable uploads only name their session
+const findUploadedFile = async (event) => {
+  let fileId = event.fileId;
+  if (!fileId && event.uploadId && mongoose.isValidObjectId(event.uploadId)) {
+    const session = await UploadSession.findById(event.uploadId);
+    fileId = session && session.fileId;
+  }
+  if (!fileId || !mongoose.isValidObjectId(fileId)) return null;
+
+  return File.findOne({ _id: fileId, deletedAt: null });
+};
+
+const handleMessage = async ({ message }) => {
+  let event;
+  try {
+    event = JSON.parse(message.value.toString());
+  } catch (error) {
+    console.error('Skipping malformed file event:', error.message);
+    return;
+  }
+  if (event.type !== 'FILE_UPLOADED') return;
+
+  const file = await findUploadedFile(event);
+  if (!file) {
+    console.warn('No file found for upload event:', JSON.stringify(event));
+    return;
+  }
+
+  const preview = await ensurePreview(file);
+  console.log(`Preview for ${file._id} (${file.mimeType}): ${preview.status}`);
+
+  // Lets the gateway drop cached listings that do not show the thumbnail yet
+  await producer.send({
+    topic: 'file-events',
+    messages: [{
+      key: String(file.userId),
+      value: JSON.stringify({
+        type: 'PREVIEW_GENERATED',
+        userId: String(file.userId),
+        fileId: String(file._id),
+        folderId: file.folderId ? String(file.folderId) : null,
+        status: preview.status,
+        timestamp: new Date().toISOString()
+      })
+    }]
+  });
+};
+
+const start = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/distributed-storage');
+  console.log('Preview Worker: Connected to MongoDB');
+
+  await producer.connect();
+  await consumer.connect();
+  await consumer.subscribe({ topic: 'file-events', fromBeginning: false });
+  await consumer.run({ eachMessage: handleMessage });
+  console.log('Preview Worker: Consuming file-events');
+};
+
+start().catch(err => {
+  console.error('Preview worker error:', err);
+  process.exit(1);
+});
+
+process.on('SIGTERM', async () => {
+  await consumer.disconnect();
+  await producer.disconnect();
+  await mongoose.disconnect();
+  process.exit(0);
+});
@@ -5,7 +5,15 @@ import CssBaseline from '@mui/material/CssBaseline';
 import { AuthProvider } from './context/AuthContext';
 import Login from './pages/Login';
 import Register from './pages/Register';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail';
+import OidcCallback from './pages/OidcCallback';
 import Dashboard from './pages/Dashboard';
+import SharedLink from './pages/SharedLink';
+import Activity from './pages/Activity';
+import Admin from './pages/Admin';
+import Security from './pages/Security';
 import PrivateRoute from './components/PrivateRoute';
 
 const theme = createTheme({
@@ -28,6 +36,11 @@ function App() {
           <Routes>
             <Route path="/login" element={<Login />} />
             <Route path="/register" element={<Register />} />
+            <Route path="/forgot-password" element={<ForgotPassword />} />
+            <Route path="/reset-password" element={<ResetPassword />} />
+            <Route path="/verify-email" element={<VerifyEmail />} />
+            <Route path="/oidc/callback" element={<OidcCallback />} />
+            <Route path="/s/:token" element={<SharedLink />} />
             <Route
               path="/dashboard"
               element={
@@ -36,6 +49,30 @@ function App() {
                 </PrivateRoute>
               }
             />
+            <Route
+              path="/activity"
+              element={
+                <PrivateRoute>
+                  <Activity />
+                </PrivateRoute>
+              }
+            />
+            <Route
+              path="/security"
+              element={
+                <PrivateRoute>
+                  <Security />
+                </PrivateRoute>
+              }
+            />
+            <Route
+              path="/admin"
+              element={
+                <PrivateRoute role="admin">
+                  <Admin />
+                </PrivateRoute>
+              }
+            />
             <Route path="/" element={<Navigate to="/dashboard" replace />} />
           </Routes>
         </Router>
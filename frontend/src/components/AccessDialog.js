@@ -0,0 +1,204 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  List,
+  ListItem,
+  ListItemText,
+  ListItemSecondaryAction,
+  IconButton,
+  TextField,
+  MenuItem,
+  Box,
+  Alert,
+  CircularProgress,
+  Typography
+} from '@mui/material';
+import { PersonRemove as RemoveIcon } from '@mui/icons-material';
+import axios from 'axios';
+import { useAuth } from '../context/AuthContext';
+
+const ROLE_OPTIONS = [
+  { value: 'viewer', label: 'Viewer' },
+  { value: 'editor', label: 'Editor' }
+];
+
+// Share a file or folder with other users and manage their roles
+const AccessDialog = ({ open, kind, item, onClose }) => {
+  const [permissions, setPermissions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [email, setEmail] = useState('');
+  const [role, setRole] = useState('viewer');
+  const { token } = useAuth();
+
+  const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3000';
+  const baseUrl = item
+    ? `${API_BASE_URL}/api/${kind === 'folder' ? 'folders' : 'files'}/${item.id}/permissions`
+    : null;
+
+  const fetchPermissions = useCallback(async () => {
+    if (!baseUrl) return;
+
+    try {
+      setLoading(true);
+      const response = await axios.get(baseUrl, {
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      });
+      setPermissions(response.data.permissions);
+      setError('');
+    } catch (err) {
+      setError('Failed to load sharing settings');
+      console.error('Error fetching permissions:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [baseUrl, token]);
+
+  useEffect(() => {
+    if (open) {
+      setEmail('');
+      setRole('viewer');
+      fetchPermissions();
+    }
+  }, [open, fetchPermissions]);
+
+  // Sharing again with the same user changes their role
+  const share = async (granteeEmail, granteeRole) => {
+    try {
+      await axios.post(
+        baseUrl,
+        { email: granteeEmail, role: granteeRole },
+        {
+          headers: {
+            Authorization: `Bearer ${token}`
+          }
+        }
+      );
+      await fetchPermissions();
+      return true;
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to share');
+      console.error('Error sharing:', err);
+      return false;
+    }
+  };
+
+  const handleShare = async (e) => {
+    e.preventDefault();
+    if (email.trim() && await share(email.trim(), role)) {
+      setEmail('');
+    }
+  };
+
+  const handleRemove = async (permission) => {
+    try {
+      await axios.delete(`${baseUrl}/${permission.id}`, {
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      });
+      await fetchPermissions();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to remove access');
+      console.error('Error removing access:', err);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="sm">
+      <DialogTitle>
+        Share{item ? ` "${item.name || item.filename}"` : ''} with people
+      </DialogTitle>
+      <DialogContent>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
+            {error}
+          </Alert>
+        )}
+        <Box component="form" onSubmit={handleShare} display="flex" gap={1} sx={{ mt: 1, mb: 2 }}>
+          <TextField
+            size="small"
+            type="email"
+            label="Email address"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            sx={{ flexGrow: 1 }}
+          />
+          <TextField
+            select
+            size="small"
+            label="Role"
+            value={role}
+            onChange={(e) => setRole(e.target.value)}
+            sx={{ width: 120 }}
+          >
+            {ROLE_OPTIONS.map((option) => (
+              <MenuItem key={option.value} value={option.value}>
+                {option.label}
+              </MenuItem>
+            ))}
+          </TextField>
+          <Button type="submit" variant="contained" disabled={!email.trim()}>
+            Share
+          </Button>
+        </Box>
+        {kind === 'folder' && (
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+            Access to a folder includes everything inside it.
+          </Typography>
+        )}
+        {loading ? (
+          <Box display="flex" justifyContent="center" p={2}>
+            <CircularProgress size={24} />
+          </Box>
+        ) : permissions.length === 0 ? (
+          <Typography color="text.secondary" align="center" sx={{ py: 2 }}>
+            Not shared with anyone yet
+          </Typography>
+        ) : (
+          <List dense>
+            {permissions.map((permission) => (
+              <ListItem key={permission.id} sx={{ pr: 22 }}>
+                <ListItemText
+                  primary={permission.grantee.username || permission.grantee.id}
+                  secondary={permission.grantee.email}
+                />
+                <ListItemSecondaryAction>
+                  <TextField
+                    select
+                    size="small"
+                    variant="standard"
+                    value={permission.role}
+                    onChange={(e) => share(permission.grantee.email, e.target.value)}
+                    disabled={!permission.grantee.email}
+                    sx={{ width: 100, mr: 1 }}
+                  >
+                    {ROLE_OPTIONS.map((option) => (
+                      <MenuItem key={option.value} value={option.value}>
+                        {option.label}
+                      </MenuItem>
+                    ))}
+                  </TextField>
+                  <IconButton edge="end" color="error" onClick={() => handleRemove(permission)}>
+                    <RemoveIcon />
+                  </IconButton>
+                </ListItemSecondaryAction>
+              </ListItem>
+            ))}
+          </List>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default AccessDialog;
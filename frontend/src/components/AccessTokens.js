@@ -0,0 +1,302 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Button,
+  TextField,
+  Typography,
+  Alert,
+  CircularProgress,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  IconButton,
+  Chip,
+  Tooltip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  FormControl,
+  FormGroup,
+  FormLabel,
+  FormControlLabel,
+  Checkbox,
+  MenuItem
+} from '@mui/material';
+import { Delete as DeleteIcon } from '@mui/icons-material';
+import axios from 'axios';
+import { useAuth } from '../context/AuthContext';
+
+const EXPIRY_OPTIONS = [7, 30, 90, 365];
+
+const SCOPE_DESCRIPTIONS = {
+  'files:read': 'List and download files and folders',
+  'files:write': 'Upload, rename and move',
+  'files:delete': 'Move files and folders to the trash and delete them',
+  'files:share': 'Create share links and give other users access'
+};
+
+const formatDate = (date) => new Date(date).toLocaleDateString();
+
+// Personal access tokens for scripts and automation: create, list and revoke
+const AccessTokens = () => {
+  const [tokens, setTokens] = useState(null);
+  const [scopes, setScopes] = useState([]);
+  const [error, setError] = useState('');
+  const [creating, setCreating] = useState(false);
+  const [name, setName] = useState('');
+  const [selectedScopes, setSelectedScopes] = useState(['files:read']);
+  const [expiresInDays, setExpiresInDays] = useState(30);
+  // The token just created, shown once
+  const [newToken, setNewToken] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const { token } = useAuth();
+
+  const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3000';
+
+  const fetchTokens = useCallback(async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/auth/tokens`, {
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      });
+      setTokens(response.data.tokens);
+      setScopes(response.data.scopes);
+    } catch (err) {
+      setError('Failed to load access tokens');
+      console.error('Error fetching access tokens:', err);
+    }
+  }, [API_BASE_URL, token]);
+
+  useEffect(() => {
+    fetchTokens();
+  }, [fetchTokens]);
+
+  const openCreate = () => {
+    setName('');
+    setSelectedScopes(['files:read']);
+    setExpiresInDays(30);
+    setError('');
+    setCreating(true);
+  };
+
+  const toggleScope = (scope) => {
+    setSelectedScopes(previous => (previous.includes(scope)
+      ? previous.filter(item => item !== scope)
+      : [...previous, scope]));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+
+    try {
+      setBusy(true);
+      const response = await axios.post(`${API_BASE_URL}/api/auth/tokens`, {
+        name: name.trim(),
+        scopes: selectedScopes,
+        expiresInDays
+      }, {
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      });
+      setNewToken(response.data.token);
+      setCreating(false);
+      fetchTokens();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to create access token');
+      console.error('Error creating access token:', err);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRevoke = async (accessToken) => {
+    if (!window.confirm(`Revoke "${accessToken.name}"? Scripts using it will stop working.`)) {
+      return;
+    }
+
+    try {
+      await axios.delete(`${API_BASE_URL}/api/auth/tokens/${accessToken.id}`, {
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      });
+      fetchTokens();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to revoke access token');
+      console.error('Error revoking access token:', err);
+    }
+  };
+
+  return (
+    <>
+      <Box display="flex" alignItems="center" justifyContent="space-between" sx={{ mb: 1 }}>
+        <Typography variant="h5" component="h2">
+          Personal access tokens
+        </Typography>
+        <Button variant="outlined" onClick={openCreate}>
+          New token
+        </Button>
+      </Box>
+      <Typography variant="body2" color="textSecondary">
+        Let scripts and CI jobs use your files without your password. Send a token as
+        {' '}<code>Authorization: Bearer &lt;token&gt;</code>; it can only do what its scopes allow.
+      </Typography>
+
+      {error && !creating && (
+        <Alert severity="error" sx={{ mt: 2 }} onClose={() => setError('')}>
+          {error}
+        </Alert>
+      )}
+
+      {newToken && (
+        <Alert
+          severity="success"
+          sx={{ mt: 2 }}
+          onClose={() => setNewToken(null)}
+          action={(
+            <Button color="inherit" size="small" onClick={() => navigator.clipboard.writeText(newToken)}>
+              Copy
+            </Button>
+          )}
+        >
+          Copy your new token now. It will not be shown again.
+          <Box component="code" sx={{ display: 'block', mt: 1, wordBreak: 'break-all' }}>
+            {newToken}
+          </Box>
+        </Alert>
+      )}
+
+      {!tokens ? (
+        <Box display="flex" justifyContent="center" p={4}>
+          <CircularProgress />
+        </Box>
+      ) : (
+        <Table size="small" sx={{ mt: 2 }}>
+          <TableHead>
+            <TableRow>
+              <TableCell>Name</TableCell>
+              <TableCell>Scopes</TableCell>
+              <TableCell>Expires</TableCell>
+              <TableCell>Last used</TableCell>
+              <TableCell align="right">Actions</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {tokens.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={5} align="center">
+                  <Typography variant="body2" color="textSecondary">
+                    No access tokens.
+                  </Typography>
+                </TableCell>
+              </TableRow>
+            ) : (
+              tokens.map((accessToken) => (
+                <TableRow key={accessToken.id}>
+                  <TableCell>
+                    {accessToken.name}
+                    <Typography variant="caption" color="textSecondary" sx={{ display: 'block', fontFamily: 'monospace' }}>
+                      {accessToken.prefix}…
+                    </Typography>
+                  </TableCell>
+                  <TableCell>
+                    {accessToken.scopes.map(scope => (
+                      <Chip key={scope} label={scope} size="small" sx={{ mr: 0.5 }} />
+                    ))}
+                  </TableCell>
+                  <TableCell>
+                    {new Date(accessToken.expiresAt) <= new Date()
+                      ? <Chip label="Expired" size="small" color="warning" />
+                      : formatDate(accessToken.expiresAt)}
+                  </TableCell>
+                  <TableCell>
+                    {accessToken.lastUsedAt
+                      ? `${new Date(accessToken.lastUsedAt).toLocaleString()}${accessToken.lastUsedIp ? ` from ${accessToken.lastUsedIp}` : ''}`
+                      : 'Never'}
+                  </TableCell>
+                  <TableCell align="right">
+                    <Tooltip title="Revoke">
+                      <IconButton color="error" onClick={() => handleRevoke(accessToken)}>
+                        <DeleteIcon />
+                      </IconButton>
+                    </Tooltip>
+                  </TableCell>
+                </TableRow>
+              ))
+            )}
+          </TableBody>
+        </Table>
+      )}
+
+      <Dialog open={creating} onClose={() => setCreating(false)} fullWidth maxWidth="xs">
+        <form onSubmit={handleCreate}>
+          <DialogTitle>New personal access token</DialogTitle>
+          <DialogContent>
+            {error && (
+              <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
+                {error}
+              </Alert>
+            )}
+            <TextField
+              fullWidth
+              required
+              autoFocus
+              margin="dense"
+              label="Name"
+              helperText="What the token is for, e.g. the CI job that uses it"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              inputProps={{ maxLength: 100 }}
+            />
+            <FormControl component="fieldset" margin="normal">
+              <FormLabel component="legend">Scopes</FormLabel>
+              <FormGroup>
+                {scopes.map(scope => (
+                  <FormControlLabel
+                    key={scope}
+                    control={<Checkbox checked={selectedScopes.includes(scope)} onChange={() => toggleScope(scope)} />}
+                    label={(
+                      <>
+                        <Typography variant="body2" component="span" sx={{ fontFamily: 'monospace' }}>{scope}</Typography>
+                        {SCOPE_DESCRIPTIONS[scope] && (
+                          <Typography variant="caption" color="textSecondary" sx={{ display: 'block' }}>
+                            {SCOPE_DESCRIPTIONS[scope]}
+                          </Typography>
+                        )}
+                      </>
+                    )}
+                  />
+                ))}
+              </FormGroup>
+            </FormControl>
+            <TextField
+              select
+              fullWidth
+              margin="dense"
+              label="Expires in"
+              value={expiresInDays}
+              onChange={(e) => setExpiresInDays(e.target.value)}
+            >
+              {EXPIRY_OPTIONS.map(days => (
+                <MenuItem key={days} value={days}>{days} days</MenuItem>
+              ))}
+            </TextField>
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={() => setCreating(false)}>Cancel</Button>
+            <Button type="submit" variant="contained" disabled={busy || !name.trim() || selectedScopes.length === 0}>
+              Create
+            </Button>
+          </DialogActions>
+        </form>
+      </Dialog>
+    </>
+  );
+};
+
+export default AccessTokens;
@@ -0,0 +1,132 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  TextField,
+  MenuItem,
+  InputAdornment,
+  Autocomplete,
+  Button
+} from '@mui/material';
+import { Search as SearchIcon } from '@mui/icons-material';
+import { useTagOptions } from '../utils/tags';
+
+const MB = 1024 * 1024;
+const DAY = 24 * 60 * 60 * 1000;
+const SEARCH_DELAY = 300;
+
+const TYPE_OPTIONS = [
+  { value: '', label: 'Any type' },
+  { value: 'image/*', label: 'Images' },
+  { value: 'video/*', label: 'Videos' },
+  { value: 'audio/*', label: 'Audio' },
+  { value: 'application/pdf', label: 'PDFs' },
+  { value: 'text/*', label: 'Text' }
+];
+
+const SIZE_OPTIONS = [
+  { value: '', label: 'Any size' },
+  { value: 'small', label: 'Under 1 MB', minSize: undefined, maxSize: MB },
+  { value: 'medium', label: '1 – 100 MB', minSize: MB, maxSize: 100 * MB },
+  { value: 'large', label: 'Over 100 MB', minSize: 100 * MB, maxSize: undefined }
+];
+
+const MODIFIED_OPTIONS = [
+  { value: '', label: 'Any time' },
+  { value: '1', label: 'Last 24 hours' },
+  { value: '7', label: 'Last 7 days' },
+  { value: '30', label: 'Last 30 days' },
+  { value: '365', label: 'Last year' }
+];
+
+export const EMPTY_FILTERS = { q: '', tag: '', type: '', size: '', modified: '' };
+
+export const hasFilters = (filters) => Object.values(filters).some(Boolean);
+
+// Query parameters for GET /api/files
+export const filterParams = (filters) => {
+  const size = SIZE_OPTIONS.find(option => option.value === filters.size);
+
+  return {
+    ...(filters.q && { q: filters.q }),
+    ...(filters.tag && { tag: filters.tag }),
+    ...(filters.type && { type: filters.type }),
+    ...(size && size.minSize !== undefined && { minSize: size.minSize }),
+    ...(size && size.maxSize !== undefined && { maxSize: size.maxSize }),
+    ...(filters.modified && {
+      updatedAfter: new Date(Date.now() - Number(filters.modified) * DAY).toISOString()
+    })
+  };
+};
+
+// Search box and filter selects; typing is debounced before onChange fires
+const FileFilters = ({ value, onChange }) => {
+  const [query, setQuery] = useState(value.q);
+  const { options: tagOptions, loadOptions: loadTagOptions } = useTagOptions();
+
+  useEffect(() => {
+    setQuery(value.q);
+  }, [value.q]);
+
+  useEffect(() => {
+    if (query === value.q) return undefined;
+
+    const timer = setTimeout(() => onChange({ ...value, q: query }), SEARCH_DELAY);
+    return () => clearTimeout(timer);
+  }, [query, value, onChange]);
+
+  const select = (name, label, options) => (
+    <TextField
+      select
+      size="small"
+      label={label}
+      value={value[name]}
+      onChange={(e) => onChange({ ...value, [name]: e.target.value })}
+      sx={{ minWidth: 150 }}
+    >
+      {options.map(option => (
+        <MenuItem key={option.value} value={option.value}>
+          {option.label}
+        </MenuItem>
+      ))}
+    </TextField>
+  );
+
+  return (
+    <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 2, alignItems: 'center', mb: 2 }}>
+      <TextField
+        size="small"
+        placeholder="Search files"
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        sx={{ flexGrow: 1, minWidth: 200 }}
+        InputProps={{
+          startAdornment: (
+            <InputAdornment position="start">
+              <SearchIcon />
+            </InputAdornment>
+          )
+        }}
+      />
+      <Autocomplete
+        freeSolo
+        size="small"
+        options={tagOptions}
+        value={value.tag || null}
+        onOpen={loadTagOptions}
+        onChange={(e, tag) => onChange({ ...value, tag: tag ? tag.trim().toLowerCase() : '' })}
+        renderInput={(params) => <TextField {...params} label="Tag" />}
+        sx={{ minWidth: 150 }}
+      />
+      {select('type', 'Type', TYPE_OPTIONS)}
+      {select('size', 'Size', SIZE_OPTIONS)}
+      {select('modified', 'Modified', MODIFIED_OPTIONS)}
+      {hasFilters(value) && (
+        <Button onClick={() => onChange(EMPTY_FILTERS)}>
+          Clear
+        </Button>
+      )}
+    </Box>
+  );
+};
+
+export default FileFilters;
@@ -0,0 +1,52 @@
+import React, { useState, useEffect } from 'react';
+import { Box } from '@mui/material';
+import { InsertDriveFile as FileIcon } from '@mui/icons-material';
+
+const SIZE = 40;
+
+// Thumbnail from the preview worker, or a generic icon while there is none.
+// The listing's thumbnailUrl is signed, so <img> loads it without the
+// Authorization header and the browser caches it.
+const FileThumbnail = ({ file }) => {
+  const [failed, setFailed] = useState(false);
+
+  const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3000';
+
+  useEffect(() => {
+    setFailed(false);
+  }, [file.thumbnailUrl]);
+
+  const src = file.hasThumbnail && file.thumbnailUrl && !failed
+    ? `${API_BASE_URL}${file.thumbnailUrl}`
+    : null;
+
+  return (
+    <Box
+      sx={{
+        width: SIZE,
+        height: SIZE,
+        mr: 1.5,
+        flexShrink: 0,
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        borderRadius: 1,
+        overflow: 'hidden',
+        bgcolor: 'action.hover'
+      }}
+    >
+      {src ? (
+        <img
+          src={src}
+          alt=""
+          onError={() => setFailed(true)}
+          style={{ width: '100%', height: '100%', objectFit: 'cover' }}
+        />
+      ) : (
+        <FileIcon color="action" />
+      )}
+    </Box>
+  );
+};
+
+export default FileThumbnail;
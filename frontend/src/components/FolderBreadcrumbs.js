@@ -0,0 +1,34 @@
+import React from 'react';
+import { Breadcrumbs, Link, Typography } from '@mui/material';
+import { Home as HomeIcon } from '@mui/icons-material';
+
+const FolderBreadcrumbs = ({ path, onNavigate, rootLabel = 'My Files' }) => {
+  const crumbs = [{ id: null, name: rootLabel }, ...path];
+
+  return (
+    <Breadcrumbs sx={{ mb: 2 }}>
+      {crumbs.map((crumb, index) =>
+        index === crumbs.length - 1 ? (
+          <Typography key={crumb.id || 'root'} color="text.primary" sx={{ display: 'flex', alignItems: 'center' }}>
+            {index === 0 && <HomeIcon fontSize="small" sx={{ mr: 0.5 }} />}
+            {crumb.name}
+          </Typography>
+        ) : (
+          <Link
+            key={crumb.id || 'root'}
+            component="button"
+            underline="hover"
+            color="inherit"
+            onClick={() => onNavigate(crumb.id)}
+            sx={{ display: 'flex', alignItems: 'center' }}
+          >
+            {index === 0 && <HomeIcon fontSize="small" sx={{ mr: 0.5 }} />}
+            {crumb.name}
+          </Link>
+        )
+      )}
+    </Breadcrumbs>
+  );
+};
+
+export default FolderBreadcrumbs;
@@ -0,0 +1,147 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Button,
+  Typography,
+  Alert,
+  CircularProgress,
+  Paper,
+  List,
+  ListItem,
+  ListItemText
+} from '@mui/material';
+import axios from 'axios';
+import { useAuth } from '../context/AuthContext';
+
+// Identity provider accounts linked for single sign-on: link and unlink.
+// Linking signs in at the provider and comes back through /oidc/callback.
+const LinkedAccounts = () => {
+  const [providers, setProviders] = useState([]);
+  const [identities, setIdentities] = useState(null);
+  const [hasPassword, setHasPassword] = useState(true);
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+  const { token, getSsoProviders, ssoLoginUrl } = useAuth();
+
+  const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3000';
+
+  const fetchIdentities = useCallback(async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/auth/oidc/identities`, {
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      });
+      setIdentities(response.data.identities);
+      setHasPassword(response.data.hasPassword);
+    } catch (err) {
+      setError('Failed to load linked accounts');
+      console.error('Error fetching linked accounts:', err);
+    }
+  }, [API_BASE_URL, token]);
+
+  useEffect(() => {
+    getSsoProviders().then(setProviders);
+    fetchIdentities();
+  }, [getSsoProviders, fetchIdentities]);
+
+  const handleLink = async (provider) => {
+    try {
+      setBusy(true);
+      const response = await axios.post(`${API_BASE_URL}/api/auth/oidc/${provider.id}/link`, {}, {
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      });
+      window.location.assign(`${ssoLoginUrl(provider.id)}?link=${encodeURIComponent(response.data.linkToken)}`);
+    } catch (err) {
+      setError(err.response?.data?.error || `Failed to link ${provider.name}`);
+      console.error('Error linking account:', err);
+      setBusy(false);
+    }
+  };
+
+  const handleUnlink = async (provider) => {
+    if (!window.confirm(`Unlink ${provider.name}? You will no longer be able to sign in with it.`)) {
+      return;
+    }
+
+    try {
+      setBusy(true);
+      await axios.delete(`${API_BASE_URL}/api/auth/oidc/${provider.id}/link`, {
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      });
+      fetchIdentities();
+    } catch (err) {
+      setError(err.response?.data?.error || `Failed to unlink ${provider.name}`);
+      console.error('Error unlinking account:', err);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Nothing to link without configured providers
+  if (providers.length === 0) {
+    return null;
+  }
+
+  return (
+    <Paper elevation={3} sx={{ padding: 4, mt: 3 }}>
+      <Typography variant="h5" component="h2" sx={{ mb: 1 }}>
+        Linked accounts
+      </Typography>
+      <Typography variant="body2" color="textSecondary">
+        Sign in with an account at one of these providers instead of your password.
+        Two-factor authentication still applies.
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mt: 2 }} onClose={() => setError('')}>
+          {error}
+        </Alert>
+      )}
+
+      {!identities ? (
+        <Box display="flex" justifyContent="center" p={4}>
+          <CircularProgress />
+        </Box>
+      ) : (
+        <List>
+          {providers.map(provider => {
+            const identity = identities.find(item => item.provider === provider.id);
+            return (
+              <ListItem
+                key={provider.id}
+                disableGutters
+                secondaryAction={identity ? (
+                  <Button
+                    color="error"
+                    onClick={() => handleUnlink(provider)}
+                    disabled={busy || (!hasPassword && identities.length === 1)}
+                  >
+                    Unlink
+                  </Button>
+                ) : (
+                  <Button variant="outlined" onClick={() => handleLink(provider)} disabled={busy}>
+                    Link
+                  </Button>
+                )}
+              >
+                <ListItemText
+                  primary={provider.name}
+                  secondary={identity
+                    ? `Linked on ${new Date(identity.linkedAt).toLocaleDateString()}`
+                    : 'Not linked'}
+                />
+              </ListItem>
+            );
+          })}
+        </List>
+      )}
+    </Paper>
+  );
+};
+
+export default LinkedAccounts;
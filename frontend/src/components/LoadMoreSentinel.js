@@ -0,0 +1,26 @@
+import React, { useEffect, useRef } from 'react';
+import { Box, CircularProgress } from '@mui/material';
+
+// Calls onVisible when scrolled into view, to load the next page of a list
+const LoadMoreSentinel = ({ onVisible, loading }) => {
+  const ref = useRef(null);
+
+  useEffect(() => {
+    if (loading || !ref.current) return undefined;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) onVisible();
+    }, { rootMargin: '200px' });
+    observer.observe(ref.current);
+
+    return () => observer.disconnect();
+  }, [onVisible, loading]);
+
+  return (
+    <Box ref={ref} display="flex" justifyContent="center" p={2}>
+      {loading && <CircularProgress size={24} />}
+    </Box>
+  );
+};
+
+export default LoadMoreSentinel;
@@ -0,0 +1,105 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  List,
+  ListItemButton,
+  ListItemIcon,
+  ListItemText,
+  Typography,
+  CircularProgress,
+  Box
+} from '@mui/material';
+import { Folder as FolderIcon } from '@mui/icons-material';
+import axios from 'axios';
+import { useAuth } from '../context/AuthContext';
+import FolderBreadcrumbs from './FolderBreadcrumbs';
+
+// Browse the folder tree and pick a destination; excludeFolderId hides a
+// folder being moved so it cannot be dropped into itself
+const MoveDialog = ({ open, title, excludeFolderId, onClose, onMove }) => {
+  const [folderId, setFolderId] = useState(null);
+  const [path, setPath] = useState([]);
+  const [folders, setFolders] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const { token } = useAuth();
+
+  const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3000';
+
+  const fetchFolders = useCallback(async (parentId) => {
+    const headers = { Authorization: `Bearer ${token}` };
+    try {
+      setLoading(true);
+      const [listResponse, folderResponse] = await Promise.all([
+        axios.get(`${API_BASE_URL}/api/folders`, {
+          headers,
+          params: { parentId: parentId || 'root' }
+        }),
+        parentId
+          ? axios.get(`${API_BASE_URL}/api/folders/${parentId}`, { headers })
+          : Promise.resolve(null)
+      ]);
+      setFolders(listResponse.data.folders);
+      setPath(folderResponse ? folderResponse.data.path : []);
+    } catch (err) {
+      console.error('Error fetching folders:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [API_BASE_URL, token]);
+
+  useEffect(() => {
+    if (open) {
+      setFolderId(null);
+      fetchFolders(null);
+    }
+  }, [open, fetchFolders]);
+
+  const navigate = (id) => {
+    setFolderId(id);
+    fetchFolders(id);
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="sm">
+      <DialogTitle>{title}</DialogTitle>
+      <DialogContent>
+        <FolderBreadcrumbs path={path} onNavigate={navigate} />
+        {loading ? (
+          <Box display="flex" justifyContent="center" p={2}>
+            <CircularProgress size={24} />
+          </Box>
+        ) : (
+          <List dense>
+            {folders
+              .filter((folder) => folder.id !== excludeFolderId)
+              .map((folder) => (
+                <ListItemButton key={folder.id} onClick={() => navigate(folder.id)}>
+                  <ListItemIcon>
+                    <FolderIcon />
+                  </ListItemIcon>
+                  <ListItemText primary={folder.name} />
+                </ListItemButton>
+              ))}
+            {folders.length === 0 && (
+              <Typography variant="body2" color="textSecondary" sx={{ p: 1 }}>
+                No subfolders
+              </Typography>
+            )}
+          </List>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button variant="contained" onClick={() => onMove(folderId)}>
+          Move Here
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default MoveDialog;
@@ -3,7 +3,8 @@ import { Navigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import { CircularProgress, Box } from '@mui/material';
 
-const PrivateRoute = ({ children }) => {
+// Signed-in users only; with a role, only users holding it
+const PrivateRoute = ({ children, role }) => {
   const { user, loading } = useAuth();
 
   if (loading) {
@@ -19,7 +20,11 @@ const PrivateRoute = ({ children }) => {
     );
   }
 
-  return user ? children : <Navigate to="/login" replace />;
+  if (!user) {
+    return <Navigate to="/login" replace />;
+  }
+
+  return !role || user.role === role ? children : <Navigate to="/dashboard" replace />;
 };
 
 export default PrivateRoute;
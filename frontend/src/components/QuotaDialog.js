@@ -0,0 +1,70 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  InputAdornment,
+  Typography
+} from '@mui/material';
+import { formatFileSize } from '../utils/format';
+
+const GB = 1024 * 1024 * 1024;
+
+// Set a user's storage quota in GB, or put them back on the default.
+// onSave receives the quota in bytes, or null for the default.
+const QuotaDialog = ({ open, user, onClose, onSave }) => {
+  const [gigabytes, setGigabytes] = useState('');
+
+  useEffect(() => {
+    if (open && user) {
+      setGigabytes(String(Math.round((user.storageQuota / GB) * 100) / 100));
+    }
+  }, [open, user]);
+
+  const value = Number(gigabytes);
+  const valid = gigabytes.trim() !== '' && Number.isFinite(value) && value >= 0;
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (valid) onSave(Math.round(value * GB));
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="xs">
+      <form onSubmit={handleSubmit}>
+        <DialogTitle>Storage quota for {user?.username}</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" color="textSecondary" sx={{ mb: 2 }}>
+            Currently {user && formatFileSize(user.storageQuota)}
+            {user?.quotaIsDefault ? ' (the default)' : ''}.
+          </Typography>
+          <TextField
+            autoFocus
+            fullWidth
+            type="number"
+            label="Quota"
+            value={gigabytes}
+            onChange={(e) => setGigabytes(e.target.value)}
+            error={gigabytes !== '' && !valid}
+            inputProps={{ min: 0, step: 'any' }}
+            InputProps={{ endAdornment: <InputAdornment position="end">GB</InputAdornment> }}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => onSave(null)} disabled={user?.quotaIsDefault} sx={{ mr: 'auto' }}>
+            Reset to default
+          </Button>
+          <Button onClick={onClose}>Cancel</Button>
+          <Button type="submit" variant="contained" disabled={!valid}>
+            Save
+          </Button>
+        </DialogActions>
+      </form>
+    </Dialog>
+  );
+};
+
+export default QuotaDialog;
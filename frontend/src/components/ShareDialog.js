@@ -0,0 +1,262 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  IconButton,
+  Chip,
+  TextField,
+  MenuItem,
+  Box,
+  Alert,
+  CircularProgress,
+  Tooltip,
+  Typography
+} from '@mui/material';
+import {
+  ContentCopy as CopyIcon,
+  LinkOff as RevokeIcon,
+  Lock as LockIcon
+} from '@mui/icons-material';
+import axios from 'axios';
+import { useAuth } from '../context/AuthContext';
+
+const EXPIRY_OPTIONS = [
+  { label: 'Never', hours: '' },
+  { label: '1 hour', hours: 1 },
+  { label: '1 day', hours: 24 },
+  { label: '7 days', hours: 24 * 7 },
+  { label: '30 days', hours: 24 * 30 }
+];
+
+const STATUS_COLORS = {
+  active: 'success',
+  expired: 'default',
+  exhausted: 'default',
+  revoked: 'error'
+};
+
+const getShareUrl = (link) => `${window.location.origin}/s/${link.token}`;
+
+const ShareDialog = ({ open, file, onClose }) => {
+  const [links, setLinks] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [copiedId, setCopiedId] = useState(null);
+  const [expiresInHours, setExpiresInHours] = useState(24 * 7);
+  const [password, setPassword] = useState('');
+  const [maxDownloads, setMaxDownloads] = useState('');
+  const { token } = useAuth();
+
+  const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3000';
+
+  const fetchLinks = useCallback(async () => {
+    if (!file) return;
+
+    try {
+      setLoading(true);
+      const response = await axios.get(`${API_BASE_URL}/api/files/${file.id}/links`, {
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      });
+      setLinks(response.data.links);
+      setError('');
+    } catch (err) {
+      setError('Failed to load share links');
+      console.error('Error fetching share links:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [API_BASE_URL, file, token]);
+
+  useEffect(() => {
+    if (open) {
+      setPassword('');
+      setMaxDownloads('');
+      setCopiedId(null);
+      fetchLinks();
+    }
+  }, [open, fetchLinks]);
+
+  const handleCopy = async (link) => {
+    try {
+      await navigator.clipboard.writeText(getShareUrl(link));
+      setCopiedId(link.id);
+    } catch (err) {
+      setError('Failed to copy link');
+    }
+  };
+
+  const handleCreate = async () => {
+    try {
+      const response = await axios.post(
+        `${API_BASE_URL}/api/files/${file.id}/links`,
+        {
+          expiresInHours: expiresInHours || null,
+          password: password || null,
+          maxDownloads: maxDownloads ? parseInt(maxDownloads, 10) : null
+        },
+        {
+          headers: {
+            Authorization: `Bearer ${token}`
+          }
+        }
+      );
+      setPassword('');
+      setMaxDownloads('');
+      await fetchLinks();
+      handleCopy(response.data.link);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to create share link');
+      console.error('Error creating share link:', err);
+    }
+  };
+
+  const handleRevoke = async (link) => {
+    if (!window.confirm('Revoke this link? Anyone using it will lose access.')) {
+      return;
+    }
+
+    try {
+      await axios.delete(`${API_BASE_URL}/api/files/${file.id}/links/${link.id}`, {
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      });
+      await fetchLinks();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to revoke share link');
+      console.error('Error revoking share link:', err);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="md">
+      <DialogTitle>Share{file ? ` — ${file.filename}` : ''}</DialogTitle>
+      <DialogContent>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
+            {error}
+          </Alert>
+        )}
+        <Box display="flex" gap={1} alignItems="center" sx={{ mt: 1, mb: 2 }}>
+          <TextField
+            select
+            size="small"
+            label="Expires"
+            value={expiresInHours}
+            onChange={(e) => setExpiresInHours(e.target.value)}
+            sx={{ width: 130 }}
+          >
+            {EXPIRY_OPTIONS.map((option) => (
+              <MenuItem key={option.label} value={option.hours}>
+                {option.label}
+              </MenuItem>
+            ))}
+          </TextField>
+          <TextField
+            type="password"
+            size="small"
+            label="Password (optional)"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+          />
+          <TextField
+            type="number"
+            size="small"
+            label="Max downloads"
+            value={maxDownloads}
+            onChange={(e) => setMaxDownloads(e.target.value)}
+            inputProps={{ min: 1 }}
+            sx={{ width: 140 }}
+          />
+          <Button variant="contained" onClick={handleCreate}>
+            Create Link
+          </Button>
+        </Box>
+        {loading ? (
+          <Box display="flex" justifyContent="center" p={2}>
+            <CircularProgress size={24} />
+          </Box>
+        ) : links.length === 0 ? (
+          <Typography color="text.secondary" align="center" sx={{ py: 2 }}>
+            No share links yet
+          </Typography>
+        ) : (
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Created</TableCell>
+                <TableCell>Expires</TableCell>
+                <TableCell>Downloads</TableCell>
+                <TableCell>Status</TableCell>
+                <TableCell align="right">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {links.map((link) => (
+                <TableRow key={link.id}>
+                  <TableCell>
+                    {new Date(link.createdAt).toLocaleString()}
+                    {link.requiresPassword && (
+                      <Tooltip title="Password protected">
+                        <LockIcon fontSize="small" sx={{ ml: 1, verticalAlign: 'middle' }} />
+                      </Tooltip>
+                    )}
+                  </TableCell>
+                  <TableCell>
+                    {link.expiresAt ? new Date(link.expiresAt).toLocaleString() : 'Never'}
+                  </TableCell>
+                  <TableCell>
+                    {link.downloadCount}
+                    {link.maxDownloads !== null && ` / ${link.maxDownloads}`}
+                  </TableCell>
+                  <TableCell>
+                    <Chip label={link.status} size="small" color={STATUS_COLORS[link.status]} />
+                  </TableCell>
+                  <TableCell align="right">
+                    <Tooltip title={copiedId === link.id ? 'Copied' : 'Copy link'}>
+                      <span>
+                        <IconButton
+                          color="primary"
+                          disabled={link.status !== 'active'}
+                          onClick={() => handleCopy(link)}
+                        >
+                          <CopyIcon />
+                        </IconButton>
+                      </span>
+                    </Tooltip>
+                    <Tooltip title="Revoke">
+                      <span>
+                        <IconButton
+                          color="error"
+                          disabled={Boolean(link.revokedAt)}
+                          onClick={() => handleRevoke(link)}
+                        >
+                          <RevokeIcon />
+                        </IconButton>
+                      </span>
+                    </Tooltip>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ShareDialog;
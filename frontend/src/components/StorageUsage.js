@@ -0,0 +1,69 @@
+import React, { useState, useEffect } from 'react';
+import { Box, LinearProgress, Typography, Alert, Tooltip } from '@mui/material';
+import axios from 'axios';
+import { useAuth } from '../context/AuthContext';
+import { formatFileSize } from '../utils/format';
+
+const WARNING_RATIO = 0.8;
+const CRITICAL_RATIO = 0.95;
+
+// Storage used against the user's quota; reloads whenever refreshKey changes
+const StorageUsage = ({ refreshKey }) => {
+  const [usage, setUsage] = useState(null);
+  const { token } = useAuth();
+
+  const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3000';
+
+  useEffect(() => {
+    const fetchUsage = async () => {
+      try {
+        const response = await axios.get(`${API_BASE_URL}/api/files/usage`, {
+          headers: {
+            Authorization: `Bearer ${token}`
+          }
+        });
+        setUsage(response.data);
+      } catch (err) {
+        console.error('Error fetching storage usage:', err);
+      }
+    };
+
+    fetchUsage();
+  }, [API_BASE_URL, token, refreshKey]);
+
+  if (!usage) return null;
+
+  const ratio = usage.quota > 0 ? Math.min(1, usage.used / usage.quota) : 1;
+  const color = ratio >= CRITICAL_RATIO ? 'error' : ratio >= WARNING_RATIO ? 'warning' : 'primary';
+  const breakdown = usage.breakdown
+    .slice(0, 5)
+    .map((group) => `${group.mimeType}: ${formatFileSize(group.bytes)}`)
+    .join(', ');
+
+  return (
+    <Box sx={{ mb: 3 }}>
+      <Tooltip title={breakdown || 'No files stored yet'}>
+        <Box>
+          <Box display="flex" justifyContent="space-between" sx={{ mb: 0.5 }}>
+            <Typography variant="body2" color="textSecondary">
+              {formatFileSize(usage.used)} of {formatFileSize(usage.quota)} used
+            </Typography>
+            <Typography variant="body2" color="textSecondary">
+              {formatFileSize(usage.available)} available
+            </Typography>
+          </Box>
+          <LinearProgress variant="determinate" value={ratio * 100} color={color} />
+        </Box>
+      </Tooltip>
+      {ratio >= WARNING_RATIO && (
+        <Alert severity={color === 'error' ? 'error' : 'warning'} sx={{ mt: 1 }}>
+          {ratio >= 1
+            ? 'Your storage is full. Delete files or old versions to upload more.'
+            : `You have used ${Math.round(ratio * 100)}% of your storage.`}
+        </Alert>
+      )}
+    </Box>
+  );
+};
+
+export default StorageUsage;
@@ -0,0 +1,112 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  Autocomplete,
+  Chip,
+  Box,
+  IconButton,
+  Typography
+} from '@mui/material';
+import { Add as AddIcon, Close as RemoveIcon } from '@mui/icons-material';
+import { useTagOptions } from '../utils/tags';
+
+const toRows = (metadata) => Object.entries(metadata || {}).map(([key, value]) => ({ key, value }));
+
+// Edit a file's tags and key/value metadata
+const TagsDialog = ({ open, file, onClose, onSave }) => {
+  const [tags, setTags] = useState([]);
+  const [rows, setRows] = useState([]);
+  const { options, loadOptions } = useTagOptions();
+
+  useEffect(() => {
+    if (open && file) {
+      setTags(file.tags || []);
+      setRows(toRows(file.metadata));
+      loadOptions();
+    }
+  }, [open, file, loadOptions]);
+
+  const updateRow = (index, changes) => {
+    setRows(rows.map((row, i) => (i === index ? { ...row, ...changes } : row)));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const metadata = {};
+    rows.forEach(({ key, value }) => {
+      if (key.trim()) metadata[key.trim()] = value;
+    });
+    onSave({ tags, metadata });
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="sm">
+      <form onSubmit={handleSubmit}>
+        <DialogTitle>Tags and metadata for "{file?.filename}"</DialogTitle>
+        <DialogContent>
+          <Autocomplete
+            multiple
+            freeSolo
+            options={options.filter(option => !tags.includes(option))}
+            value={tags}
+            onChange={(e, value) => setTags([...new Set(value.map(tag => tag.trim().toLowerCase()).filter(Boolean))])}
+            renderTags={(value, getTagProps) => value.map((tag, index) => (
+              <Chip label={tag} size="small" {...getTagProps({ index })} />
+            ))}
+            renderInput={(params) => (
+              <TextField {...params} margin="dense" label="Tags" placeholder="Type a tag and press Enter" />
+            )}
+          />
+
+          <Typography variant="subtitle2" sx={{ mt: 3, mb: 1 }}>
+            Metadata
+          </Typography>
+          {rows.length === 0 && (
+            <Typography variant="body2" color="textSecondary">
+              No metadata yet, e.g. a project or customer ID.
+            </Typography>
+          )}
+          {rows.map((row, index) => (
+            <Box key={index} sx={{ display: 'flex', gap: 1, mb: 1 }}>
+              <TextField
+                size="small"
+                label="Key"
+                value={row.key}
+                onChange={(e) => updateRow(index, { key: e.target.value })}
+                inputProps={{ maxLength: 64 }}
+                sx={{ flex: 1 }}
+              />
+              <TextField
+                size="small"
+                label="Value"
+                value={row.value}
+                onChange={(e) => updateRow(index, { value: e.target.value })}
+                inputProps={{ maxLength: 1024 }}
+                sx={{ flex: 2 }}
+              />
+              <IconButton onClick={() => setRows(rows.filter((_, i) => i !== index))}>
+                <RemoveIcon />
+              </IconButton>
+            </Box>
+          ))}
+          <Button startIcon={<AddIcon />} onClick={() => setRows([...rows, { key: '', value: '' }])}>
+            Add field
+          </Button>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={onClose}>Cancel</Button>
+          <Button type="submit" variant="contained">
+            Save
+          </Button>
+        </DialogActions>
+      </form>
+    </Dialog>
+  );
+};
+
+export default TagsDialog;
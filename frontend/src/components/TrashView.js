@@ -0,0 +1,186 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Button,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  IconButton,
+  Alert,
+  CircularProgress,
+  Typography,
+  Tooltip
+} from '@mui/material';
+import {
+  RestoreFromTrash as RestoreIcon,
+  DeleteForever as DeleteForeverIcon
+} from '@mui/icons-material';
+import axios from 'axios';
+import { useAuth } from '../context/AuthContext';
+import { formatFileSize } from '../utils/format';
+
+// Deleted files, which can be restored until they are purged
+const TrashView = ({ onChanged }) => {
+  const [files, setFiles] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const { token } = useAuth();
+
+  const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3000';
+
+  const fetchTrash = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get(`${API_BASE_URL}/api/files/trash`, {
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      });
+      setFiles(response.data.files);
+      setError('');
+    } catch (err) {
+      setError('Failed to load trash');
+      console.error('Error fetching trash:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [API_BASE_URL, token]);
+
+  useEffect(() => {
+    fetchTrash();
+  }, [fetchTrash]);
+
+  const handleRestore = async (file) => {
+    try {
+      await axios.post(`${API_BASE_URL}/api/files/trash/${file.id}/restore`, null, {
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      });
+      await fetchTrash();
+      onChanged?.();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to restore file');
+      console.error('Error restoring file:', err);
+    }
+  };
+
+  const handleDeleteForever = async (file) => {
+    if (!window.confirm(`Permanently delete "${file.filename}"? This cannot be undone.`)) {
+      return;
+    }
+
+    try {
+      await axios.delete(`${API_BASE_URL}/api/files/trash/${file.id}`, {
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      });
+      await fetchTrash();
+      onChanged?.();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to delete file');
+      console.error('Error deleting file:', err);
+    }
+  };
+
+  const handleEmptyTrash = async () => {
+    if (!window.confirm('Permanently delete everything in the trash? This cannot be undone.')) {
+      return;
+    }
+
+    try {
+      await axios.delete(`${API_BASE_URL}/api/files/trash`, {
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      });
+      await fetchTrash();
+      onChanged?.();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to empty trash');
+      console.error('Error emptying trash:', err);
+    }
+  };
+
+  return (
+    <>
+      <Box display="flex" justifyContent="space-between" alignItems="center" sx={{ mb: 2 }}>
+        <Typography variant="body2" color="textSecondary">
+          Files in the trash are deleted permanently once their purge date passes.
+        </Typography>
+        <Button
+          color="error"
+          startIcon={<DeleteForeverIcon />}
+          onClick={handleEmptyTrash}
+          disabled={files.length === 0}
+        >
+          Empty Trash
+        </Button>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
+          {error}
+        </Alert>
+      )}
+
+      {loading ? (
+        <Box display="flex" justifyContent="center" p={4}>
+          <CircularProgress />
+        </Box>
+      ) : (
+        <TableContainer>
+          <Table>
+            <TableHead>
+              <TableRow>
+                <TableCell>Filename</TableCell>
+                <TableCell>Size</TableCell>
+                <TableCell>Deleted At</TableCell>
+                <TableCell>Purged On</TableCell>
+                <TableCell align="right">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {files.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={5} align="center">
+                    <Typography variant="body1" color="textSecondary">
+                      The trash is empty.
+                    </Typography>
+                  </TableCell>
+                </TableRow>
+              ) : (
+                files.map((file) => (
+                  <TableRow key={file.id}>
+                    <TableCell>{file.filename}</TableCell>
+                    <TableCell>{formatFileSize(file.size)}</TableCell>
+                    <TableCell>{new Date(file.deletedAt).toLocaleString()}</TableCell>
+                    <TableCell>{new Date(file.purgeAt).toLocaleDateString()}</TableCell>
+                    <TableCell align="right">
+                      <Tooltip title="Restore">
+                        <IconButton color="primary" onClick={() => handleRestore(file)}>
+                          <RestoreIcon />
+                        </IconButton>
+                      </Tooltip>
+                      <Tooltip title="Delete forever">
+                        <IconButton color="error" onClick={() => handleDeleteForever(file)}>
+                          <DeleteForeverIcon />
+                        </IconButton>
+                      </Tooltip>
+                    </TableCell>
+                  </TableRow>
+                ))
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+    </>
+  );
+};
+
+export default TrashView;
@@ -0,0 +1,194 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  IconButton,
+  Chip,
+  Box,
+  Alert,
+  CircularProgress,
+  LinearProgress,
+  Typography,
+  Tooltip
+} from '@mui/material';
+import { DeleteForever as DeleteForeverIcon } from '@mui/icons-material';
+import axios from 'axios';
+import { useAuth } from '../context/AuthContext';
+import { formatFileSize } from '../utils/format';
+import LoadMoreSentinel from './LoadMoreSentinel';
+
+// A user's storage usage and files, including those in their trash, with
+// permanent deletion for admins
+const UserFilesDialog = ({ open, user, onClose, onChanged }) => {
+  const [usage, setUsage] = useState(null);
+  const [files, setFiles] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState('');
+  const { token } = useAuth();
+
+  const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3000';
+
+  const fetchFiles = useCallback((cursor) => axios.get(`${API_BASE_URL}/api/admin/users/${user.id}/files`, {
+    headers: {
+      Authorization: `Bearer ${token}`
+    },
+    params: cursor ? { cursor } : {}
+  }), [API_BASE_URL, token, user]);
+
+  const fetchAll = useCallback(async () => {
+    if (!user) return;
+
+    try {
+      setLoading(true);
+      const [usageResponse, filesResponse] = await Promise.all([
+        axios.get(`${API_BASE_URL}/api/admin/users/${user.id}/storage`, {
+          headers: {
+            Authorization: `Bearer ${token}`
+          }
+        }),
+        fetchFiles(null)
+      ]);
+      setUsage(usageResponse.data);
+      setFiles(filesResponse.data.files);
+      setNextCursor(filesResponse.data.nextCursor);
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load storage');
+      console.error('Error fetching user storage:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [API_BASE_URL, token, user, fetchFiles]);
+
+  useEffect(() => {
+    if (open) {
+      setUsage(null);
+      setFiles([]);
+      fetchAll();
+    }
+  }, [open, fetchAll]);
+
+  const loadMore = async () => {
+    if (!nextCursor || loadingMore) return;
+
+    try {
+      setLoadingMore(true);
+      const response = await fetchFiles(nextCursor);
+      setFiles(previous => [...previous, ...response.data.files]);
+      setNextCursor(response.data.nextCursor);
+    } catch (err) {
+      setError('Failed to load more files');
+      console.error('Error fetching user files:', err);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const handleDelete = async (file) => {
+    if (!window.confirm(`Permanently delete "${file.filename}" from ${user.username}'s storage? This cannot be undone.`)) {
+      return;
+    }
+
+    try {
+      await axios.delete(`${API_BASE_URL}/api/admin/files/${file.id}`, {
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      });
+      fetchAll();
+      if (onChanged) onChanged();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to delete file');
+      console.error('Error deleting file:', err);
+    }
+  };
+
+  const ratio = usage && usage.quota > 0 ? Math.min(1, usage.used / usage.quota) : 0;
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="md">
+      <DialogTitle>Storage of {user?.username}</DialogTitle>
+      <DialogContent>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
+            {error}
+          </Alert>
+        )}
+
+        {usage && (
+          <Box sx={{ mb: 2 }}>
+            <Typography variant="body2" color="textSecondary" sx={{ mb: 0.5 }}>
+              {formatFileSize(usage.used)} of {formatFileSize(usage.quota)} used
+              {usage.reserved > 0 && `, ${formatFileSize(usage.reserved)} reserved by uploads in progress`}
+            </Typography>
+            <LinearProgress variant="determinate" value={ratio * 100} />
+          </Box>
+        )}
+
+        {loading ? (
+          <Box display="flex" justifyContent="center" p={4}>
+            <CircularProgress />
+          </Box>
+        ) : (
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Name</TableCell>
+                <TableCell>Size</TableCell>
+                <TableCell>Uploaded</TableCell>
+                <TableCell align="right">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {files.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={4} align="center">
+                    <Typography variant="body2" color="textSecondary">
+                      No files stored.
+                    </Typography>
+                  </TableCell>
+                </TableRow>
+              ) : (
+                files.map((file) => (
+                  <TableRow key={file.id}>
+                    <TableCell>
+                      {file.filename}
+                      {file.deletedAt && <Chip label="In trash" size="small" sx={{ ml: 1 }} />}
+                    </TableCell>
+                    <TableCell>{formatFileSize(file.size)}</TableCell>
+                    <TableCell>{new Date(file.uploadedAt).toLocaleString()}</TableCell>
+                    <TableCell align="right">
+                      <Tooltip title="Delete permanently">
+                        <IconButton color="error" onClick={() => handleDelete(file)}>
+                          <DeleteForeverIcon />
+                        </IconButton>
+                      </Tooltip>
+                    </TableCell>
+                  </TableRow>
+                ))
+              )}
+            </TableBody>
+          </Table>
+        )}
+        {!loading && nextCursor && (
+          <LoadMoreSentinel onVisible={loadMore} loading={loadingMore} />
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default UserFilesDialog;
@@ -0,0 +1,194 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  IconButton,
+  Chip,
+  TextField,
+  Box,
+  Alert,
+  CircularProgress,
+  Tooltip
+} from '@mui/material';
+import {
+  Download as DownloadIcon,
+  Restore as RestoreIcon
+} from '@mui/icons-material';
+import axios from 'axios';
+import { useAuth } from '../context/AuthContext';
+import { formatFileSize } from '../utils/format';
+import { hasRole } from '../utils/roles';
+import { downloadFile } from '../utils/download';
+
+const VersionHistoryDialog = ({ open, file, role = 'owner', onClose, onChanged }) => {
+  const [versions, setVersions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [keep, setKeep] = useState(5);
+  const { token } = useAuth();
+
+  const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3000';
+
+  const fetchVersions = useCallback(async () => {
+    if (!file) return;
+
+    try {
+      setLoading(true);
+      const response = await axios.get(`${API_BASE_URL}/api/files/${file.id}/versions`, {
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      });
+      setVersions(response.data.versions);
+      setError('');
+    } catch (err) {
+      setError('Failed to load version history');
+      console.error('Error fetching versions:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [API_BASE_URL, file, token]);
+
+  useEffect(() => {
+    if (open) {
+      fetchVersions();
+    }
+  }, [open, fetchVersions]);
+
+  const handleDownload = async (version) => {
+    try {
+      await downloadFile({ baseUrl: API_BASE_URL, token, fileId: file.id, version });
+    } catch (err) {
+      setError('Failed to download version');
+      console.error('Error downloading version:', err);
+    }
+  };
+
+  const handleRestore = async (version) => {
+    try {
+      await axios.post(
+        `${API_BASE_URL}/api/files/${file.id}/versions/${version}/restore`,
+        null,
+        {
+          headers: {
+            Authorization: `Bearer ${token}`
+          }
+        }
+      );
+      await fetchVersions();
+      onChanged();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to restore version');
+      console.error('Error restoring version:', err);
+    }
+  };
+
+  const handlePrune = async () => {
+    if (!window.confirm(`Delete all but the ${keep} most recent versions?`)) {
+      return;
+    }
+
+    try {
+      await axios.post(
+        `${API_BASE_URL}/api/files/${file.id}/versions/prune`,
+        { keep },
+        {
+          headers: {
+            Authorization: `Bearer ${token}`
+          }
+        }
+      );
+      await fetchVersions();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to prune versions');
+      console.error('Error pruning versions:', err);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="md">
+      <DialogTitle>Version History{file ? ` — ${file.filename}` : ''}</DialogTitle>
+      <DialogContent>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
+            {error}
+          </Alert>
+        )}
+        {loading ? (
+          <Box display="flex" justifyContent="center" p={2}>
+            <CircularProgress size={24} />
+          </Box>
+        ) : (
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Version</TableCell>
+                <TableCell>Size</TableCell>
+                <TableCell>Uploaded At</TableCell>
+                <TableCell align="right">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {versions.map((version) => (
+                <TableRow key={version.version}>
+                  <TableCell>
+                    v{version.version}
+                    {version.current && <Chip label="Current" size="small" color="primary" sx={{ ml: 1 }} />}
+                    {version.restoredFrom && (
+                      <Chip label={`Restored from v${version.restoredFrom}`} size="small" sx={{ ml: 1 }} />
+                    )}
+                  </TableCell>
+                  <TableCell>{formatFileSize(version.size)}</TableCell>
+                  <TableCell>{new Date(version.uploadedAt).toLocaleString()}</TableCell>
+                  <TableCell align="right">
+                    <Tooltip title="Download">
+                      <IconButton color="primary" onClick={() => handleDownload(version.version)}>
+                        <DownloadIcon />
+                      </IconButton>
+                    </Tooltip>
+                    <Tooltip title="Restore as current">
+                      <span>
+                        <IconButton
+                          disabled={version.current || !hasRole(role, 'editor')}
+                          onClick={() => handleRestore(version.version)}
+                        >
+                          <RestoreIcon />
+                        </IconButton>
+                      </span>
+                    </Tooltip>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+      </DialogContent>
+      <DialogActions sx={{ justifyContent: 'space-between', px: 3 }}>
+        <Box display="flex" alignItems="center" visibility={hasRole(role, 'owner') ? 'visible' : 'hidden'}>
+          <TextField
+            type="number"
+            size="small"
+            label="Keep latest"
+            value={keep}
+            onChange={(e) => setKeep(Math.max(1, parseInt(e.target.value, 10) || 1))}
+            sx={{ width: 120, mr: 1 }}
+          />
+          <Button onClick={handlePrune} disabled={versions.length <= keep}>
+            Prune Older Versions
+          </Button>
+        </Box>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default VersionHistoryDialog;
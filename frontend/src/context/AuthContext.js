@@ -1,4 +1,4 @@
-import React, { createContext, useState, useContext, useEffect } from 'react';
+import React, { createContext, useState, useContext, useEffect, useRef, useCallback } from 'react';
 import axios from 'axios';
 
 const AuthContext = createContext();
@@ -15,8 +15,105 @@ export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
   const [token, setToken] = useState(localStorage.getItem('token'));
+  // In-flight refresh, shared by every request that failed at the same time
+  const refreshRef = useRef(null);
 
-  const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+  // Through the gateway like every other request, so that logging out revokes
+  // the access token there and sign-ins are recorded
+  const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3000';
+
+  const saveSession = useCallback(({ token: newToken, refreshToken }) => {
+    localStorage.setItem('token', newToken);
+    localStorage.setItem('refreshToken', refreshToken);
+    setToken(newToken);
+  }, []);
+
+  const clearSession = useCallback(() => {
+    localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
+    setToken(null);
+    setUser(null);
+  }, []);
+
+  // The current access token, for long-running work (e.g. uploads) that must
+  // not keep using one that has since been refreshed
+  const getToken = useCallback(() => localStorage.getItem('token'), []);
+
+  // Swap the refresh token for a new pair and resolve to the new access token.
+  // Callers that fail at the same time share one refresh; if it fails, the
+  // session ends. Tabs take turns through a Web Lock, and a tab that finds
+  // the access token already replaced (by another tab) uses the new one.
+  const refreshSession = useCallback((staleToken) => {
+    const refresh = async () => {
+      const storedToken = localStorage.getItem('token');
+      if (staleToken && storedToken && storedToken !== staleToken) {
+        setToken(storedToken);
+        return storedToken;
+      }
+
+      const refreshToken = localStorage.getItem('refreshToken');
+      if (!refreshToken) {
+        throw new Error('No refresh token');
+      }
+
+      const response = await axios.post(`${API_BASE_URL}/api/auth/refresh`, { refreshToken });
+      saveSession(response.data);
+      return response.data.token;
+    };
+
+    if (!refreshRef.current) {
+      refreshRef.current = (navigator.locks ? navigator.locks.request('auth-refresh', refresh) : refresh())
+        .catch((error) => {
+          clearSession();
+          throw error;
+        })
+        .finally(() => {
+          refreshRef.current = null;
+        });
+    }
+    return refreshRef.current;
+  }, [API_BASE_URL, saveSession, clearSession]);
+
+  // Access tokens are short-lived: when an authenticated request is rejected,
+  // refresh the session and retry the request once
+  useEffect(() => {
+    const interceptor = axios.interceptors.response.use(
+      (response) => response,
+      async (error) => {
+        const { config, response } = error;
+        if (response?.status !== 401 || !config?.headers?.Authorization || config.skipAuthRefresh) {
+          return Promise.reject(error);
+        }
+
+        try {
+          const newToken = await refreshSession(config.headers.Authorization.split(' ')[1]);
+
+          config.headers.Authorization = `Bearer ${newToken}`;
+          return axios({ ...config, skipAuthRefresh: true });
+        } catch (refreshError) {
+          return Promise.reject(error);
+        }
+      }
+    );
+
+    return () => axios.interceptors.response.eject(interceptor);
+  }, [refreshSession]);
+
+  // Follow sign-ins, refreshes and sign-outs made in other tabs
+  useEffect(() => {
+    const handleStorage = (event) => {
+      if (event.key !== 'token') return;
+      if (event.newValue) {
+        setToken(event.newValue);
+      } else {
+        setToken(null);
+        setUser(null);
+      }
+    };
+
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  }, []);
 
   useEffect(() => {
     if (token) {
@@ -35,25 +132,50 @@ export const AuthProvider = ({ children }) => {
       });
       setUser(response.data.user);
     } catch (error) {
-      localStorage.removeItem('token');
-      setToken(null);
-      setUser(null);
+      clearSession();
     } finally {
       setLoading(false);
     }
   };
 
+  // Accounts with two-factor authentication get { twoFactorRequired, challengeToken }
+  // back instead of a session, to finish with completeTwoFactorLogin
   const login = async (email, password) => {
     try {
       const response = await axios.post(`${API_BASE_URL}/api/auth/login`, {
         email,
         password
       });
-      const { token: newToken, user: userData } = response.data;
-      localStorage.setItem('token', newToken);
-      setToken(newToken);
-      setUser(userData);
+      if (response.data.twoFactorRequired) {
+        return {
+          success: false,
+          twoFactorRequired: true,
+          challengeToken: response.data.challengeToken
+        };
+      }
+      saveSession(response.data);
+      setUser(response.data.user);
       return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.error || 'Login failed',
+        // false when the account is waiting for its email to be confirmed
+        emailVerified: error.response?.data?.emailVerified
+      };
+    }
+  };
+
+  // Second login step, with a code from the authenticator app or a recovery code
+  const completeTwoFactorLogin = async (challengeToken, code) => {
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/auth/login/2fa`, {
+        challengeToken,
+        code
+      });
+      saveSession(response.data);
+      setUser(response.data.user);
+      return { success: true, recoveryCodesRemaining: response.data.recoveryCodesRemaining };
     } catch (error) {
       return {
         success: false,
@@ -62,6 +184,44 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Single sign-on: identity providers offered by the auth service
+  const getSsoProviders = useCallback(async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/auth/oidc/providers`);
+      return response.data.providers;
+    } catch (error) {
+      console.error('Error fetching sign-in providers:', error);
+      return [];
+    }
+  }, [API_BASE_URL]);
+
+  // Where the browser goes to sign in with a provider; it comes back to
+  // /oidc/callback with a code for completeSsoLogin
+  const ssoLoginUrl = (providerId) => `${API_BASE_URL}/api/auth/oidc/${providerId}/login`;
+
+  // Like login, this may return { twoFactorRequired, challengeToken }
+  const completeSsoLogin = async (code) => {
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/auth/oidc/exchange`, { code });
+      if (response.data.twoFactorRequired) {
+        return {
+          success: false,
+          twoFactorRequired: true,
+          challengeToken: response.data.challengeToken
+        };
+      }
+      saveSession(response.data);
+      setUser(response.data.user);
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.error || 'Login failed'
+      };
+    }
+  };
+
+  // New accounts sign in once they have confirmed their email address
   const register = async (username, email, password) => {
     try {
       const response = await axios.post(`${API_BASE_URL}/api/auth/register`, {
@@ -69,11 +229,7 @@ export const AuthProvider = ({ children }) => {
         email,
         password
       });
-      const { token: newToken, user: userData } = response.data;
-      localStorage.setItem('token', newToken);
-      setToken(newToken);
-      setUser(userData);
-      return { success: true };
+      return { success: true, message: response.data.message };
     } catch (error) {
       return {
         success: false,
@@ -82,18 +238,68 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  const logout = () => {
-    localStorage.removeItem('token');
-    setToken(null);
-    setUser(null);
+  // Signed-out account requests: confirming an email address and resetting a
+  // password. Each resolves to { success, message } or { success, error }.
+  const accountRequest = async (path, body, fallbackError) => {
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/auth/${path}`, body);
+      return { success: true, message: response.data.message };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.error || fallbackError
+      };
+    }
+  };
+
+  const verifyEmail = (verificationToken) =>
+    accountRequest('verify-email', { token: verificationToken }, 'Failed to verify email address');
+
+  const resendVerification = (email) =>
+    accountRequest('resend-verification', { email }, 'Failed to send confirmation email');
+
+  const requestPasswordReset = (email) =>
+    accountRequest('forgot-password', { email }, 'Failed to send reset email');
+
+  const resetPassword = (resetToken, password) =>
+    accountRequest('reset-password', { token: resetToken, password }, 'Failed to reset password');
+
+  // Revoke the session server-side; the local session ends even if that fails
+  const logout = async () => {
+    try {
+      await axios.post(
+        `${API_BASE_URL}/api/auth/logout`,
+        { refreshToken: localStorage.getItem('refreshToken') },
+        {
+          headers: {
+            Authorization: `Bearer ${token}`
+          },
+          skipAuthRefresh: true
+        }
+      );
+    } catch (error) {
+      console.error('Logout error:', error);
+    } finally {
+      clearSession();
+    }
   };
 
   const value = {
     user,
     token,
+    getToken,
     login,
+    completeTwoFactorLogin,
+    getSsoProviders,
+    ssoLoginUrl,
+    completeSsoLogin,
     register,
+    verifyEmail,
+    resendVerification,
+    requestPasswordReset,
+    resetPassword,
     logout,
+    refreshSession,
     loading
   };
 
@@ -0,0 +1,335 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  Container,
+  Paper,
+  Typography,
+  Box,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  IconButton,
+  Alert,
+  CircularProgress,
+  AppBar,
+  Toolbar,
+  Tabs,
+  Tab,
+  TextField,
+  MenuItem,
+  Chip
+} from '@mui/material';
+import { ArrowBack as BackIcon } from '@mui/icons-material';
+import axios from 'axios';
+import { useAuth } from '../context/AuthContext';
+import { formatFileSize } from '../utils/format';
+import LoadMoreSentinel from '../components/LoadMoreSentinel';
+
+const FILTER_DELAY = 300;
+
+const ACTION_OPTIONS = [
+  { value: '', label: 'All activity' },
+  { value: 'USER_LOGIN_ATTEMPT', label: 'Sign-ins' },
+  { value: 'USER_REGISTERED', label: 'Registrations' },
+  { value: 'USER_EMAIL_VERIFIED,USER_PASSWORD_RESET', label: 'Email and password' },
+  { value: 'USER_2FA_ENABLED,USER_2FA_DISABLED,USER_RECOVERY_CODES_REGENERATED', label: 'Two-factor authentication' },
+  { value: 'USER_ACCESS_TOKEN_CREATED,USER_ACCESS_TOKEN_REVOKED', label: 'Access tokens' },
+  { value: 'FILE_UPLOADED', label: 'Uploads' },
+  { value: 'FILE_DELETED', label: 'Deletions' },
+  { value: 'SHARE_RECEIVED', label: 'Shares' },
+  { value: 'QUOTA_WARNING', label: 'Storage warnings' },
+  { value: 'USER_SUSPENDED,USER_REACTIVATED,USER_QUOTA_CHANGED,USER_ROLE_CHANGED', label: 'Account administration' }
+];
+
+const RESULT_OPTIONS = [
+  { value: '', label: 'Any result' },
+  { value: 'success', label: 'Succeeded' },
+  { value: 'failure', label: 'Failed' }
+];
+
+const EMPTY_FILTERS = { action: '', result: '', userId: '', ip: '' };
+
+const quoted = (target) => `"${target.name || target.id}"`;
+
+// Changes admins make to accounts, phrased for the admin or for the account holder
+const ADMIN_ACTIONS = {
+  USER_SUSPENDED: (name) => `Suspended ${name}`,
+  USER_REACTIVATED: (name) => `Reactivated ${name}`,
+  USER_QUOTA_CHANGED: (name, details) => (details.quotaIsDefault
+    ? `Reset the storage quota of ${name} to the default`
+    : `Set the storage quota of ${name} to ${formatFileSize(details.quota)}`),
+  USER_ROLE_CHANGED: (name, details) => `Made ${name} ${details.role === 'admin' ? 'an admin' : 'a regular user'}`
+};
+
+// What happened, from the point of view of the signed-in user
+const describe = (event, userId) => {
+  const { target, details } = event;
+
+  switch (event.action) {
+    case 'USER_LOGIN_ATTEMPT':
+      if (event.result === 'failure') {
+        if (details.throttled) return 'Sign-in refused after repeated failures';
+        return details.secondFactor !== undefined ? 'Failed sign-in (wrong authentication code)' : 'Failed sign-in';
+      }
+      if (details.method === 'oidc') return `Signed in with single sign-on (${details.provider})`;
+      return details.secondFactor === 'recovery' ? 'Signed in with a recovery code' : 'Signed in';
+    case 'USER_REGISTERED':
+      return details.method === 'oidc' ? `Registered with single sign-on (${details.provider})` : 'Registered';
+    case 'USER_EMAIL_VERIFIED':
+      return 'Confirmed email address';
+    case 'USER_PASSWORD_RESET':
+      return 'Reset password by email';
+    case 'USER_2FA_ENABLED':
+      return 'Turned on two-factor authentication';
+    case 'USER_2FA_DISABLED':
+      return 'Turned off two-factor authentication';
+    case 'USER_RECOVERY_CODES_REGENERATED':
+      return 'Generated new recovery codes';
+    case 'USER_ACCESS_TOKEN_CREATED':
+      return `Created access token ${quoted(target)} (${(details.scopes || []).join(', ')})`;
+    case 'USER_ACCESS_TOKEN_REVOKED':
+      return `Revoked access token ${quoted(target)}`;
+    case 'FILE_UPLOADED':
+      return `Uploaded ${quoted(target)}`;
+    case 'FILE_DELETED':
+      if (details.performedBy && event.actor.userId !== userId) {
+        return `${quoted(target)} was deleted by an administrator`;
+      }
+      return details.permanent
+        ? `Deleted ${quoted(target)} permanently`
+        : `Moved ${quoted(target)} to the trash`;
+    case 'SHARE_RECEIVED':
+      return event.actor.userId === userId
+        ? `Shared the ${target.kind} ${quoted(target)} with ${details.granteeUsername || 'another user'} as ${details.role}`
+        : `Received the ${target.kind} ${quoted(target)} as ${details.role}`;
+    case 'QUOTA_WARNING':
+      return `Storage ${Math.round((details.used / details.quota) * 100)}% full (${formatFileSize(details.used)})`;
+    case 'USER_SUSPENDED':
+    case 'USER_REACTIVATED':
+    case 'USER_QUOTA_CHANGED':
+    case 'USER_ROLE_CHANGED':
+      return target.id === userId
+        ? `${ADMIN_ACTIONS[event.action]('your account', details)} (by ${event.actor.username || 'an administrator'})`
+        : ADMIN_ACTIONS[event.action](target.name || target.id, details);
+    default:
+      return event.action;
+  }
+};
+
+const actorName = (event) =>
+  event.actor.username || event.actor.email || (event.actor.userId ? event.actor.userId : 'System');
+
+// The signed-in user's own activity; admins can switch to every user's
+const Activity = () => {
+  const [events, setEvents] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState('');
+  const [scope, setScope] = useState('mine');
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  // Ignores responses to listings that have since been replaced
+  const listingRef = useRef(0);
+  const { user, token } = useAuth();
+  const navigate = useNavigate();
+
+  const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3000';
+  const isAdmin = user?.role === 'admin';
+  const showAll = isAdmin && scope === 'all';
+
+  // One page of events matching the filters
+  const fetchPage = useCallback((cursor) => axios.get(`${API_BASE_URL}/api/audit${showAll ? '/all' : ''}`, {
+    headers: {
+      Authorization: `Bearer ${token}`
+    },
+    params: {
+      ...(filters.action && { action: filters.action }),
+      ...(filters.result && { result: filters.result }),
+      ...(showAll && filters.userId.trim() && { userId: filters.userId.trim() }),
+      ...(showAll && filters.ip.trim() && { ip: filters.ip.trim() }),
+      ...(cursor && { cursor })
+    }
+  }), [API_BASE_URL, token, showAll, filters]);
+
+  // Typing in the text filters is debounced before the list reloads
+  useEffect(() => {
+    const listing = ++listingRef.current;
+
+    const fetchEvents = async () => {
+      try {
+        setLoading(true);
+        const response = await fetchPage(null);
+        if (listing !== listingRef.current) return;
+        setEvents(response.data.events);
+        setNextCursor(response.data.nextCursor);
+        setError('');
+      } catch (err) {
+        if (listing !== listingRef.current) return;
+        setError(err.response?.data?.error || 'Failed to load activity');
+        console.error('Error fetching activity:', err);
+      } finally {
+        if (listing === listingRef.current) setLoading(false);
+      }
+    };
+
+    const timer = setTimeout(fetchEvents, FILTER_DELAY);
+    return () => clearTimeout(timer);
+  }, [fetchPage]);
+
+  const loadMore = async () => {
+    if (!nextCursor || loadingMore) return;
+
+    const listing = listingRef.current;
+    try {
+      setLoadingMore(true);
+      const response = await fetchPage(nextCursor);
+      if (listing !== listingRef.current) return;
+      setEvents(previous => [...previous, ...response.data.events]);
+      setNextCursor(response.data.nextCursor);
+    } catch (err) {
+      setError('Failed to load more activity');
+      console.error('Error fetching activity:', err);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const select = (name, label, options) => (
+    <TextField
+      select
+      size="small"
+      label={label}
+      value={filters[name]}
+      onChange={(e) => setFilters({ ...filters, [name]: e.target.value })}
+      sx={{ minWidth: 170 }}
+    >
+      {options.map(option => (
+        <MenuItem key={option.value} value={option.value}>
+          {option.label}
+        </MenuItem>
+      ))}
+    </TextField>
+  );
+
+  const columns = showAll ? 6 : 5;
+
+  return (
+    <>
+      <AppBar position="static">
+        <Toolbar>
+          <IconButton color="inherit" edge="start" onClick={() => navigate('/dashboard')} sx={{ mr: 2 }}>
+            <BackIcon />
+          </IconButton>
+          <Typography variant="h6" component="div" sx={{ flexGrow: 1 }}>
+            Activity
+          </Typography>
+        </Toolbar>
+      </AppBar>
+      <Container maxWidth="lg" sx={{ mt: 4, mb: 4 }}>
+        <Paper elevation={3} sx={{ padding: 4 }}>
+          <Typography variant="h4" component="h1" sx={{ mb: 3 }}>
+            {showAll ? 'Audit Log' : 'Your Activity'}
+          </Typography>
+
+          {isAdmin && (
+            <Tabs value={scope} onChange={(e, value) => setScope(value)} sx={{ mb: 2 }}>
+              <Tab label="My activity" value="mine" />
+              <Tab label="All users" value="all" />
+            </Tabs>
+          )}
+
+          <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 2, mb: 2 }}>
+            {select('action', 'Action', ACTION_OPTIONS)}
+            {select('result', 'Result', RESULT_OPTIONS)}
+            {showAll && (
+              <>
+                <TextField
+                  size="small"
+                  label="User ID"
+                  value={filters.userId}
+                  onChange={(e) => setFilters({ ...filters, userId: e.target.value })}
+                />
+                <TextField
+                  size="small"
+                  label="IP address"
+                  value={filters.ip}
+                  onChange={(e) => setFilters({ ...filters, ip: e.target.value })}
+                />
+              </>
+            )}
+          </Box>
+
+          {error && (
+            <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
+              {error}
+            </Alert>
+          )}
+
+          {loading ? (
+            <Box display="flex" justifyContent="center" p={4}>
+              <CircularProgress />
+            </Box>
+          ) : (
+            <TableContainer>
+              <Table>
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Time</TableCell>
+                    {showAll && <TableCell>User</TableCell>}
+                    <TableCell>Action</TableCell>
+                    <TableCell>Result</TableCell>
+                    <TableCell>IP Address</TableCell>
+                    <TableCell>Device</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {events.length === 0 ? (
+                    <TableRow>
+                      <TableCell colSpan={columns} align="center">
+                        <Typography variant="body1" color="textSecondary">
+                          No activity recorded.
+                        </Typography>
+                      </TableCell>
+                    </TableRow>
+                  ) : (
+                    events.map((event) => (
+                      <TableRow key={event.id}>
+                        <TableCell sx={{ whiteSpace: 'nowrap' }}>
+                          {new Date(event.occurredAt).toLocaleString()}
+                        </TableCell>
+                        {showAll && <TableCell>{actorName(event)}</TableCell>}
+                        <TableCell>{describe(event, user?.id)}</TableCell>
+                        <TableCell>
+                          <Chip
+                            label={event.result === 'failure' ? 'Failed' : 'OK'}
+                            color={event.result === 'failure' ? 'error' : 'default'}
+                            size="small"
+                          />
+                        </TableCell>
+                        <TableCell>{event.ip || '—'}</TableCell>
+                        <TableCell
+                          title={event.userAgent || ''}
+                          sx={{ maxWidth: 220, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}
+                        >
+                          {event.userAgent || '—'}
+                        </TableCell>
+                      </TableRow>
+                    ))
+                  )}
+                </TableBody>
+              </Table>
+              {nextCursor && (
+                <LoadMoreSentinel onVisible={loadMore} loading={loadingMore} />
+              )}
+            </TableContainer>
+          )}
+        </Paper>
+      </Container>
+    </>
+  );
+};
+
+export default Activity;
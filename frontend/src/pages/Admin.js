@@ -0,0 +1,410 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  Container,
+  Paper,
+  Typography,
+  Box,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TablePagination,
+  IconButton,
+  Alert,
+  CircularProgress,
+  AppBar,
+  Toolbar,
+  Tabs,
+  Tab,
+  TextField,
+  MenuItem,
+  Chip,
+  Tooltip,
+  Snackbar
+} from '@mui/material';
+import {
+  ArrowBack as BackIcon,
+  Block as SuspendIcon,
+  PlayCircleOutline as ReactivateIcon,
+  Storage as StorageIcon,
+  DataUsage as QuotaIcon,
+  AdminPanelSettings as AdminIcon,
+  PersonOutline as UserIcon
+} from '@mui/icons-material';
+import axios from 'axios';
+import { useAuth } from '../context/AuthContext';
+import { formatFileSize } from '../utils/format';
+import QuotaDialog from '../components/QuotaDialog';
+import UserFilesDialog from '../components/UserFilesDialog';
+
+const SEARCH_DELAY = 300;
+
+const STATUS_OPTIONS = [
+  { value: '', label: 'Any status' },
+  { value: 'active', label: 'Active' },
+  { value: 'suspended', label: 'Suspended' }
+];
+
+const ROLE_OPTIONS = [
+  { value: '', label: 'Any role' },
+  { value: 'user', label: 'Users' },
+  { value: 'admin', label: 'Admins' }
+];
+
+// User accounts and storage, for admins only
+const Admin = () => {
+  const [tab, setTab] = useState('users');
+  const [users, setUsers] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(25);
+  const [filters, setFilters] = useState({ q: '', role: '', status: '' });
+  const [storage, setStorage] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const [quotaUser, setQuotaUser] = useState(null);
+  const [filesUser, setFilesUser] = useState(null);
+  const { user, token } = useAuth();
+  const navigate = useNavigate();
+
+  const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3000';
+
+  const fetchUsers = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get(`${API_BASE_URL}/api/auth/admin/users`, {
+        headers: {
+          Authorization: `Bearer ${token}`
+        },
+        params: {
+          ...(filters.q.trim() && { q: filters.q.trim() }),
+          ...(filters.role && { role: filters.role }),
+          ...(filters.status && { status: filters.status }),
+          page,
+          limit: rowsPerPage
+        }
+      });
+      setUsers(response.data.users);
+      setTotal(response.data.total);
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load users');
+      console.error('Error fetching users:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [API_BASE_URL, token, filters, page, rowsPerPage]);
+
+  const fetchStorage = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get(`${API_BASE_URL}/api/admin/storage`, {
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      });
+      setStorage(response.data.users);
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load storage usage');
+      console.error('Error fetching storage usage:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [API_BASE_URL, token]);
+
+  // Typing in the search box is debounced before the list reloads
+  useEffect(() => {
+    if (tab !== 'users') return undefined;
+    const timer = setTimeout(fetchUsers, SEARCH_DELAY);
+    return () => clearTimeout(timer);
+  }, [tab, fetchUsers]);
+
+  useEffect(() => {
+    if (tab === 'storage') fetchStorage();
+  }, [tab, fetchStorage]);
+
+  const updateFilter = (name, value) => {
+    setFilters({ ...filters, [name]: value });
+    setPage(0);
+  };
+
+  // Run an account change, then show its message and the updated account
+  const changeUser = async (request) => {
+    try {
+      const response = await request();
+      const updated = response.data.user;
+      setUsers(users.map(row => (row.id === updated.id ? updated : row)));
+      setNotice(response.data.message);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to update user');
+      console.error('Error updating user:', err);
+    }
+  };
+
+  const headers = () => ({ headers: { Authorization: `Bearer ${token}` } });
+
+  const handleSuspend = (target) => {
+    if (!window.confirm(`Suspend ${target.username}? They will be signed out everywhere and cannot sign in until reactivated.`)) {
+      return;
+    }
+    changeUser(() => axios.post(`${API_BASE_URL}/api/auth/admin/users/${target.id}/suspend`, {}, headers()));
+  };
+
+  const handleReactivate = (target) => {
+    changeUser(() => axios.post(`${API_BASE_URL}/api/auth/admin/users/${target.id}/reactivate`, {}, headers()));
+  };
+
+  const handleRole = (target) => {
+    const role = target.role === 'admin' ? 'user' : 'admin';
+    const question = role === 'admin'
+      ? `Make ${target.username} an admin? They will be able to manage every account.`
+      : `Remove admin access from ${target.username}?`;
+    if (!window.confirm(question)) return;
+    changeUser(() => axios.put(`${API_BASE_URL}/api/auth/admin/users/${target.id}/role`, { role }, headers()));
+  };
+
+  const handleQuota = async (quota) => {
+    const target = quotaUser;
+    setQuotaUser(null);
+    await changeUser(() => axios.put(`${API_BASE_URL}/api/auth/admin/users/${target.id}/quota`, { quota }, headers()));
+  };
+
+  const select = (name, label, options) => (
+    <TextField
+      select
+      size="small"
+      label={label}
+      value={filters[name]}
+      onChange={(e) => updateFilter(name, e.target.value)}
+      sx={{ minWidth: 150 }}
+    >
+      {options.map(option => (
+        <MenuItem key={option.value} value={option.value}>
+          {option.label}
+        </MenuItem>
+      ))}
+    </TextField>
+  );
+
+  const renderUsers = () => (
+    <>
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 2, mb: 2 }}>
+        <TextField
+          size="small"
+          label="Search username or email"
+          value={filters.q}
+          onChange={(e) => updateFilter('q', e.target.value)}
+          sx={{ minWidth: 260 }}
+        />
+        {select('role', 'Role', ROLE_OPTIONS)}
+        {select('status', 'Status', STATUS_OPTIONS)}
+      </Box>
+      <TableContainer>
+        <Table>
+          <TableHead>
+            <TableRow>
+              <TableCell>Username</TableCell>
+              <TableCell>Email</TableCell>
+              <TableCell>Role</TableCell>
+              <TableCell>Status</TableCell>
+              <TableCell>Quota</TableCell>
+              <TableCell>Registered</TableCell>
+              <TableCell align="right">Actions</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {users.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={7} align="center">
+                  {loading ? (
+                    <CircularProgress />
+                  ) : (
+                    <Typography variant="body1" color="textSecondary">
+                      No users found.
+                    </Typography>
+                  )}
+                </TableCell>
+              </TableRow>
+            ) : (
+              users.map((row) => {
+                const isSelf = row.id === user?.id;
+                return (
+                  <TableRow key={row.id}>
+                    <TableCell>{row.username}</TableCell>
+                    <TableCell>{row.email}</TableCell>
+                    <TableCell>
+                      <Chip label={row.role} size="small" color={row.role === 'admin' ? 'primary' : 'default'} />
+                    </TableCell>
+                    <TableCell>
+                      <Chip label={row.status} size="small" color={row.status === 'suspended' ? 'error' : 'success'} />
+                    </TableCell>
+                    <TableCell>
+                      {formatFileSize(row.storageQuota)}
+                      {row.quotaIsDefault && (
+                        <Typography component="span" variant="body2" color="textSecondary"> (default)</Typography>
+                      )}
+                    </TableCell>
+                    <TableCell>{new Date(row.createdAt).toLocaleDateString()}</TableCell>
+                    <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                      <Tooltip title="Storage and files">
+                        <IconButton onClick={() => setFilesUser(row)}>
+                          <StorageIcon />
+                        </IconButton>
+                      </Tooltip>
+                      <Tooltip title="Storage quota">
+                        <IconButton onClick={() => setQuotaUser(row)}>
+                          <QuotaIcon />
+                        </IconButton>
+                      </Tooltip>
+                      <Tooltip title={row.role === 'admin' ? 'Remove admin access' : 'Make admin'}>
+                        <span>
+                          <IconButton onClick={() => handleRole(row)} disabled={isSelf}>
+                            {row.role === 'admin' ? <UserIcon /> : <AdminIcon />}
+                          </IconButton>
+                        </span>
+                      </Tooltip>
+                      {row.status === 'suspended' ? (
+                        <Tooltip title="Reactivate">
+                          <IconButton color="success" onClick={() => handleReactivate(row)}>
+                            <ReactivateIcon />
+                          </IconButton>
+                        </Tooltip>
+                      ) : (
+                        <Tooltip title="Suspend">
+                          <span>
+                            <IconButton color="error" onClick={() => handleSuspend(row)} disabled={isSelf}>
+                              <SuspendIcon />
+                            </IconButton>
+                          </span>
+                        </Tooltip>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                );
+              })
+            )}
+          </TableBody>
+        </Table>
+      </TableContainer>
+      <TablePagination
+        component="div"
+        count={total}
+        page={page}
+        onPageChange={(e, value) => setPage(value)}
+        rowsPerPage={rowsPerPage}
+        onRowsPerPageChange={(e) => {
+          setRowsPerPage(parseInt(e.target.value, 10));
+          setPage(0);
+        }}
+        rowsPerPageOptions={[10, 25, 50, 100]}
+      />
+    </>
+  );
+
+  const renderStorage = () => (
+    <TableContainer>
+      <Table>
+        <TableHead>
+          <TableRow>
+            <TableCell>User</TableCell>
+            <TableCell>Stored</TableCell>
+            <TableCell>Files</TableCell>
+            <TableCell>Versions</TableCell>
+            <TableCell align="right">Actions</TableCell>
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {storage.length === 0 ? (
+            <TableRow>
+              <TableCell colSpan={5} align="center">
+                <Typography variant="body1" color="textSecondary">
+                  Nothing stored yet.
+                </Typography>
+              </TableCell>
+            </TableRow>
+          ) : (
+            storage.map((row) => (
+              <TableRow key={row.user.id}>
+                <TableCell>{row.user.username || row.user.id}</TableCell>
+                <TableCell>{formatFileSize(row.used)}</TableCell>
+                <TableCell>{row.files}</TableCell>
+                <TableCell>{row.versions}</TableCell>
+                <TableCell align="right">
+                  <Tooltip title="Storage and files">
+                    <IconButton onClick={() => setFilesUser(row.user)}>
+                      <StorageIcon />
+                    </IconButton>
+                  </Tooltip>
+                </TableCell>
+              </TableRow>
+            ))
+          )}
+        </TableBody>
+      </Table>
+    </TableContainer>
+  );
+
+  return (
+    <>
+      <AppBar position="static">
+        <Toolbar>
+          <IconButton color="inherit" edge="start" onClick={() => navigate('/dashboard')} sx={{ mr: 2 }}>
+            <BackIcon />
+          </IconButton>
+          <Typography variant="h6" component="div" sx={{ flexGrow: 1 }}>
+            Administration
+          </Typography>
+        </Toolbar>
+      </AppBar>
+      <Container maxWidth="lg" sx={{ mt: 4, mb: 4 }}>
+        <Paper elevation={3} sx={{ padding: 4 }}>
+          <Tabs value={tab} onChange={(e, value) => setTab(value)} sx={{ mb: 2 }}>
+            <Tab label="Users" value="users" />
+            <Tab label="Storage" value="storage" />
+          </Tabs>
+
+          {error && (
+            <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
+              {error}
+            </Alert>
+          )}
+
+          {tab === 'users' && renderUsers()}
+          {tab === 'storage' && (loading ? (
+            <Box display="flex" justifyContent="center" p={4}>
+              <CircularProgress />
+            </Box>
+          ) : renderStorage())}
+        </Paper>
+      </Container>
+
+      <QuotaDialog
+        open={Boolean(quotaUser)}
+        user={quotaUser}
+        onClose={() => setQuotaUser(null)}
+        onSave={handleQuota}
+      />
+
+      <UserFilesDialog
+        open={Boolean(filesUser)}
+        user={filesUser}
+        onClose={() => setFilesUser(null)}
+        onChanged={() => tab === 'storage' && fetchStorage()}
+      />
+
+      <Snackbar
+        open={Boolean(notice)}
+        autoHideDuration={6000}
+        onClose={() => setNotice('')}
+        message={notice}
+      />
+    </>
+  );
+};
+
+export default Admin;
@@ -1,5 +1,5 @@
-import React, { useState, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import {
   Container,
   Paper,
@@ -12,73 +12,288 @@ import {
   TableContainer,
   TableHead,
   TableRow,
+  TableSortLabel,
+  Checkbox,
   IconButton,
   Alert,
   CircularProgress,
   AppBar,
-  Toolbar
+  Toolbar,
+  Link,
+  Tabs,
+  Tab,
+  Chip,
+  Snackbar
 } from '@mui/material';
 import {
   CloudUpload as UploadIcon,
   Download as DownloadIcon,
   Delete as DeleteIcon,
-  Logout as LogoutIcon
+  Logout as LogoutIcon,
+  Folder as FolderIcon,
+  CreateNewFolder as CreateNewFolderIcon,
+  DriveFileRenameOutline as RenameIcon,
+  DriveFileMove as MoveIcon,
+  History as HistoryIcon,
+  Share as ShareIcon,
+  PersonAdd as PersonAddIcon,
+  UploadFile as UploadVersionIcon,
+  LocalOffer as TagIcon,
+  FolderZip as ZipIcon,
+  Timeline as ActivityIcon,
+  AdminPanelSettings as AdminIcon,
+  Security as SecurityIcon
 } from '@mui/icons-material';
 import { useAuth } from '../context/AuthContext';
+import { resumableUpload } from '../utils/resumableUpload';
+import { formatFileSize } from '../utils/format';
+import { downloadFile, downloadArchive } from '../utils/download';
+import { hasRole } from '../utils/roles';
+import { useLiveEvents } from '../utils/liveEvents';
+import FolderBreadcrumbs from '../components/FolderBreadcrumbs';
+import NameDialog from '../components/NameDialog';
+import MoveDialog from '../components/MoveDialog';
+import VersionHistoryDialog from '../components/VersionHistoryDialog';
+import ShareDialog from '../components/ShareDialog';
+import AccessDialog from '../components/AccessDialog';
+import TagsDialog from '../components/TagsDialog';
+import StorageUsage from '../components/StorageUsage';
+import TrashView from '../components/TrashView';
+import FileThumbnail from '../components/FileThumbnail';
+import FileFilters, { EMPTY_FILTERS, hasFilters, filterParams } from '../components/FileFilters';
+import LoadMoreSentinel from '../components/LoadMoreSentinel';
 import axios from 'axios';
 
+// Role and owner of an item shared with the user
+const SharedBy = ({ item }) => (
+  <Typography component="span" variant="caption" color="textSecondary" sx={{ ml: 1 }}>
+    <Chip component="span" label={item.role} size="small" sx={{ mr: 1 }} />
+    shared by {item.owner.username || 'another user'}
+  </Typography>
+);
+
+// Sortable file columns and the sort keys the file service accepts for them
+const COLUMNS = [
+  { key: 'name', label: 'Filename' },
+  { key: 'size', label: 'Size' },
+  { key: 'type', label: 'Type' },
+  { key: 'uploadedAt', label: 'Uploaded At' }
+];
+
+// Live events arriving in a burst (e.g. a multi-file upload) refresh the list once
+const LIVE_REFRESH_DELAY = 500;
+const LIVE_REFRESH_EVENTS = ['FILE_UPLOADED', 'FILE_DELETED', 'PREVIEW_GENERATED'];
+
 const Dashboard = () => {
   const [files, setFiles] = useState([]);
+  const [folders, setFolders] = useState([]);
+  const [path, setPath] = useState([]);
   const [loading, setLoading] = useState(true);
+  // Cursor for the next page of files, null once everything is loaded
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [sort, setSort] = useState({ key: 'uploadedAt', order: 'desc' });
+  // Ids of the files ticked for "Download selected"
+  const [selected, setSelected] = useState([]);
   const [error, setError] = useState('');
+  // Live notice shown in a snackbar: { severity, message }
+  const [notice, setNotice] = useState(null);
   const [uploading, setUploading] = useState(false);
-  const { user, logout, token } = useAuth();
+  const [uploadProgress, setUploadProgress] = useState(0);
+  // { type: 'create' | 'rename' | 'move' | 'history' | 'share' | 'access' | 'tags', item?, kind?: 'file' | 'folder' }
+  const [dialog, setDialog] = useState(null);
+  // The user's role in the current folder ('owner' in their own files)
+  const [folderRole, setFolderRole] = useState('owner');
+  const versionInputRef = useRef(null);
+  const [versionTarget, setVersionTarget] = useState(null);
+  const [searchParams, setSearchParams] = useSearchParams();
+  // Ignores responses to listings that have since been replaced
+  const listingRef = useRef(0);
+  // Pending refresh after live events
+  const liveRefreshRef = useRef(null);
+  const { user, logout, token, getToken } = useAuth();
   const navigate = useNavigate();
 
   const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3000';
+  const currentFolderId = searchParams.get('folder');
+  // "Shared with me" lists items shared directly with the user; opening a
+  // shared folder keeps the view so breadcrumbs lead back to that list
+  const sharedView = searchParams.get('view') === 'shared';
+  const trashView = searchParams.get('view') === 'trash';
+  const sharedRoot = sharedView && !currentFolderId;
+  const canAddHere = !trashView && !sharedRoot && hasRole(folderRole, 'editor');
+  // Searching from the top of "My Files" covers every folder; inside a
+  // folder it stays within that folder. Folders are hidden while searching.
+  const searching = hasFilters(filters);
+  const searchEverywhere = searching && !sharedView && !currentFolderId;
+
+  // Items at the top of "Shared with me" carry their own role; everything
+  // else inherits the role in the current folder
+  const roleOf = (item) => item.role || folderRole;
 
   useEffect(() => {
+    clearTimeout(liveRefreshRef.current);
     fetchFiles();
-  }, []);
+  }, [currentFolderId, sharedView, filters, sort]);
 
-  const fetchFiles = async () => {
-    try {
-      setLoading(true);
-      const response = await axios.get(`${API_BASE_URL}/api/files`, {
-        headers: {
-          Authorization: `Bearer ${token}`
-        }
+  // Changes made in other tabs and devices, shares and quota warnings
+  // arrive as they happen instead of by polling
+  useLiveEvents((event) => {
+    const listChanged = LIVE_REFRESH_EVENTS.includes(event.type) ||
+      (event.type === 'SHARE_RECEIVED' && sharedRoot);
+    if (listChanged && !trashView) {
+      clearTimeout(liveRefreshRef.current);
+      liveRefreshRef.current = setTimeout(() => fetchFiles({ quiet: true }), LIVE_REFRESH_DELAY);
+    }
+
+    if (event.type === 'SHARE_RECEIVED') {
+      setNotice({
+        severity: 'info',
+        message: `${event.sharedBy?.username || 'Another user'} shared the ${event.resourceType} "${event.name}" with you`
+      });
+    }
+    if (event.type === 'QUOTA_WARNING') {
+      setNotice({
+        severity: event.level === 'critical' ? 'error' : 'warning',
+        message: `You have used ${formatFileSize(event.used)} of your ${formatFileSize(event.quota)} storage`
       });
-      setFiles(response.data.files);
+    }
+  });
+
+  // One page of files in the current folder, matching the filters and sort
+  const fetchFilePage = (cursor) => axios.get(`${API_BASE_URL}/api/files`, {
+    headers: {
+      Authorization: `Bearer ${token}`
+    },
+    params: {
+      ...(!searchEverywhere && { folderId: currentFolderId || 'root' }),
+      ...filterParams(filters),
+      sort: sort.key,
+      order: sort.order,
+      ...(cursor && { cursor })
+    }
+  });
+
+  // A quiet refresh (after live events) keeps the current list on screen
+  // while it loads, and the selection of files that are still listed
+  const fetchFiles = async ({ quiet = false } = {}) => {
+    const headers = {
+      Authorization: `Bearer ${token}`
+    };
+    const listing = ++listingRef.current;
+    if (!quiet) setSelected([]);
+    const keepListed = (listed) => {
+      setSelected(previous => previous.filter(id => listed.some(file => file.id === id)));
+    };
+
+    if (sharedRoot) {
+      try {
+        if (!quiet) setLoading(true);
+        const response = await axios.get(`${API_BASE_URL}/api/files/shared`, { headers });
+        if (listing !== listingRef.current) return;
+        setFiles(response.data.files);
+        keepListed(response.data.files);
+        setNextCursor(null);
+        setFolders(response.data.folders);
+        setPath([]);
+        setFolderRole(null);
+        setError('');
+      } catch (err) {
+        setError('Failed to load shared files');
+        console.error('Error fetching shared files:', err);
+      } finally {
+        if (listing === listingRef.current) setLoading(false);
+      }
+      return;
+    }
+
+    try {
+      if (!quiet) setLoading(true);
+      const [filesResponse, foldersResponse, folderResponse] = await Promise.all([
+        fetchFilePage(null),
+        searching
+          ? Promise.resolve(null)
+          : axios.get(`${API_BASE_URL}/api/folders`, {
+            headers,
+            params: { parentId: currentFolderId || 'root' }
+          }),
+        currentFolderId
+          ? axios.get(`${API_BASE_URL}/api/folders/${currentFolderId}`, { headers })
+          : Promise.resolve(null)
+      ]);
+      if (listing !== listingRef.current) return;
+      setFiles(filesResponse.data.files);
+      keepListed(filesResponse.data.files);
+      setNextCursor(filesResponse.data.nextCursor);
+      setFolders(foldersResponse ? foldersResponse.data.folders : []);
+      setPath(folderResponse ? folderResponse.data.path : []);
+      setFolderRole(folderResponse ? folderResponse.data.folder.role : 'owner');
       setError('');
     } catch (err) {
       setError('Failed to load files');
       console.error('Error fetching files:', err);
     } finally {
-      setLoading(false);
+      if (listing === listingRef.current) setLoading(false);
+    }
+  };
+
+  const loadMore = async () => {
+    if (!nextCursor || loadingMore) return;
+
+    const listing = listingRef.current;
+    try {
+      setLoadingMore(true);
+      const response = await fetchFilePage(nextCursor);
+      if (listing !== listingRef.current) return;
+      setFiles(previous => [...previous, ...response.data.files]);
+      setNextCursor(response.data.nextCursor);
+    } catch (err) {
+      setError('Failed to load more files');
+      console.error('Error fetching files:', err);
+    } finally {
+      setLoadingMore(false);
     }
   };
 
+  const handleSort = (key) => {
+    setSort(previous => ({
+      key,
+      order: previous.key === key && previous.order === 'asc' ? 'desc' : 'asc'
+    }));
+  };
+
+  const openFolder = (folderId) => {
+    setSearchParams({
+      ...(sharedView && { view: 'shared' }),
+      ...(folderId && { folder: folderId })
+    });
+  };
+
+  const switchView = (view) => {
+    setFilters(EMPTY_FILTERS);
+    setSearchParams(view === 'mine' ? {} : { view });
+  };
+
   const handleFileUpload = async (e) => {
     const file = e.target.files[0];
     if (!file) return;
 
     try {
       setUploading(true);
-      const formData = new FormData();
-      formData.append('file', file);
-
-      await axios.post(`${API_BASE_URL}/api/files/upload`, formData, {
-        headers: {
-          Authorization: `Bearer ${token}`,
-          'Content-Type': 'multipart/form-data'
-        }
+      setUploadProgress(0);
+      await resumableUpload({
+        baseUrl: API_BASE_URL,
+        getToken,
+        file,
+        metadata: { folderId: currentFolderId },
+        onProgress: (progress) => setUploadProgress(Math.round(progress * 100))
       });
 
       await fetchFiles();
       setError('');
     } catch (err) {
-      setError('Failed to upload file');
+      setError(err.response?.data?.error || 'Failed to upload file');
       console.error('Error uploading file:', err);
     } finally {
       setUploading(false);
@@ -86,33 +301,69 @@ const Dashboard = () => {
     }
   };
 
-  const handleDownload = async (fileId, filename) => {
+  const chooseVersionFile = (file) => {
+    setVersionTarget(file);
+    versionInputRef.current.click();
+  };
+
+  // Upload the chosen file as the next version of versionTarget
+  const handleVersionUpload = async (e) => {
+    const file = e.target.files[0];
+    if (!file || !versionTarget) return;
+
     try {
-      const response = await axios.get(
-        `${API_BASE_URL}/api/files/${fileId}/download`,
-        {
-          headers: {
-            Authorization: `Bearer ${token}`
-          },
-          responseType: 'blob'
-        }
-      );
+      setUploading(true);
+      setUploadProgress(0);
+      await resumableUpload({
+        baseUrl: API_BASE_URL,
+        getToken,
+        file,
+        metadata: { fileId: versionTarget.id },
+        onProgress: (progress) => setUploadProgress(Math.round(progress * 100))
+      });
 
-      const url = window.URL.createObjectURL(new Blob([response.data]));
-      const link = document.createElement('a');
-      link.href = url;
-      link.setAttribute('download', filename);
-      document.body.appendChild(link);
-      link.click();
-      link.remove();
+      await fetchFiles();
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to upload new version');
+      console.error('Error uploading version:', err);
+    } finally {
+      setUploading(false);
+      setVersionTarget(null);
+      e.target.value = '';
+    }
+  };
+
+  const handleDownload = async (fileId) => {
+    try {
+      await downloadFile({ baseUrl: API_BASE_URL, token, fileId });
     } catch (err) {
       setError('Failed to download file');
       console.error('Error downloading file:', err);
     }
   };
 
+  const toggleSelected = (fileId) => {
+    setSelected(selected.includes(fileId)
+      ? selected.filter(id => id !== fileId)
+      : [...selected, fileId]);
+  };
+
+  const toggleAllSelected = () => {
+    setSelected(selected.length === files.length ? [] : files.map(file => file.id));
+  };
+
+  const handleDownloadSelected = async () => {
+    try {
+      await downloadArchive({ baseUrl: API_BASE_URL, token, fileIds: selected });
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to download files');
+      console.error('Error downloading files:', err);
+    }
+  };
+
   const handleDelete = async (fileId) => {
-    if (!window.confirm('Are you sure you want to delete this file?')) {
+    if (!window.confirm('Move this file to the trash?')) {
       return;
     }
 
@@ -130,17 +381,84 @@ const Dashboard = () => {
     }
   };
 
-  const handleLogout = () => {
-    logout();
-    navigate('/login');
+  const handleDeleteFolder = async (folder) => {
+    if (!window.confirm(`Delete "${folder.name}" and its subfolders? The files inside will be moved to the trash.`)) {
+      return;
+    }
+
+    try {
+      await axios.delete(`${API_BASE_URL}/api/folders/${folder.id}`, {
+        headers: {
+          Authorization: `Bearer ${token}`
+        },
+        params: { recursive: true }
+      });
+      await fetchFiles();
+      setError('');
+    } catch (err) {
+      setError('Failed to delete folder');
+      console.error('Error deleting folder:', err);
+    }
+  };
+
+  const handleCreateFolder = async (name) => {
+    try {
+      await axios.post(
+        `${API_BASE_URL}/api/folders`,
+        { name, parentId: currentFolderId },
+        {
+          headers: {
+            Authorization: `Bearer ${token}`
+          }
+        }
+      );
+      setDialog(null);
+      await fetchFiles();
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to create folder');
+      console.error('Error creating folder:', err);
+    }
+  };
+
+  // Rename and move share one endpoint per kind: PATCH with the changed fields
+  const updateItem = async (kind, id, changes) => {
+    const url = kind === 'folder'
+      ? `${API_BASE_URL}/api/folders/${id}`
+      : `${API_BASE_URL}/api/files/${id}`;
+
+    try {
+      await axios.patch(url, changes, {
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      });
+      setDialog(null);
+      await fetchFiles();
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.error || `Failed to update ${kind}`);
+      console.error(`Error updating ${kind}:`, err);
+    }
+  };
+
+  const handleRename = (name) => {
+    const { kind, item } = dialog;
+    updateItem(kind, item.id, kind === 'folder' ? { name } : { filename: name });
+  };
+
+  const handleSaveTags = (changes) => {
+    updateItem('file', dialog.item.id, changes);
   };
 
-  const formatFileSize = (bytes) => {
-    if (bytes === 0) return '0 Bytes';
-    const k = 1024;
-    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-    const i = Math.floor(Math.log(bytes) / Math.log(k));
-    return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
+  const handleMove = (folderId) => {
+    const { kind, item } = dialog;
+    updateItem(kind, item.id, kind === 'folder' ? { parentId: folderId } : { folderId });
+  };
+
+  const handleLogout = async () => {
+    await logout();
+    navigate('/login');
   };
 
   return (
@@ -150,6 +468,17 @@ const Dashboard = () => {
           <Typography variant="h6" component="div" sx={{ flexGrow: 1 }}>
             Distributed File Storage
           </Typography>
+          <Button color="inherit" startIcon={<ActivityIcon />} onClick={() => navigate('/activity')} sx={{ mr: 2 }}>
+            Activity
+          </Button>
+          <Button color="inherit" startIcon={<SecurityIcon />} onClick={() => navigate('/security')} sx={{ mr: 2 }}>
+            Security
+          </Button>
+          {user?.role === 'admin' && (
+            <Button color="inherit" startIcon={<AdminIcon />} onClick={() => navigate('/admin')} sx={{ mr: 2 }}>
+              Admin
+            </Button>
+          )}
           <Typography variant="body1" sx={{ mr: 2 }}>
             Welcome, {user?.username}
           </Typography>
@@ -165,34 +494,90 @@ const Dashboard = () => {
               File Management
             </Typography>
             <Box>
+              <Button
+                variant="outlined"
+                startIcon={<CreateNewFolderIcon />}
+                onClick={() => setDialog({ type: 'create' })}
+                disabled={!canAddHere}
+                sx={{ mr: 1 }}
+              >
+                New Folder
+              </Button>
               <input
                 accept="*/*"
                 style={{ display: 'none' }}
                 id="file-upload"
                 type="file"
                 onChange={handleFileUpload}
-                disabled={uploading}
+                disabled={uploading || !canAddHere}
+              />
+              <input
+                accept="*/*"
+                style={{ display: 'none' }}
+                type="file"
+                ref={versionInputRef}
+                onChange={handleVersionUpload}
               />
               <label htmlFor="file-upload">
                 <Button
                   variant="contained"
                   component="span"
                   startIcon={<UploadIcon />}
-                  disabled={uploading}
+                  disabled={uploading || !canAddHere}
                 >
-                  {uploading ? 'Uploading...' : 'Upload File'}
+                  {uploading ? `Uploading... ${uploadProgress}%` : 'Upload File'}
                 </Button>
               </label>
             </Box>
           </Box>
 
+          <StorageUsage refreshKey={files} />
+
+          <Tabs
+            value={sharedView ? 'shared' : trashView ? 'trash' : 'mine'}
+            onChange={(e, view) => switchView(view)}
+            sx={{ mb: 2 }}
+          >
+            <Tab label="My Files" value="mine" />
+            <Tab label="Shared with me" value="shared" />
+            <Tab label="Trash" value="trash" />
+          </Tabs>
+
+          {!trashView && (
+            <FolderBreadcrumbs
+              path={path}
+              onNavigate={openFolder}
+              rootLabel={sharedView ? 'Shared with me' : 'My Files'}
+            />
+          )}
+
+          {!trashView && !sharedRoot && (
+            <FileFilters value={filters} onChange={setFilters} />
+          )}
+
+          {!trashView && selected.length > 0 && (
+            <Box sx={{ mb: 2, display: 'flex', alignItems: 'center', gap: 2 }}>
+              <Typography variant="body2">
+                {selected.length} selected
+              </Typography>
+              <Button variant="outlined" startIcon={<ZipIcon />} onClick={handleDownloadSelected}>
+                Download selected
+              </Button>
+              <Button onClick={() => setSelected([])}>
+                Clear selection
+              </Button>
+            </Box>
+          )}
+
           {error && (
             <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
               {error}
             </Alert>
           )}
 
-          {loading ? (
+          {trashView ? (
+            <TrashView onChanged={() => fetchFiles()} />
+          ) : loading ? (
             <Box display="flex" justifyContent="center" p={4}>
               <CircularProgress />
             </Box>
@@ -201,57 +586,282 @@ const Dashboard = () => {
               <Table>
                 <TableHead>
                   <TableRow>
-                    <TableCell>Filename</TableCell>
-                    <TableCell>Size</TableCell>
-                    <TableCell>Type</TableCell>
-                    <TableCell>Uploaded At</TableCell>
+                    <TableCell padding="checkbox">
+                      <Checkbox
+                        checked={files.length > 0 && selected.length === files.length}
+                        indeterminate={selected.length > 0 && selected.length < files.length}
+                        disabled={files.length === 0}
+                        onChange={toggleAllSelected}
+                      />
+                    </TableCell>
+                    {COLUMNS.map(column => (
+                      <TableCell key={column.key} sortDirection={sort.key === column.key ? sort.order : false}>
+                        {sharedRoot ? column.label : (
+                          <TableSortLabel
+                            active={sort.key === column.key}
+                            direction={sort.key === column.key ? sort.order : 'asc'}
+                            onClick={() => handleSort(column.key)}
+                          >
+                            {column.label}
+                          </TableSortLabel>
+                        )}
+                      </TableCell>
+                    ))}
                     <TableCell align="right">Actions</TableCell>
                   </TableRow>
                 </TableHead>
                 <TableBody>
-                  {files.length === 0 ? (
+                  {files.length === 0 && folders.length === 0 ? (
                     <TableRow>
-                      <TableCell colSpan={5} align="center">
+                      <TableCell colSpan={6} align="center">
                         <Typography variant="body1" color="textSecondary">
-                          No files uploaded yet. Upload your first file!
+                          {searching
+                            ? 'No files match your search.'
+                            : currentFolderId
+                              ? 'This folder is empty.'
+                              : sharedView
+                                ? 'Nothing has been shared with you yet.'
+                                : 'No files uploaded yet. Upload your first file!'}
                         </Typography>
                       </TableCell>
                     </TableRow>
                   ) : (
-                    files.map((file) => (
-                      <TableRow key={file.id}>
-                        <TableCell>{file.filename}</TableCell>
-                        <TableCell>{formatFileSize(file.size)}</TableCell>
-                        <TableCell>{file.mimeType}</TableCell>
-                        <TableCell>
-                          {new Date(file.uploadedAt).toLocaleString()}
-                        </TableCell>
-                        <TableCell align="right">
-                          <IconButton
-                            color="primary"
-                            onClick={() => handleDownload(file.id, file.filename)}
-                          >
-                            <DownloadIcon />
-                          </IconButton>
-                          <IconButton
-                            color="error"
-                            onClick={() => handleDelete(file.id)}
-                          >
-                            <DeleteIcon />
-                          </IconButton>
-                        </TableCell>
-                      </TableRow>
-                    ))
+                    <>
+                      {folders.map((folder) => (
+                        <TableRow key={folder.id}>
+                          <TableCell padding="checkbox" />
+                          <TableCell>
+                            <Link
+                              component="button"
+                              underline="hover"
+                              onClick={() => openFolder(folder.id)}
+                              sx={{ display: 'flex', alignItems: 'center' }}
+                            >
+                              <FolderIcon sx={{ mr: 1 }} />
+                              {folder.name}
+                            </Link>
+                            {folder.owner && (
+                              <SharedBy item={folder} />
+                            )}
+                          </TableCell>
+                          <TableCell>—</TableCell>
+                          <TableCell>Folder</TableCell>
+                          <TableCell>
+                            {new Date(folder.createdAt).toLocaleString()}
+                          </TableCell>
+                          <TableCell align="right">
+                            {hasRole(roleOf(folder), 'owner') && (
+                              <IconButton
+                                onClick={() => setDialog({ type: 'access', kind: 'folder', item: folder })}
+                              >
+                                <PersonAddIcon />
+                              </IconButton>
+                            )}
+                            {hasRole(roleOf(folder), 'editor') && (
+                              <IconButton
+                                onClick={() => setDialog({ type: 'rename', kind: 'folder', item: folder })}
+                              >
+                                <RenameIcon />
+                              </IconButton>
+                            )}
+                            {hasRole(roleOf(folder), 'owner') && (
+                              <>
+                                <IconButton
+                                  onClick={() => setDialog({ type: 'move', kind: 'folder', item: folder })}
+                                >
+                                  <MoveIcon />
+                                </IconButton>
+                                <IconButton
+                                  color="error"
+                                  onClick={() => handleDeleteFolder(folder)}
+                                >
+                                  <DeleteIcon />
+                                </IconButton>
+                              </>
+                            )}
+                          </TableCell>
+                        </TableRow>
+                      ))}
+                      {files.map((file) => (
+                        <TableRow key={file.id} selected={selected.includes(file.id)}>
+                          <TableCell padding="checkbox">
+                            <Checkbox
+                              checked={selected.includes(file.id)}
+                              onChange={() => toggleSelected(file.id)}
+                            />
+                          </TableCell>
+                          <TableCell>
+                            <Box display="flex" alignItems="center">
+                              <FileThumbnail file={file} />
+                              <Box>
+                                {file.filename}
+                                {file.version > 1 && (
+                                  <Typography component="span" variant="caption" color="textSecondary" sx={{ ml: 1 }}>
+                                    v{file.version}
+                                  </Typography>
+                                )}
+                                {file.owner && (
+                                  <SharedBy item={file} />
+                                )}
+                                {file.tags.length > 0 && (
+                                  <Box sx={{ mt: 0.5, display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+                                    {file.tags.map(tag => (
+                                      <Chip
+                                        key={tag}
+                                        label={tag}
+                                        size="small"
+                                        variant="outlined"
+                                        onClick={sharedRoot ? undefined : () => setFilters({ ...filters, tag })}
+                                      />
+                                    ))}
+                                  </Box>
+                                )}
+                              </Box>
+                            </Box>
+                          </TableCell>
+                          <TableCell>{formatFileSize(file.size)}</TableCell>
+                          <TableCell>{file.mimeType}</TableCell>
+                          <TableCell>
+                            {new Date(file.uploadedAt).toLocaleString()}
+                          </TableCell>
+                          <TableCell align="right">
+                            <IconButton
+                              color="primary"
+                              onClick={() => handleDownload(file.id)}
+                            >
+                              <DownloadIcon />
+                            </IconButton>
+                            {hasRole(roleOf(file), 'owner') && (
+                              <>
+                                <IconButton
+                                  onClick={() => setDialog({ type: 'access', kind: 'file', item: file })}
+                                >
+                                  <PersonAddIcon />
+                                </IconButton>
+                                <IconButton
+                                  onClick={() => setDialog({ type: 'share', kind: 'file', item: file })}
+                                >
+                                  <ShareIcon />
+                                </IconButton>
+                              </>
+                            )}
+                            <IconButton
+                              onClick={() => setDialog({ type: 'history', kind: 'file', item: file })}
+                            >
+                              <HistoryIcon />
+                            </IconButton>
+                            {hasRole(roleOf(file), 'editor') && (
+                              <>
+                                <IconButton
+                                  disabled={uploading}
+                                  onClick={() => chooseVersionFile(file)}
+                                >
+                                  <UploadVersionIcon />
+                                </IconButton>
+                                <IconButton
+                                  onClick={() => setDialog({ type: 'rename', kind: 'file', item: file })}
+                                >
+                                  <RenameIcon />
+                                </IconButton>
+                                <IconButton
+                                  onClick={() => setDialog({ type: 'tags', kind: 'file', item: file })}
+                                >
+                                  <TagIcon />
+                                </IconButton>
+                              </>
+                            )}
+                            {hasRole(roleOf(file), 'owner') && (
+                              <>
+                                <IconButton
+                                  onClick={() => setDialog({ type: 'move', kind: 'file', item: file })}
+                                >
+                                  <MoveIcon />
+                                </IconButton>
+                                <IconButton
+                                  color="error"
+                                  onClick={() => handleDelete(file.id)}
+                                >
+                                  <DeleteIcon />
+                                </IconButton>
+                              </>
+                            )}
+                          </TableCell>
+                        </TableRow>
+                      ))}
+                    </>
                   )}
                 </TableBody>
               </Table>
+              {nextCursor && (
+                <LoadMoreSentinel onVisible={loadMore} loading={loadingMore} />
+              )}
             </TableContainer>
           )}
         </Paper>
       </Container>
+
+      <NameDialog
+        open={dialog?.type === 'create'}
+        title="New Folder"
+        label="Folder name"
+        submitLabel="Create"
+        onClose={() => setDialog(null)}
+        onSubmit={handleCreateFolder}
+      />
+      <NameDialog
+        open={dialog?.type === 'rename'}
+        title={`Rename ${dialog?.kind === 'folder' ? 'Folder' : 'File'}`}
+        label="New name"
+        initialValue={dialog?.item ? (dialog.item.name || dialog.item.filename) : ''}
+        submitLabel="Rename"
+        onClose={() => setDialog(null)}
+        onSubmit={handleRename}
+      />
+      <MoveDialog
+        open={dialog?.type === 'move'}
+        title={`Move "${dialog?.item ? (dialog.item.name || dialog.item.filename) : ''}"`}
+        excludeFolderId={dialog?.kind === 'folder' ? dialog.item.id : undefined}
+        onClose={() => setDialog(null)}
+        onMove={handleMove}
+      />
+      <VersionHistoryDialog
+        open={dialog?.type === 'history'}
+        file={dialog?.type === 'history' ? dialog.item : null}
+        role={dialog?.type === 'history' ? roleOf(dialog.item) : undefined}
+        onClose={() => setDialog(null)}
+        onChanged={() => fetchFiles()}
+      />
+      <ShareDialog
+        open={dialog?.type === 'share'}
+        file={dialog?.type === 'share' ? dialog.item : null}
+        onClose={() => setDialog(null)}
+      />
+      <TagsDialog
+        open={dialog?.type === 'tags'}
+        file={dialog?.type === 'tags' ? dialog.item : null}
+        onClose={() => setDialog(null)}
+        onSave={handleSaveTags}
+      />
+      <AccessDialog
+        open={dialog?.type === 'access'}
+        kind={dialog?.kind}
+        item={dialog?.type === 'access' ? dialog.item : null}
+        onClose={() => setDialog(null)}
+      />
+      <Snackbar
+        open={Boolean(notice)}
+        autoHideDuration={6000}
+        onClose={(e, reason) => reason !== 'clickaway' && setNotice(null)}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'left' }}
+      >
+        {notice ? (
+          <Alert severity={notice.severity} onClose={() => setNotice(null)}>
+            {notice.message}
+          </Alert>
+        ) : <span />}
+      </Snackbar>
     </>
   );
 };
 
 export default Dashboard;
-
@@ -0,0 +1,104 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import {
+  Container,
+  Paper,
+  TextField,
+  Button,
+  Typography,
+  Box,
+  Alert
+} from '@mui/material';
+import { useAuth } from '../context/AuthContext';
+
+// Ask for a password reset link by email
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [error, setError] = useState('');
+  const [sent, setSent] = useState('');
+  const [loading, setLoading] = useState(false);
+  const { requestPasswordReset } = useAuth();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    const result = await requestPasswordReset(email);
+    setLoading(false);
+
+    if (result.success) {
+      setSent(result.message);
+    } else {
+      setError(result.error);
+    }
+  };
+
+  return (
+    <Container component="main" maxWidth="xs">
+      <Box
+        sx={{
+          marginTop: 8,
+          display: 'flex',
+          flexDirection: 'column',
+          alignItems: 'center',
+        }}
+      >
+        <Paper elevation={3} sx={{ padding: 4, width: '100%' }}>
+          <Typography component="h1" variant="h4" align="center" gutterBottom>
+            Distributed File Storage
+          </Typography>
+          <Typography component="h2" variant="h5" align="center" gutterBottom>
+            Reset Password
+          </Typography>
+          {error && (
+            <Alert severity="error" sx={{ mt: 2 }}>
+              {error}
+            </Alert>
+          )}
+          {sent ? (
+            <Alert severity="success" sx={{ mt: 2 }}>
+              {sent}
+            </Alert>
+          ) : (
+            <Box component="form" onSubmit={handleSubmit} sx={{ mt: 3 }}>
+              <Typography variant="body2" color="textSecondary">
+                Enter the email address of your account and we will send you a link to choose a new password.
+              </Typography>
+              <TextField
+                margin="normal"
+                required
+                fullWidth
+                id="email"
+                label="Email Address"
+                name="email"
+                autoComplete="email"
+                autoFocus
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+              />
+              <Button
+                type="submit"
+                fullWidth
+                variant="contained"
+                sx={{ mt: 3, mb: 2 }}
+                disabled={loading}
+              >
+                {loading ? 'Sending...' : 'Send Reset Link'}
+              </Button>
+            </Box>
+          )}
+          <Box textAlign="center" sx={{ mt: 2 }}>
+            <Link to="/login" style={{ textDecoration: 'none' }}>
+              <Typography variant="body2" color="primary">
+                Back to Sign In
+              </Typography>
+            </Link>
+          </Box>
+        </Paper>
+      </Box>
+    </Container>
+  );
+};
+
+export default ForgotPassword;
@@ -1,5 +1,5 @@
-import React, { useState } from 'react';
-import { useNavigate, Link } from 'react-router-dom';
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useLocation, Link } from 'react-router-dom';
 import {
   Container,
   Paper,
@@ -7,7 +7,8 @@ import {
   Button,
   Typography,
   Box,
-  Alert
+  Alert,
+  Divider
 } from '@mui/material';
 import { useAuth } from '../context/AuthContext';
 
@@ -16,12 +17,25 @@ const Login = () => {
   const [password, setPassword] = useState('');
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
-  const { login } = useAuth();
+  const [unverified, setUnverified] = useState(false);
+  const [notice, setNotice] = useState('');
+  // Set when the password (or single sign-on) was right but the account also
+  // needs a 2FA code
+  const location = useLocation();
+  const [challengeToken, setChallengeToken] = useState(location.state?.challengeToken || null);
+  const [code, setCode] = useState('');
+  const [providers, setProviders] = useState([]);
+  const { login, completeTwoFactorLogin, resendVerification, getSsoProviders, ssoLoginUrl } = useAuth();
   const navigate = useNavigate();
 
+  useEffect(() => {
+    getSsoProviders().then(setProviders);
+  }, [getSsoProviders]);
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
+    setNotice('');
     setLoading(true);
 
     const result = await login(email, password);
@@ -29,6 +43,43 @@ const Login = () => {
 
     if (result.success) {
       navigate('/dashboard');
+    } else if (result.twoFactorRequired) {
+      setChallengeToken(result.challengeToken);
+      setCode('');
+    } else {
+      setError(result.error);
+      setUnverified(result.emailVerified === false);
+    }
+  };
+
+  const handleCodeSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    const result = await completeTwoFactorLogin(challengeToken, code.trim());
+    setLoading(false);
+
+    if (result.success) {
+      // After using a recovery code, show how many are left
+      navigate(result.recoveryCodesRemaining !== undefined ? '/security' : '/dashboard');
+    } else {
+      setError(result.error);
+    }
+  };
+
+  const handleCancelCode = () => {
+    setChallengeToken(null);
+    setPassword('');
+    setError('');
+  };
+
+  const handleResend = async () => {
+    const result = await resendVerification(email);
+    if (result.success) {
+      setError('');
+      setUnverified(false);
+      setNotice(result.message);
     } else {
       setError(result.error);
     }
@@ -52,52 +103,123 @@ const Login = () => {
             Sign In
           </Typography>
           {error && (
-            <Alert severity="error" sx={{ mt: 2 }}>
+            <Alert
+              severity="error"
+              sx={{ mt: 2 }}
+              action={unverified && (
+                <Button color="inherit" size="small" onClick={handleResend}>
+                  Resend link
+                </Button>
+              )}
+            >
               {error}
+              {unverified && '. Follow the link in the email we sent you.'}
             </Alert>
           )}
-          <Box component="form" onSubmit={handleSubmit} sx={{ mt: 3 }}>
-            <TextField
-              margin="normal"
-              required
-              fullWidth
-              id="email"
-              label="Email Address"
-              name="email"
-              autoComplete="email"
-              autoFocus
-              value={email}
-              onChange={(e) => setEmail(e.target.value)}
-            />
-            <TextField
-              margin="normal"
-              required
-              fullWidth
-              name="password"
-              label="Password"
-              type="password"
-              id="password"
-              autoComplete="current-password"
-              value={password}
-              onChange={(e) => setPassword(e.target.value)}
-            />
-            <Button
-              type="submit"
-              fullWidth
-              variant="contained"
-              sx={{ mt: 3, mb: 2 }}
-              disabled={loading}
-            >
-              {loading ? 'Signing In...' : 'Sign In'}
-            </Button>
-            <Box textAlign="center">
-              <Link to="/register" style={{ textDecoration: 'none' }}>
-                <Typography variant="body2" color="primary">
-                  Don't have an account? Sign Up
-                </Typography>
-              </Link>
+          {notice && (
+            <Alert severity="info" sx={{ mt: 2 }}>
+              {notice}
+            </Alert>
+          )}
+          {challengeToken ? (
+            <Box component="form" onSubmit={handleCodeSubmit} sx={{ mt: 3 }}>
+              <Typography variant="body2" color="textSecondary">
+                Enter the 6-digit code from your authenticator app, or one of your recovery codes.
+              </Typography>
+              <TextField
+                margin="normal"
+                required
+                fullWidth
+                id="code"
+                label="Authentication Code"
+                name="code"
+                autoComplete="one-time-code"
+                autoFocus
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+              />
+              <Button
+                type="submit"
+                fullWidth
+                variant="contained"
+                sx={{ mt: 3, mb: 2 }}
+                disabled={loading}
+              >
+                {loading ? 'Verifying...' : 'Verify'}
+              </Button>
+              <Button fullWidth onClick={handleCancelCode}>
+                Back
+              </Button>
+            </Box>
+          ) : (
+            <Box component="form" onSubmit={handleSubmit} sx={{ mt: 3 }}>
+              <TextField
+                margin="normal"
+                required
+                fullWidth
+                id="email"
+                label="Email Address"
+                name="email"
+                autoComplete="email"
+                autoFocus
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+              />
+              <TextField
+                margin="normal"
+                required
+                fullWidth
+                name="password"
+                label="Password"
+                type="password"
+                id="password"
+                autoComplete="current-password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+              />
+              <Button
+                type="submit"
+                fullWidth
+                variant="contained"
+                sx={{ mt: 3, mb: 2 }}
+                disabled={loading}
+              >
+                {loading ? 'Signing In...' : 'Sign In'}
+              </Button>
+              {providers.length > 0 && (
+                <>
+                  <Divider sx={{ mb: 2 }}>
+                    <Typography variant="body2" color="textSecondary">or</Typography>
+                  </Divider>
+                  {providers.map(provider => (
+                    <Button
+                      key={provider.id}
+                      fullWidth
+                      variant="outlined"
+                      href={ssoLoginUrl(provider.id)}
+                      sx={{ mb: 2 }}
+                    >
+                      Sign in with {provider.name}
+                    </Button>
+                  ))}
+                </>
+              )}
+              <Box textAlign="center" sx={{ mb: 1 }}>
+                <Link to="/forgot-password" style={{ textDecoration: 'none' }}>
+                  <Typography variant="body2" color="primary">
+                    Forgot your password?
+                  </Typography>
+                </Link>
+              </Box>
+              <Box textAlign="center">
+                <Link to="/register" style={{ textDecoration: 'none' }}>
+                  <Typography variant="body2" color="primary">
+                    Don't have an account? Sign Up
+                  </Typography>
+                </Link>
+              </Box>
             </Box>
-          </Box>
+          )}
         </Paper>
       </Box>
     </Container>
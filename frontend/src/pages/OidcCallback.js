@@ -0,0 +1,93 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import {
+  Container,
+  Paper,
+  Typography,
+  Box,
+  Alert,
+  CircularProgress
+} from '@mui/material';
+import { useAuth } from '../context/AuthContext';
+
+// Where single sign-on comes back to: exchanges the code for a session, goes
+// back to the Security page after linking an account, or shows why the
+// identity provider sign-in failed
+const OidcCallback = () => {
+  const [searchParams] = useSearchParams();
+  const [error, setError] = useState('');
+  // The code works once, so it must not be sent twice (e.g. by StrictMode)
+  const sentRef = useRef(false);
+  const { completeSsoLogin } = useAuth();
+  const navigate = useNavigate();
+
+  const code = searchParams.get('code');
+  const callbackError = searchParams.get('error');
+  const linked = searchParams.get('linked');
+
+  useEffect(() => {
+    if (sentRef.current) return;
+    sentRef.current = true;
+
+    if (linked) {
+      navigate('/security', { replace: true });
+      return;
+    }
+    if (!code) {
+      setError(callbackError || 'Sign-in did not complete. Try again.');
+      return;
+    }
+    completeSsoLogin(code).then(result => {
+      if (result.success) {
+        navigate('/dashboard', { replace: true });
+      } else if (result.twoFactorRequired) {
+        // The login page asks for the code, as after a password
+        navigate('/login', { replace: true, state: { challengeToken: result.challengeToken } });
+      } else {
+        setError(result.error);
+      }
+    });
+  }, [code, callbackError, linked, completeSsoLogin, navigate]);
+
+  return (
+    <Container component="main" maxWidth="xs">
+      <Box
+        sx={{
+          marginTop: 8,
+          display: 'flex',
+          flexDirection: 'column',
+          alignItems: 'center',
+        }}
+      >
+        <Paper elevation={3} sx={{ padding: 4, width: '100%' }}>
+          <Typography component="h1" variant="h4" align="center" gutterBottom>
+            Distributed File Storage
+          </Typography>
+          <Typography component="h2" variant="h5" align="center" gutterBottom>
+            Single Sign-On
+          </Typography>
+          {!error ? (
+            <Box display="flex" justifyContent="center" p={2}>
+              <CircularProgress />
+            </Box>
+          ) : (
+            <>
+              <Alert severity="error" sx={{ mt: 2 }}>
+                {error}
+              </Alert>
+              <Box textAlign="center" sx={{ mt: 2 }}>
+                <Link to="/login" style={{ textDecoration: 'none' }}>
+                  <Typography variant="body2" color="primary">
+                    Back to Sign In
+                  </Typography>
+                </Link>
+              </Box>
+            </>
+          )}
+        </Paper>
+      </Box>
+    </Container>
+  );
+};
+
+export default OidcCallback;
@@ -1,5 +1,5 @@
 import React, { useState } from 'react';
-import { useNavigate, Link } from 'react-router-dom';
+import { Link } from 'react-router-dom';
 import {
   Container,
   Paper,
@@ -17,8 +17,10 @@ const Register = () => {
   const [password, setPassword] = useState('');
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
-  const { register } = useAuth();
-  const navigate = useNavigate();
+  // Set once registered: the account waits for its email to be confirmed
+  const [registered, setRegistered] = useState(null);
+  const [resent, setResent] = useState('');
+  const { register, resendVerification } = useAuth();
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -29,7 +31,16 @@ const Register = () => {
     setLoading(false);
 
     if (result.success) {
-      navigate('/dashboard');
+      setRegistered(result.message);
+    } else {
+      setError(result.error);
+    }
+  };
+
+  const handleResend = async () => {
+    const result = await resendVerification(email);
+    if (result.success) {
+      setResent(result.message);
     } else {
       setError(result.error);
     }
@@ -57,59 +68,85 @@ const Register = () => {
               {error}
             </Alert>
           )}
-          <Box component="form" onSubmit={handleSubmit} sx={{ mt: 3 }}>
-            <TextField
-              margin="normal"
-              required
-              fullWidth
-              id="username"
-              label="Username"
-              name="username"
-              autoComplete="username"
-              autoFocus
-              value={username}
-              onChange={(e) => setUsername(e.target.value)}
-            />
-            <TextField
-              margin="normal"
-              required
-              fullWidth
-              id="email"
-              label="Email Address"
-              name="email"
-              autoComplete="email"
-              value={email}
-              onChange={(e) => setEmail(e.target.value)}
-            />
-            <TextField
-              margin="normal"
-              required
-              fullWidth
-              name="password"
-              label="Password"
-              type="password"
-              id="password"
-              autoComplete="new-password"
-              value={password}
-              onChange={(e) => setPassword(e.target.value)}
-            />
-            <Button
-              type="submit"
-              fullWidth
-              variant="contained"
-              sx={{ mt: 3, mb: 2 }}
-              disabled={loading}
-            >
-              {loading ? 'Signing Up...' : 'Sign Up'}
-            </Button>
-            <Box textAlign="center">
-              <Link to="/login" style={{ textDecoration: 'none' }}>
-                <Typography variant="body2" color="primary">
-                  Already have an account? Sign In
-                </Typography>
-              </Link>
+          {registered ? (
+            <Box sx={{ mt: 3 }}>
+              <Alert severity="success">
+                {registered}
+              </Alert>
+              <Typography variant="body2" sx={{ mt: 2 }}>
+                We sent a confirmation link to <strong>{email}</strong>.
+              </Typography>
+              {resent && (
+                <Alert severity="info" sx={{ mt: 2 }}>
+                  {resent}
+                </Alert>
+              )}
+              <Button fullWidth sx={{ mt: 2 }} onClick={handleResend}>
+                Send the link again
+              </Button>
+              <Box textAlign="center" sx={{ mt: 1 }}>
+                <Link to="/login" style={{ textDecoration: 'none' }}>
+                  <Typography variant="body2" color="primary">
+                    Back to Sign In
+                  </Typography>
+                </Link>
+              </Box>
             </Box>
-          </Box>
+          ) : (
+            <Box component="form" onSubmit={handleSubmit} sx={{ mt: 3 }}>
+              <TextField
+                margin="normal"
+                required
+                fullWidth
+                id="username"
+                label="Username"
+                name="username"
+                autoComplete="username"
+                autoFocus
+                value={username}
+                onChange={(e) => setUsername(e.target.value)}
+              />
+              <TextField
+                margin="normal"
+                required
+                fullWidth
+                id="email"
+                label="Email Address"
+                name="email"
+                autoComplete="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+              />
+              <TextField
+                margin="normal"
+                required
+                fullWidth
+                name="password"
+                label="Password"
+                type="password"
+                id="password"
+                autoComplete="new-password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+              />
+              <Button
+                type="submit"
+                fullWidth
+                variant="contained"
+                sx={{ mt: 3, mb: 2 }}
+                disabled={loading}
+              >
+                {loading ? 'Signing Up...' : 'Sign Up'}
+              </Button>
+              <Box textAlign="center">
+                <Link to="/login" style={{ textDecoration: 'none' }}>
+                  <Typography variant="body2" color="primary">
+                    Already have an account? Sign In
+                  </Typography>
+                </Link>
+              </Box>
+            </Box>
+          )}
         </Paper>
       </Box>
     </Container>
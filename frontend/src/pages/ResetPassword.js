@@ -0,0 +1,135 @@
+import React, { useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import {
+  Container,
+  Paper,
+  TextField,
+  Button,
+  Typography,
+  Box,
+  Alert
+} from '@mui/material';
+import { useAuth } from '../context/AuthContext';
+
+// Choose a new password, from the link in a password reset email
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams();
+  const [password, setPassword] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [error, setError] = useState('');
+  const [done, setDone] = useState('');
+  const [loading, setLoading] = useState(false);
+  const { resetPassword } = useAuth();
+
+  const token = searchParams.get('token');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (password !== confirmation) {
+      setError('The passwords do not match');
+      return;
+    }
+
+    setError('');
+    setLoading(true);
+
+    const result = await resetPassword(token, password);
+    setLoading(false);
+
+    if (result.success) {
+      setDone(result.message);
+    } else {
+      setError(result.error);
+    }
+  };
+
+  return (
+    <Container component="main" maxWidth="xs">
+      <Box
+        sx={{
+          marginTop: 8,
+          display: 'flex',
+          flexDirection: 'column',
+          alignItems: 'center',
+        }}
+      >
+        <Paper elevation={3} sx={{ padding: 4, width: '100%' }}>
+          <Typography component="h1" variant="h4" align="center" gutterBottom>
+            Distributed File Storage
+          </Typography>
+          <Typography component="h2" variant="h5" align="center" gutterBottom>
+            Choose a New Password
+          </Typography>
+          {!token && (
+            <Alert severity="error" sx={{ mt: 2 }}>
+              This link is incomplete. Open the link from the email again, or ask for a new one.
+            </Alert>
+          )}
+          {error && (
+            <Alert severity="error" sx={{ mt: 2 }}>
+              {error}
+            </Alert>
+          )}
+          {done ? (
+            <Alert severity="success" sx={{ mt: 2 }}>
+              {done}
+            </Alert>
+          ) : token && (
+            <Box component="form" onSubmit={handleSubmit} sx={{ mt: 3 }}>
+              <TextField
+                margin="normal"
+                required
+                fullWidth
+                name="password"
+                label="New Password"
+                type="password"
+                id="password"
+                autoComplete="new-password"
+                autoFocus
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+              />
+              <TextField
+                margin="normal"
+                required
+                fullWidth
+                name="confirmation"
+                label="Confirm New Password"
+                type="password"
+                id="confirmation"
+                autoComplete="new-password"
+                value={confirmation}
+                onChange={(e) => setConfirmation(e.target.value)}
+              />
+              <Button
+                type="submit"
+                fullWidth
+                variant="contained"
+                sx={{ mt: 3, mb: 2 }}
+                disabled={loading}
+              >
+                {loading ? 'Saving...' : 'Reset Password'}
+              </Button>
+            </Box>
+          )}
+          <Box textAlign="center" sx={{ mt: 2 }}>
+            {error && (
+              <Link to="/forgot-password" style={{ textDecoration: 'none' }}>
+                <Typography variant="body2" color="primary" sx={{ mb: 1 }}>
+                  Send me a new link
+                </Typography>
+              </Link>
+            )}
+            <Link to="/login" style={{ textDecoration: 'none' }}>
+              <Typography variant="body2" color="primary">
+                Back to Sign In
+              </Typography>
+            </Link>
+          </Box>
+        </Paper>
+      </Box>
+    </Container>
+  );
+};
+
+export default ResetPassword;
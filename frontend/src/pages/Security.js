@@ -0,0 +1,354 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  Container,
+  Paper,
+  Typography,
+  Box,
+  Button,
+  TextField,
+  IconButton,
+  Alert,
+  CircularProgress,
+  AppBar,
+  Toolbar,
+  Chip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions
+} from '@mui/material';
+import { ArrowBack as BackIcon } from '@mui/icons-material';
+import axios from 'axios';
+import { useAuth } from '../context/AuthContext';
+import AccessTokens from '../components/AccessTokens';
+import LinkedAccounts from '../components/LinkedAccounts';
+
+// Recovery codes, shown once after they are generated
+const RecoveryCodes = ({ codes, onDone }) => {
+  const handleDownload = () => {
+    const blob = new Blob([`${codes.join('\n')}\n`], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'recovery-codes.txt';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <Box sx={{ mt: 2 }}>
+      <Alert severity="warning" sx={{ mb: 2 }}>
+        Save these recovery codes somewhere safe. Each one signs you in once if you lose your
+        authenticator app. They will not be shown again.
+      </Alert>
+      <Box
+        component="pre"
+        sx={{ display: 'grid', gridTemplateColumns: 'repeat(2, max-content)', columnGap: 4, fontFamily: 'monospace', fontSize: '1rem', m: 0 }}
+      >
+        {codes.map(code => <span key={code}>{code}</span>)}
+      </Box>
+      <Box sx={{ mt: 2, display: 'flex', gap: 1 }}>
+        <Button variant="outlined" onClick={handleDownload}>
+          Download
+        </Button>
+        <Button variant="outlined" onClick={() => navigator.clipboard.writeText(codes.join('\n'))}>
+          Copy
+        </Button>
+        <Button variant="contained" onClick={onDone}>
+          Done
+        </Button>
+      </Box>
+    </Box>
+  );
+};
+
+// Account security settings: two-factor authentication and personal access tokens
+const Security = () => {
+  const [status, setStatus] = useState(null);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  // Enrollment steps: null, 'password', 'scan', then recovery codes
+  const [step, setStep] = useState(null);
+  const [enrollment, setEnrollment] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [password, setPassword] = useState('');
+  const [code, setCode] = useState('');
+  // 'disable' or 'recovery-codes', confirmed in a dialog
+  const [confirming, setConfirming] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const { token } = useAuth();
+  const navigate = useNavigate();
+
+  const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3000';
+
+  const fetchStatus = useCallback(async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/auth/2fa`, {
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      });
+      setStatus(response.data);
+    } catch (err) {
+      setError('Failed to load security settings');
+      console.error('Error fetching two-factor status:', err);
+    }
+  }, [API_BASE_URL, token]);
+
+  useEffect(() => {
+    fetchStatus();
+  }, [fetchStatus]);
+
+  // POST to /api/auth/2fa/<path>; resolves to the response body, or null after showing the error
+  const post = async (path, body) => {
+    try {
+      setBusy(true);
+      setError('');
+      const response = await axios.post(`${API_BASE_URL}/api/auth/2fa/${path}`, body, {
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      });
+      return response.data;
+    } catch (err) {
+      setError(err.response?.data?.error || 'Request failed');
+      console.error(`Error in two-factor ${path}:`, err);
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const resetForm = () => {
+    setPassword('');
+    setCode('');
+  };
+
+  const handleSetup = async (e) => {
+    e.preventDefault();
+    const data = await post('setup', { password });
+    if (data) {
+      setEnrollment(data);
+      setStep('scan');
+      resetForm();
+    }
+  };
+
+  const handleEnable = async (e) => {
+    e.preventDefault();
+    const data = await post('enable', { code: code.trim() });
+    if (data) {
+      setStatus(data);
+      setRecoveryCodes(data.recoveryCodes);
+      setEnrollment(null);
+      setStep(null);
+      resetForm();
+    }
+  };
+
+  const handleConfirm = async (e) => {
+    e.preventDefault();
+    const data = await post(confirming, { password, code: code.trim() });
+    if (data) {
+      setStatus(data);
+      setNotice(data.message);
+      if (data.recoveryCodes) setRecoveryCodes(data.recoveryCodes);
+      setConfirming(null);
+      resetForm();
+    }
+  };
+
+  const cancel = () => {
+    setStep(null);
+    setEnrollment(null);
+    setConfirming(null);
+    setError('');
+    resetForm();
+  };
+
+  const renderEnrollment = () => {
+    if (step === 'password') {
+      return (
+        <Box component="form" onSubmit={handleSetup} sx={{ mt: 2, maxWidth: 360 }}>
+          <TextField
+            fullWidth
+            required
+            autoFocus
+            type="password"
+            label="Current password"
+            autoComplete="current-password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+          />
+          <Box sx={{ mt: 2, display: 'flex', gap: 1 }}>
+            <Button onClick={cancel}>Cancel</Button>
+            <Button type="submit" variant="contained" disabled={busy}>
+              Continue
+            </Button>
+          </Box>
+        </Box>
+      );
+    }
+
+    if (step === 'scan' && enrollment) {
+      return (
+        <Box component="form" onSubmit={handleEnable} sx={{ mt: 2 }}>
+          <Typography variant="body2" sx={{ mb: 1 }}>
+            Scan this QR code with an authenticator app such as Google Authenticator, Authy or 1Password,
+            then enter the 6-digit code it shows.
+          </Typography>
+          <Box component="img" src={enrollment.qrCode} alt="QR code for your authenticator app" sx={{ width: 200, height: 200 }} />
+          <Typography variant="body2" color="textSecondary">
+            Can't scan it? Enter this key instead:
+          </Typography>
+          <Typography variant="body2" sx={{ fontFamily: 'monospace', wordBreak: 'break-all', mb: 2 }}>
+            {enrollment.secret}
+          </Typography>
+          <TextField
+            required
+            autoFocus
+            label="Authentication code"
+            autoComplete="one-time-code"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            inputProps={{ inputMode: 'numeric' }}
+          />
+          <Box sx={{ mt: 2, display: 'flex', gap: 1 }}>
+            <Button onClick={cancel}>Cancel</Button>
+            <Button type="submit" variant="contained" disabled={busy}>
+              Enable
+            </Button>
+          </Box>
+        </Box>
+      );
+    }
+
+    return (
+      <Button variant="contained" sx={{ mt: 2 }} onClick={() => setStep('password')}>
+        Set up two-factor authentication
+      </Button>
+    );
+  };
+
+  return (
+    <>
+      <AppBar position="static">
+        <Toolbar>
+          <IconButton color="inherit" edge="start" onClick={() => navigate('/dashboard')} sx={{ mr: 2 }}>
+            <BackIcon />
+          </IconButton>
+          <Typography variant="h6" component="div" sx={{ flexGrow: 1 }}>
+            Security
+          </Typography>
+        </Toolbar>
+      </AppBar>
+      <Container maxWidth="md" sx={{ mt: 4, mb: 4 }}>
+        <Paper elevation={3} sx={{ padding: 4 }}>
+          <Box display="flex" alignItems="center" gap={2} sx={{ mb: 1 }}>
+            <Typography variant="h5" component="h1">
+              Two-factor authentication
+            </Typography>
+            {status && (
+              <Chip
+                label={status.enabled ? 'On' : 'Off'}
+                color={status.enabled ? 'success' : 'default'}
+                size="small"
+              />
+            )}
+          </Box>
+          <Typography variant="body2" color="textSecondary">
+            Ask for a code from an authenticator app, as well as your password, when you sign in.
+          </Typography>
+
+          {error && (
+            <Alert severity="error" sx={{ mt: 2 }} onClose={() => setError('')}>
+              {error}
+            </Alert>
+          )}
+          {notice && (
+            <Alert severity="success" sx={{ mt: 2 }} onClose={() => setNotice('')}>
+              {notice}
+            </Alert>
+          )}
+
+          {!status ? (
+            <Box display="flex" justifyContent="center" p={4}>
+              <CircularProgress />
+            </Box>
+          ) : recoveryCodes ? (
+            <RecoveryCodes codes={recoveryCodes} onDone={() => setRecoveryCodes(null)} />
+          ) : status.enabled ? (
+            <Box sx={{ mt: 2 }}>
+              <Typography variant="body2">
+                On since {new Date(status.enabledAt).toLocaleDateString()}.
+                {' '}{status.recoveryCodesRemaining} of your recovery codes are left.
+              </Typography>
+              {status.recoveryCodesRemaining <= 3 && (
+                <Alert severity="warning" sx={{ mt: 2 }}>
+                  You are running out of recovery codes. Generate new ones so you are not locked out
+                  if you lose your authenticator app.
+                </Alert>
+              )}
+              <Box sx={{ mt: 2, display: 'flex', gap: 1 }}>
+                <Button variant="outlined" onClick={() => setConfirming('recovery-codes')}>
+                  New recovery codes
+                </Button>
+                <Button variant="outlined" color="error" onClick={() => setConfirming('disable')}>
+                  Turn off
+                </Button>
+              </Box>
+            </Box>
+          ) : (
+            renderEnrollment()
+          )}
+        </Paper>
+        <LinkedAccounts />
+        <Paper elevation={3} sx={{ padding: 4, mt: 3 }}>
+          <AccessTokens />
+        </Paper>
+      </Container>
+
+      <Dialog open={Boolean(confirming)} onClose={cancel} fullWidth maxWidth="xs">
+        <form onSubmit={handleConfirm}>
+          <DialogTitle>
+            {confirming === 'disable' ? 'Turn off two-factor authentication' : 'Generate new recovery codes'}
+          </DialogTitle>
+          <DialogContent>
+            {confirming === 'disable' && (
+              <TextField
+                fullWidth
+                required
+                autoFocus
+                margin="dense"
+                type="password"
+                label="Current password"
+                autoComplete="current-password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+              />
+            )}
+            <TextField
+              fullWidth
+              required
+              autoFocus={confirming !== 'disable'}
+              margin="dense"
+              label="Authentication or recovery code"
+              autoComplete="one-time-code"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+            />
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={cancel}>Cancel</Button>
+            <Button type="submit" variant="contained" color={confirming === 'disable' ? 'error' : 'primary'} disabled={busy}>
+              {confirming === 'disable' ? 'Turn off' : 'Generate'}
+            </Button>
+          </DialogActions>
+        </form>
+      </Dialog>
+    </>
+  );
+};
+
+export default Security;
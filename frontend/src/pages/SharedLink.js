@@ -0,0 +1,151 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams } from 'react-router-dom';
+import {
+  Container,
+  Paper,
+  TextField,
+  Button,
+  Typography,
+  Box,
+  Alert,
+  CircularProgress
+} from '@mui/material';
+import { Download as DownloadIcon } from '@mui/icons-material';
+import axios from 'axios';
+import { formatFileSize } from '../utils/format';
+
+// Error message from a response that was requested as a blob
+const readBlobError = async (err) => {
+  try {
+    return JSON.parse(await err.response.data.text()).error;
+  } catch (parseError) {
+    return null;
+  }
+};
+
+const SharedLink = () => {
+  const { token } = useParams();
+  const [share, setShare] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [downloading, setDownloading] = useState(false);
+  const [error, setError] = useState('');
+  const [password, setPassword] = useState('');
+
+  const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3000';
+
+  const fetchShare = useCallback(async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/public/shares/${token}`);
+      setShare(response.data.share);
+      setError('');
+    } catch (err) {
+      setShare(null);
+      setError(err.response?.data?.error || 'Failed to load share link');
+    } finally {
+      setLoading(false);
+    }
+  }, [API_BASE_URL, token]);
+
+  useEffect(() => {
+    fetchShare();
+  }, [fetchShare]);
+
+  const handleDownload = async (e) => {
+    e.preventDefault();
+    setError('');
+    setDownloading(true);
+
+    try {
+      const response = await axios.post(
+        `${API_BASE_URL}/api/public/shares/${token}/download`,
+        share.requiresPassword ? { password } : null,
+        { responseType: 'blob' }
+      );
+
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', share.filename);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+
+      if (share.downloadsRemaining !== null) {
+        await fetchShare();
+      }
+    } catch (err) {
+      const message = await readBlobError(err);
+      if (err.response?.status === 410) {
+        setShare(null);
+      }
+      setError(message || 'Failed to download file');
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  return (
+    <Container component="main" maxWidth="xs">
+      <Box sx={{ marginTop: 8 }}>
+        <Paper elevation={3} sx={{ padding: 4 }}>
+          <Typography component="h1" variant="h5" align="center" gutterBottom>
+            Shared File
+          </Typography>
+          {error && (
+            <Alert severity="error" sx={{ mt: 2 }}>
+              {error}
+            </Alert>
+          )}
+          {loading ? (
+            <Box display="flex" justifyContent="center" p={3}>
+              <CircularProgress />
+            </Box>
+          ) : share && (
+            <Box component="form" onSubmit={handleDownload} sx={{ mt: 2 }}>
+              <Typography variant="h6" sx={{ wordBreak: 'break-all' }}>
+                {share.filename}
+              </Typography>
+              <Typography variant="body2" color="text.secondary">
+                {formatFileSize(share.size)} · {share.mimeType}
+              </Typography>
+              {share.expiresAt && (
+                <Typography variant="body2" color="text.secondary">
+                  Expires {new Date(share.expiresAt).toLocaleString()}
+                </Typography>
+              )}
+              {share.downloadsRemaining !== null && (
+                <Typography variant="body2" color="text.secondary">
+                  {share.downloadsRemaining} download{share.downloadsRemaining === 1 ? '' : 's'} remaining
+                </Typography>
+              )}
+              {share.requiresPassword && (
+                <TextField
+                  margin="normal"
+                  required
+                  fullWidth
+                  label="Password"
+                  type="password"
+                  autoFocus
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                />
+              )}
+              <Button
+                type="submit"
+                fullWidth
+                variant="contained"
+                startIcon={downloading ? <CircularProgress size={20} /> : <DownloadIcon />}
+                disabled={downloading}
+                sx={{ mt: 3 }}
+              >
+                Download
+              </Button>
+            </Box>
+          )}
+        </Paper>
+      </Box>
+    </Container>
+  );
+};
+
+export default SharedLink;
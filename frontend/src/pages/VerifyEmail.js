@@ -0,0 +1,75 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import {
+  Container,
+  Paper,
+  Typography,
+  Box,
+  Alert,
+  CircularProgress
+} from '@mui/material';
+import { useAuth } from '../context/AuthContext';
+
+// Confirms the email address from the link sent at registration
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const [result, setResult] = useState(null);
+  // The token works once, so it must not be sent twice (e.g. by StrictMode)
+  const sentRef = useRef(false);
+  const { verifyEmail } = useAuth();
+
+  const token = searchParams.get('token');
+
+  useEffect(() => {
+    if (sentRef.current) return;
+    sentRef.current = true;
+
+    if (!token) {
+      setResult({ success: false, error: 'This link is incomplete. Open the link from the email again.' });
+      return;
+    }
+    verifyEmail(token).then(setResult);
+  }, [token, verifyEmail]);
+
+  return (
+    <Container component="main" maxWidth="xs">
+      <Box
+        sx={{
+          marginTop: 8,
+          display: 'flex',
+          flexDirection: 'column',
+          alignItems: 'center',
+        }}
+      >
+        <Paper elevation={3} sx={{ padding: 4, width: '100%' }}>
+          <Typography component="h1" variant="h4" align="center" gutterBottom>
+            Distributed File Storage
+          </Typography>
+          <Typography component="h2" variant="h5" align="center" gutterBottom>
+            Confirm Email Address
+          </Typography>
+          {!result ? (
+            <Box display="flex" justifyContent="center" p={2}>
+              <CircularProgress />
+            </Box>
+          ) : (
+            <Alert severity={result.success ? 'success' : 'error'} sx={{ mt: 2 }}>
+              {result.success ? result.message : result.error}
+            </Alert>
+          )}
+          <Box textAlign="center" sx={{ mt: 2 }}>
+            <Link to="/login" style={{ textDecoration: 'none' }}>
+              <Typography variant="body2" color="primary">
+                {result && !result.success
+                  ? 'Sign in to ask for a new link'
+                  : 'Continue to Sign In'}
+              </Typography>
+            </Link>
+          </Box>
+        </Paper>
+      </Box>
+    </Container>
+  );
+};
+
+export default VerifyEmail;
@@ -0,0 +1,113 @@
+import { useEffect, useRef } from 'react';
+import { useAuth } from '../context/AuthContext';
+
+const MIN_RETRY_DELAY = 1000;
+const MAX_RETRY_DELAY = 60 * 1000;
+
+// Parse one Server-Sent Events block into its data (null for comments) and retry fields
+const parseBlock = (block) => {
+  const data = [];
+  let retry;
+
+  block.split('\n').forEach(line => {
+    const separator = line.indexOf(':');
+    if (separator === 0) return;
+
+    const field = separator === -1 ? line : line.slice(0, separator);
+    const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+    if (field === 'data') data.push(value);
+    if (field === 'retry' && /^\d+$/.test(value)) retry = Number(value);
+  });
+
+  return { data: data.length > 0 ? data.join('\n') : null, retry };
+};
+
+// Call onEvent with each event the gateway pushes for the signed-in user.
+// EventSource cannot send the Authorization header, so the stream is read
+// with fetch. It reconnects when the stream ends or fails, and refreshes the
+// session when the access token has expired.
+export const useLiveEvents = (onEvent) => {
+  const { token, refreshSession } = useAuth();
+  const onEventRef = useRef(onEvent);
+
+  const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3000';
+
+  useEffect(() => {
+    onEventRef.current = onEvent;
+  }, [onEvent]);
+
+  useEffect(() => {
+    if (!token) return undefined;
+
+    const controller = new AbortController();
+    let timer;
+    let retryDelay = MIN_RETRY_DELAY;
+    let failures = 0;
+
+    const read = async (body) => {
+      const reader = body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) return;
+
+        buffer += decoder.decode(value, { stream: true }).replace(/\r\n?/g, '\n');
+        const blocks = buffer.split('\n\n');
+        buffer = blocks.pop();
+
+        for (const block of blocks) {
+          const { data, retry } = parseBlock(block);
+          if (retry !== undefined) retryDelay = retry;
+          if (data === null) continue;
+
+          try {
+            onEventRef.current(JSON.parse(data));
+          } catch (err) {
+            console.error('Error handling live event:', err);
+          }
+        }
+      }
+    };
+
+    const connect = async () => {
+      try {
+        const response = await fetch(`${API_BASE_URL}/api/events`, {
+          headers: {
+            Authorization: `Bearer ${token}`
+          },
+          signal: controller.signal
+        });
+
+        // A new token restarts this effect; a failed refresh ends the session
+        if (response.status === 401) {
+          refreshSession(token).catch(() => {});
+          return;
+        }
+        if (!response.ok) {
+          throw new Error(`Event stream responded with ${response.status}`);
+        }
+
+        failures = 0;
+        await read(response.body);
+      } catch (err) {
+        if (controller.signal.aborted) return;
+        failures += 1;
+      }
+
+      if (controller.signal.aborted) return;
+      const delay = failures === 0
+        ? retryDelay
+        : Math.min(MIN_RETRY_DELAY * 2 ** failures, MAX_RETRY_DELAY);
+      timer = setTimeout(connect, delay);
+    };
+
+    connect();
+
+    return () => {
+      controller.abort();
+      clearTimeout(timer);
+    };
+  }, [API_BASE_URL, token, refreshSession]);
+};
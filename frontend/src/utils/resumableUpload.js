@@ -0,0 +1,92 @@
+import axios from 'axios';
+
+const TUS_VERSION = '1.0.0';
+const CHUNK_SIZE = 8 * 1024 * 1024; // 8MB
+const MAX_RETRIES = 5;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const toBase64 = (value) => {
+  const bytes = new TextEncoder().encode(value);
+  let binary = '';
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return window.btoa(binary);
+};
+
+const encodeMetadata = (metadata) =>
+  Object.entries(metadata)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([key, value]) => `${key} ${toBase64(String(value))}`)
+    .join(',');
+
+// Client errors other than an offset conflict will not go away by retrying
+const isRetryable = (error) =>
+  !error.response || error.response.status >= 500 || error.response.status === 409;
+
+/**
+ * Upload a file through the tus-compatible upload-session API, sending it
+ * in chunks and resuming from the server's offset after a failed chunk.
+ * getToken is called for every request, since the access token may be
+ * refreshed during a long upload. Resolves with the upload session status,
+ * including the new file's id.
+ */
+export const resumableUpload = async ({ baseUrl, getToken, file, metadata = {}, onProgress }) => {
+  const headers = () => ({
+    Authorization: `Bearer ${getToken()}`,
+    'Tus-Resumable': TUS_VERSION
+  });
+
+  const createResponse = await axios.post(`${baseUrl}/api/files/uploads`, null, {
+    headers: {
+      ...headers(),
+      'Upload-Length': String(file.size),
+      'Upload-Metadata': encodeMetadata({
+        filename: file.name,
+        filetype: file.type,
+        ...metadata
+      })
+    }
+  });
+  const uploadUrl = `${baseUrl}${createResponse.headers.location || createResponse.data.location}`;
+
+  let offset = 0;
+  let retries = 0;
+
+  while (offset === null || offset < file.size) {
+    try {
+      if (offset === null) {
+        const headResponse = await axios.head(uploadUrl, { headers: headers() });
+        offset = Number(headResponse.headers['upload-offset']);
+        continue;
+      }
+
+      const chunk = file.slice(offset, offset + CHUNK_SIZE);
+      const patchResponse = await axios.patch(uploadUrl, chunk, {
+        headers: {
+          ...headers(),
+          'Upload-Offset': String(offset),
+          'Content-Type': 'application/offset+octet-stream'
+        }
+      });
+      offset = Number(patchResponse.headers['upload-offset']);
+      retries = 0;
+
+      if (onProgress) {
+        onProgress(offset / file.size);
+      }
+    } catch (error) {
+      if (retries >= MAX_RETRIES || !isRetryable(error)) {
+        throw error;
+      }
+      retries += 1;
+      await wait(1000 * 2 ** retries);
+      // Ask the server how much actually arrived before sending more
+      offset = null;
+    }
+  }
+
+  const statusResponse = await axios.get(uploadUrl, { headers: headers() });
+  return statusResponse.data;
+};
@@ -0,0 +1,5 @@
+// Mirrors the file service: viewers can read, editors can also upload new
+// versions and rename, owners can do everything
+const ROLE_RANK = { viewer: 1, editor: 2, owner: 3 };
+
+export const hasRole = (role, required) => Boolean(role) && ROLE_RANK[role] >= ROLE_RANK[required];
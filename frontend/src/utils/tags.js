@@ -0,0 +1,26 @@
+import { useState, useCallback } from 'react';
+import axios from 'axios';
+import { useAuth } from '../context/AuthContext';
+
+// Tags already used on the user's files, for suggestions; call loadOptions to refresh
+export const useTagOptions = () => {
+  const [options, setOptions] = useState([]);
+  const { token } = useAuth();
+
+  const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3000';
+
+  const loadOptions = useCallback(async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/files/tags`, {
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      });
+      setOptions(response.data.tags.map(({ tag }) => tag));
+    } catch (err) {
+      console.error('Error fetching tags:', err);
+    }
+  }, [API_BASE_URL, token]);
+
+  return { options, loadOptions };
+};
@@ -0,0 +1,124 @@
+const express = require('express');
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const { Transform, pipeline } = require('stream');
+require('dotenv').config();
+
+const app = express();
+
+const NODE_ID = process.env.NODE_ID || 'storage-node';
+
+// Without a secret anyone who can reach the node could read and write blobs
+const NODE_SECRET = process.env.STORAGE_NODE_SECRET;
+if (!NODE_SECRET) {
+  console.error('STORAGE_NODE_SECRET must be set');
+  process.exit(1);
+}
+const dataDir = path.resolve(process.env.DATA_DIR || './data');
+const tempDir = path.join(dataDir, 'tmp');
+fs.ensureDirSync(tempDir);
+
+// Blobs are addressed by the hex SHA-256 of their content
+const isValidKey = (key) => /^[a-f0-9]{64}$/.test(key);
+
+const blobPath = (key) => path.join(dataDir, 'blobs', key.slice(0, 2), key.slice(2, 4), key);
+
+// Only the file service, which shares STORAGE_NODE_SECRET, may talk to a node
+const authenticateNode = (req, res, next) => {
+  const expected = Buffer.from(NODE_SECRET);
+  const actual = Buffer.from(String(req.headers['x-node-secret'] || ''));
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return res.status(401).json({ error: 'Invalid node secret' });
+  }
+  next();
+};
+
+const validateKey = (req, res, next) => {
+  if (!isValidKey(req.params.key)) {
+    return res.status(400).json({ error: 'Invalid blob key' });
+  }
+  next();
+};
+
+// Health check (also reports free disk space)
+app.get('/health', async (req, res) => {
+  try {
+    const stats = await fs.promises.statfs(dataDir);
+    res.json({
+      status: 'OK',
+      service: 'storage-node',
+      nodeId: NODE_ID,
+      freeBytes: stats.bavail * stats.bsize
+    });
+  } catch (error) {
+    res.status(503).json({ status: 'ERROR', service: 'storage-node', nodeId: NODE_ID });
+  }
+});
+
+app.use('/blobs/:key', authenticateNode, validateKey);
+
+// Store blob; the body must hash to the key
+app.put('/blobs/:key', async (req, res) => {
+  const { key } = req.params;
+  const stagedPath = path.join(tempDir, `${key}-${crypto.randomBytes(8).toString('hex')}`);
+  const hash = crypto.createHash('sha256');
+  const hasher = new Transform({
+    transform(chunk, encoding, cb) {
+      hash.update(chunk);
+      cb(null, chunk);
+    }
+  });
+
+  pipeline(req, hasher, fs.createWriteStream(stagedPath), async (err) => {
+    try {
+      if (err) {
+        await fs.remove(stagedPath);
+        console.error('Store blob error:', err.message);
+        return res.status(500).json({ error: 'Failed to store blob' });
+      }
+
+      if (hash.digest('hex') !== key) {
+        await fs.remove(stagedPath);
+        return res.status(400).json({ error: 'Content does not match blob key' });
+      }
+
+      await fs.move(stagedPath, blobPath(key), { overwrite: true });
+      res.status(201).json({ key, nodeId: NODE_ID });
+    } catch (error) {
+      console.error('Store blob error:', error);
+      res.status(500).json({ error: 'Failed to store blob' });
+    }
+  });
+});
+
+// Read blob (HEAD and Range requests are handled by sendFile)
+app.get('/blobs/:key', async (req, res) => {
+  try {
+    const target = blobPath(req.params.key);
+    if (!(await fs.pathExists(target))) {
+      return res.status(404).json({ error: 'Blob not found' });
+    }
+
+    res.sendFile(target, { headers: { 'Content-Type': 'application/octet-stream' } });
+  } catch (error) {
+    console.error('Read blob error:', error);
+    res.status(500).json({ error: 'Failed to read blob' });
+  }
+});
+
+// Delete blob
+app.delete('/blobs/:key', async (req, res) => {
+  try {
+    await fs.remove(blobPath(req.params.key));
+    res.status(204).end();
+  } catch (error) {
+    console.error('Delete blob error:', error);
+    res.status(500).json({ error: 'Failed to delete blob' });
+  }
+});
+
+const PORT = process.env.PORT || 4000;
+app.listen(PORT, () => {
+  console.log(`Storage node ${NODE_ID} running on port ${PORT}`);
+});